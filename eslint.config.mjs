@@ -37,6 +37,9 @@ export default [
     },
     rules: {
       ...solid.configs.typescript.rules,
+      // The core rule reports parameter names in type signatures; use the TypeScript-aware variant instead
+      'no-unused-vars': 'off',
+      '@typescript-eslint/no-unused-vars': 'error',
       'prettier/prettier': 'error',
     },
   },
@@ -7,7 +7,8 @@ export default {
   openPage: true,
   contentBase: ['dist', 'src'],
   port: 3000,
-  historyAPIFallback: { path: 'dist', routes: ['/about'] },
+  // '/' serves shared calculation links such as /?expr=2*3 even when the static index is bypassed
+  historyAPIFallback: { path: 'dist', routes: ['/', '/about', '/convert', '/dates', '/graph'] },
   verbose: true,
   traceRequests: true,
   proxy: {
@@ -3,6 +3,11 @@ import morgan from 'morgan';
 import log from './logger.mjs';
 import statusRoute from './routes/status.mjs';
 import configRoute from './routes/config.mjs';
+import historyRoute from './routes/history.mjs';
+import memoryRoute from './routes/memory.mjs';
+import unitsRoute from './routes/units.mjs';
+import ratesRoute from './routes/rates.mjs';
+import statisticsRoute from './routes/statistics.mjs';
 
 const app = express();
 const PORT = 3001;
@@ -22,5 +27,10 @@ app.use(express.json());
 
 app.use('/api/status', statusRoute);
 app.use('/api/config', configRoute);
+app.use('/api/history', historyRoute);
+app.use('/api/memory', memoryRoute);
+app.use('/api/units', unitsRoute);
+app.use('/api/rates', ratesRoute);
+app.use('/api/statistics', statisticsRoute);
 
 app.listen(PORT, () => log.verbose(`Mock server running at http://localhost:${PORT}`));
@@ -5,9 +5,70 @@ const router = Router();
 // In-memory mock config
 const config = {
   theme: 'light',
+  arithmetic: 'float', // 'float' (IEEE doubles) or 'decimal' (exact base-10)
+  precision: 14, // significant digits accepted and displayed
+  scale: 20, // fraction digits kept in decimal results
+  roundingMode: 'half-up',
+  evaluation: 'expression', // 'expression' (operator precedence) or 'immediate' (classic left-to-right)
+  keypad: 'basic', // 'basic', 'scientific', 'programmer', 'statistics' or 'financial'
+  businessKeys: false, // MU, MGN, Δ% and %T keys on keypads other than the financial one
+  angleUnit: 'deg', // 'deg', 'rad' or 'grad' for trigonometric functions
+  radix: 10, // programmer keypad: 16, 10, 8 or 2
+  wordSize: 64, // programmer keypad: 8, 16, 32 or 64 bits
+  signed: true, // programmer keypad: two's complement or unsigned words
+  locale: '', // BCP 47 tag for number formatting, e.g. 'de-DE'; '' follows the browser
+  notation: 'standard', // 'standard', 'scientific' or 'engineering' display notation
+  complex: false, // complex results such as sqrt(-1) = i instead of errors
+  complexDisplay: 'rectangular', // 'rectangular' (3+4i) or 'polar' (5∠53.13°)
+  fractions: false, // exact fractions such as 1/3 + 1/6 = 1/2
+  fractionDisplay: 'improper', // 'improper' (7/3), 'mixed' (2 1/3) or 'decimal' (2.333…)
+  tape: false, // paper tape listing every operand with subtotals and totals
+  copyFormatted: false, // copy the display with the number format ('1,234.5') instead of '1234.5'
+  variables: {}, // variables of expressions, e.g. { "rate": "0.19" }
+  functions: {}, // user-defined functions, e.g. { "net": { "parameters": ["x"], "body": "x / (1 + rate)" } }
+  keyBindings: {}, // overrides of the default key bindings, e.g. { "r": "function:sqrt" }
   // You can add more settings here later
 };
 
+const roundingModes = ['up', 'down', 'ceiling', 'floor', 'half-up', 'half-down', 'half-even'];
+
+// Key bindings map key names to action strings such as 'digit:7' or 'operator:*'; '' removes a binding
+const isKeyBindings = (value) =>
+  value != null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.values(value).every((action) => typeof action === 'string' && /^[a-z]*(:\S+)?$/i.test(action));
+
+// Loose BCP 47 check; unknown but well-formed tags fall back to the browser locale on the client
+const isLocale = (value) => value === '' || (typeof value === 'string' && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value));
+
+const isName = (value) => typeof value === 'string' && /^[a-z][a-z0-9]*$/i.test(value);
+
+const isDictionary = (value, isEntry) =>
+  value != null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length <= 100 &&
+  Object.entries(value).every(([name, entry]) => isName(name) && isEntry(entry));
+
+// Variables map names to values; functions map names to their parameters and body expression
+const isVariables = (value) => isDictionary(value, (entry) => typeof entry === 'string' && entry.length <= 200);
+
+const isFunctions = (value) =>
+  isDictionary(
+    value,
+    (entry) =>
+      entry != null &&
+      Array.isArray(entry.parameters) &&
+      entry.parameters.length > 0 &&
+      entry.parameters.every(isName) &&
+      typeof entry.body === 'string' &&
+      entry.body.trim() !== '' &&
+      entry.body.length <= 200
+  );
+
+const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
 // GET full config
 router.get('/', (req, res) => {
   res.json(config);
@@ -21,6 +82,75 @@ router.post('/', (req, res) => {
   if ('theme' in updates && !['light', 'dark'].includes(updates.theme)) {
     return res.status(400).json({ error: 'Invalid theme value' });
   }
+  if ('arithmetic' in updates && !['float', 'decimal'].includes(updates.arithmetic)) {
+    return res.status(400).json({ error: 'Invalid arithmetic value' });
+  }
+  if ('evaluation' in updates && !['expression', 'immediate'].includes(updates.evaluation)) {
+    return res.status(400).json({ error: 'Invalid evaluation value' });
+  }
+  if (
+    'keypad' in updates &&
+    !['basic', 'scientific', 'programmer', 'statistics', 'financial'].includes(updates.keypad)
+  ) {
+    return res.status(400).json({ error: 'Invalid keypad value' });
+  }
+  if ('businessKeys' in updates && typeof updates.businessKeys !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid businessKeys value' });
+  }
+  if ('radix' in updates && ![2, 8, 10, 16].includes(updates.radix)) {
+    return res.status(400).json({ error: 'Invalid radix value' });
+  }
+  if ('wordSize' in updates && ![8, 16, 32, 64].includes(updates.wordSize)) {
+    return res.status(400).json({ error: 'Invalid wordSize value' });
+  }
+  if ('signed' in updates && typeof updates.signed !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid signed value' });
+  }
+  if ('angleUnit' in updates && !['deg', 'rad', 'grad'].includes(updates.angleUnit)) {
+    return res.status(400).json({ error: 'Invalid angleUnit value' });
+  }
+  if ('locale' in updates && !isLocale(updates.locale)) {
+    return res.status(400).json({ error: 'Invalid locale value' });
+  }
+  if ('notation' in updates && !['standard', 'scientific', 'engineering'].includes(updates.notation)) {
+    return res.status(400).json({ error: 'Invalid notation value' });
+  }
+  if ('complex' in updates && typeof updates.complex !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid complex value' });
+  }
+  if ('complexDisplay' in updates && !['rectangular', 'polar'].includes(updates.complexDisplay)) {
+    return res.status(400).json({ error: 'Invalid complexDisplay value' });
+  }
+  if ('fractions' in updates && typeof updates.fractions !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid fractions value' });
+  }
+  if ('fractionDisplay' in updates && !['improper', 'mixed', 'decimal'].includes(updates.fractionDisplay)) {
+    return res.status(400).json({ error: 'Invalid fractionDisplay value' });
+  }
+  if ('tape' in updates && typeof updates.tape !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid tape value' });
+  }
+  if ('copyFormatted' in updates && typeof updates.copyFormatted !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid copyFormatted value' });
+  }
+  if ('variables' in updates && !isVariables(updates.variables)) {
+    return res.status(400).json({ error: 'Invalid variables value' });
+  }
+  if ('functions' in updates && !isFunctions(updates.functions)) {
+    return res.status(400).json({ error: 'Invalid functions value' });
+  }
+  if ('keyBindings' in updates && !isKeyBindings(updates.keyBindings)) {
+    return res.status(400).json({ error: 'Invalid keyBindings value' });
+  }
+  if ('precision' in updates && !isIntegerInRange(updates.precision, 1, 100)) {
+    return res.status(400).json({ error: 'Invalid precision value' });
+  }
+  if ('scale' in updates && !isIntegerInRange(updates.scale, 0, 100)) {
+    return res.status(400).json({ error: 'Invalid scale value' });
+  }
+  if ('roundingMode' in updates && !roundingModes.includes(updates.roundingMode)) {
+    return res.status(400).json({ error: 'Invalid roundingMode value' });
+  }
 
   Object.assign(config, updates);
   res.status(200).json({ message: 'Config updated', config });
@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { randomUUID } from 'crypto';
+
+const router = Router();
+
+// In-memory calculation history, newest entry first
+const history = [];
+const maxEntries = 500;
+
+// GET all history entries
+router.get('/', (req, res) => {
+  res.json(history);
+});
+
+// POST a completed calculation: { expression, result, timestamp? }
+router.post('/', (req, res) => {
+  const { expression, result, timestamp } = req.body ?? {};
+
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    return res.status(400).json({ error: 'Invalid expression value' });
+  }
+  if (typeof result !== 'string' || result.trim() === '') {
+    return res.status(400).json({ error: 'Invalid result value' });
+  }
+  if (timestamp !== undefined && isNaN(Date.parse(timestamp))) {
+    return res.status(400).json({ error: 'Invalid timestamp value' });
+  }
+
+  const entry = { id: randomUUID(), expression, result, timestamp: timestamp ?? new Date().toISOString() };
+  history.unshift(entry);
+  history.splice(maxEntries);
+  res.status(201).json(entry);
+});
+
+// DELETE the whole history
+router.delete('/', (req, res) => {
+  history.length = 0;
+  res.status(200).json({ message: 'History cleared' });
+});
+
+// DELETE a single entry
+router.delete('/:id', (req, res) => {
+  const index = history.findIndex((entry) => entry.id === req.params.id);
+  if (index < 0) {
+    return res.status(404).json({ error: 'History entry not found' });
+  }
+  history.splice(index, 1);
+  res.status(200).json({ message: 'History entry deleted' });
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import { Router } from 'express';
+
+const router = Router();
+
+// In-memory mock memory registers; `active` is the slot the memory keys work on
+const memory = {
+  slots: [{ name: 'M1', value: '0' }],
+  active: 0,
+};
+
+const maxSlots = 20;
+
+// Values as the arithmetic backends write them: a real number such as '-1.5' or '1e+21', a fraction such as
+// '-7/3', or a complex number in rectangular form such as '3+4i', 'i' or '-2.5i'. Programmer values are stored
+// in decimal, whatever the radix they were entered in.
+const valuePatterns = [/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i, /^-?\d+\/\d+$/, /^[+-]?[\d.e+-]*i$/i];
+
+const isValue = (value) => typeof value === 'string' && valuePatterns.some((pattern) => pattern.test(value));
+
+const isValidSlot = (slot) =>
+  slot != null &&
+  typeof slot.name === 'string' &&
+  slot.name.trim() !== '' &&
+  slot.name.length <= 32 &&
+  isValue(slot.value);
+
+// GET all memory slots
+router.get('/', (req, res) => {
+  res.json(memory);
+});
+
+// PUT to replace all memory slots
+router.put('/', (req, res) => {
+  const { slots, active } = req.body ?? {};
+
+  if (!Array.isArray(slots) || slots.length === 0 || slots.length > maxSlots || !slots.every(isValidSlot)) {
+    return res.status(400).json({ error: 'Invalid slots value' });
+  }
+  if (!Number.isInteger(active) || active < 0 || active >= slots.length) {
+    return res.status(400).json({ error: 'Invalid active value' });
+  }
+
+  memory.slots = slots.map(({ name, value }) => ({ name: name.trim(), value }));
+  memory.active = active;
+  res.status(200).json({ message: 'Memory updated', memory });
+});
+
+export default router;
@@ -0,0 +1,31 @@
+import { Router } from 'express';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const router = Router();
+
+// Exchange rates relative to `base`, read from the fixture on every request so edits apply without a restart
+const fixture = fileURLToPath(import.meta.resolve('../fixtures/rates.json'));
+
+// GET the rates: { base, updated, rates }
+// `?age=<hours>` simulates rates last updated that many hours ago, e.g. to try the staleness warning
+router.get('/', async (req, res) => {
+  const { age } = req.query;
+  const hours = Number(age);
+  if (age !== undefined && (age === '' || !Number.isFinite(hours) || hours < 0)) {
+    return res.status(400).json({ error: 'Invalid age value' });
+  }
+
+  try {
+    const { base, updated, rates } = JSON.parse(await readFile(fixture, 'utf8'));
+    res.json({
+      base,
+      updated: age === undefined ? updated : new Date(Date.now() - hours * 3600 * 1000).toISOString(),
+      rates,
+    });
+  } catch (err) {
+    res.status(500).json({ error: `Failed to read rates: ${err.message}` });
+  }
+});
+
+export default router;
@@ -0,0 +1,41 @@
+import { Router } from 'express';
+
+const router = Router();
+
+// In-memory data list of the statistics keypad; `y` is null for single values
+let points = [];
+
+const maxPoints = 1000;
+
+// A number, or a fraction such as '-7/3' of the fractions mode
+const isNumber = (value) =>
+  typeof value === 'string' && value.trim() !== '' && (!isNaN(Number(value)) || /^-?\d+\/\d+$/.test(value));
+
+const isValidPoint = (point) => point != null && isNumber(point.x) && (point.y === null || isNumber(point.y));
+
+// GET the data list
+router.get('/', (req, res) => {
+  res.json(points);
+});
+
+// PUT to replace the data list: [{ x, y }]
+router.put('/', (req, res) => {
+  const list = req.body;
+
+  if (!Array.isArray(list) || list.length > maxPoints || !list.every(isValidPoint)) {
+    return res.status(400).json({ error: 'Invalid points value' });
+  }
+
+  points = list.map(({ x, y }) => ({ x, y }));
+  res.status(200).json({ message: 'Statistics updated', points });
+});
+
+// GET the data list as a CSV download; the y column is left empty for single values
+router.get('/csv', (req, res) => {
+  const rows = points.map(({ x, y }) => `${x},${y ?? ''}`);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="statistics.csv"');
+  res.send(['x,y', ...rows].join('\r\n') + '\r\n');
+});
+
+export default router;
@@ -0,0 +1,133 @@
+import { Router } from 'express';
+
+const router = Router();
+
+// Unit definitions per category. A value converts to the category's base unit as
+// (value + offset) × factor ÷ divisor; offset defaults to 0 and divisor to 1.
+// Factors that are not finite decimals (e.g. 5/9 for °F) use a divisor so conversions stay exact.
+const categories = [
+  {
+    id: 'length',
+    name: 'Length',
+    units: [
+      { id: 'mm', name: 'Millimetre', symbol: 'mm', factor: 0.001 },
+      { id: 'cm', name: 'Centimetre', symbol: 'cm', factor: 0.01 },
+      { id: 'm', name: 'Metre', symbol: 'm', factor: 1 },
+      { id: 'km', name: 'Kilometre', symbol: 'km', factor: 1000 },
+      { id: 'in', name: 'Inch', symbol: 'in', factor: 0.0254 },
+      { id: 'ft', name: 'Foot', symbol: 'ft', factor: 0.3048 },
+      { id: 'yd', name: 'Yard', symbol: 'yd', factor: 0.9144 },
+      { id: 'mi', name: 'Mile', symbol: 'mi', factor: 1609.344 },
+      { id: 'nmi', name: 'Nautical mile', symbol: 'nmi', factor: 1852 },
+    ],
+  },
+  {
+    id: 'mass',
+    name: 'Mass',
+    units: [
+      { id: 'mg', name: 'Milligram', symbol: 'mg', factor: 0.000001 },
+      { id: 'g', name: 'Gram', symbol: 'g', factor: 0.001 },
+      { id: 'kg', name: 'Kilogram', symbol: 'kg', factor: 1 },
+      { id: 't', name: 'Tonne', symbol: 't', factor: 1000 },
+      { id: 'oz', name: 'Ounce', symbol: 'oz', factor: 0.028349523125 },
+      { id: 'lb', name: 'Pound', symbol: 'lb', factor: 0.45359237 },
+      { id: 'st', name: 'Stone', symbol: 'st', factor: 6.35029318 },
+    ],
+  },
+  {
+    id: 'temperature',
+    name: 'Temperature',
+    units: [
+      { id: 'c', name: 'Celsius', symbol: '°C', factor: 1, offset: 273.15 },
+      { id: 'f', name: 'Fahrenheit', symbol: '°F', factor: 5, divisor: 9, offset: 459.67 },
+      { id: 'k', name: 'Kelvin', symbol: 'K', factor: 1 },
+    ],
+  },
+  {
+    id: 'volume',
+    name: 'Volume',
+    units: [
+      { id: 'ml', name: 'Millilitre', symbol: 'mL', factor: 0.001 },
+      { id: 'l', name: 'Litre', symbol: 'L', factor: 1 },
+      { id: 'm3', name: 'Cubic metre', symbol: 'm³', factor: 1000 },
+      { id: 'tsp', name: 'Teaspoon (US)', symbol: 'tsp', factor: 0.00492892159375 },
+      { id: 'tbsp', name: 'Tablespoon (US)', symbol: 'tbsp', factor: 0.01478676478125 },
+      { id: 'floz', name: 'Fluid ounce (US)', symbol: 'fl oz', factor: 0.0295735295625 },
+      { id: 'cup', name: 'Cup (US)', symbol: 'cup', factor: 0.2365882365 },
+      { id: 'pt', name: 'Pint (US)', symbol: 'pt', factor: 0.473176473 },
+      { id: 'gal', name: 'Gallon (US)', symbol: 'gal', factor: 3.785411784 },
+      { id: 'galuk', name: 'Gallon (UK)', symbol: 'gal (UK)', factor: 4.54609 },
+    ],
+  },
+  {
+    id: 'area',
+    name: 'Area',
+    units: [
+      { id: 'cm2', name: 'Square centimetre', symbol: 'cm²', factor: 0.0001 },
+      { id: 'm2', name: 'Square metre', symbol: 'm²', factor: 1 },
+      { id: 'ha', name: 'Hectare', symbol: 'ha', factor: 10000 },
+      { id: 'km2', name: 'Square kilometre', symbol: 'km²', factor: 1000000 },
+      { id: 'in2', name: 'Square inch', symbol: 'in²', factor: 0.00064516 },
+      { id: 'ft2', name: 'Square foot', symbol: 'ft²', factor: 0.09290304 },
+      { id: 'yd2', name: 'Square yard', symbol: 'yd²', factor: 0.83612736 },
+      { id: 'acre', name: 'Acre', symbol: 'ac', factor: 4046.8564224 },
+      { id: 'mi2', name: 'Square mile', symbol: 'mi²', factor: 2589988.110336 },
+    ],
+  },
+  {
+    id: 'speed',
+    name: 'Speed',
+    units: [
+      { id: 'mps', name: 'Metres per second', symbol: 'm/s', factor: 1 },
+      { id: 'kmh', name: 'Kilometres per hour', symbol: 'km/h', factor: 1000, divisor: 3600 },
+      { id: 'mph', name: 'Miles per hour', symbol: 'mph', factor: 0.44704 },
+      { id: 'kn', name: 'Knot', symbol: 'kn', factor: 1852, divisor: 3600 },
+      { id: 'fps', name: 'Feet per second', symbol: 'ft/s', factor: 0.3048 },
+    ],
+  },
+  {
+    id: 'data',
+    name: 'Data size',
+    units: [
+      { id: 'bit', name: 'Bit', symbol: 'bit', factor: 1, divisor: 8 },
+      { id: 'B', name: 'Byte', symbol: 'B', factor: 1 },
+      { id: 'kB', name: 'Kilobyte', symbol: 'kB', factor: 1000 },
+      { id: 'KiB', name: 'Kibibyte', symbol: 'KiB', factor: 1024 },
+      { id: 'MB', name: 'Megabyte', symbol: 'MB', factor: 1000000 },
+      { id: 'MiB', name: 'Mebibyte', symbol: 'MiB', factor: 1048576 },
+      { id: 'GB', name: 'Gigabyte', symbol: 'GB', factor: 1000000000 },
+      { id: 'GiB', name: 'Gibibyte', symbol: 'GiB', factor: 1073741824 },
+      { id: 'TB', name: 'Terabyte', symbol: 'TB', factor: 1000000000000 },
+      { id: 'TiB', name: 'Tebibyte', symbol: 'TiB', factor: 1099511627776 },
+    ],
+  },
+  {
+    id: 'time',
+    name: 'Time',
+    units: [
+      { id: 'ms', name: 'Millisecond', symbol: 'ms', factor: 0.001 },
+      { id: 's', name: 'Second', symbol: 's', factor: 1 },
+      { id: 'min', name: 'Minute', symbol: 'min', factor: 60 },
+      { id: 'h', name: 'Hour', symbol: 'h', factor: 3600 },
+      { id: 'd', name: 'Day', symbol: 'd', factor: 86400 },
+      { id: 'wk', name: 'Week', symbol: 'wk', factor: 604800 },
+      { id: 'yr', name: 'Year (365.25 days)', symbol: 'yr', factor: 31557600 },
+    ],
+  },
+];
+
+// GET all categories with their units
+router.get('/', (req, res) => {
+  res.json(categories);
+});
+
+// GET a single category
+router.get('/:id', (req, res) => {
+  const category = categories.find((c) => c.id === req.params.id);
+  if (!category) {
+    return res.status(404).json({ error: 'Unit category not found' });
+  }
+  res.json(category);
+});
+
+export default router;
@@ -1,12 +1,18 @@
 import { Router, Route } from '@solidjs/router';
 import About from './about';
 import Calculator from './calculator';
+import Converter from './converter';
+import DateCalculator from './date-calculator';
+import GraphView from './graph-view';
 
 export default function App() {
   return (
     <Router>
       <Route path="/" component={Calculator} />
       <Route path="/about" component={About} />
+      <Route path="/convert" component={Converter} />
+      <Route path="/dates" component={DateCalculator} />
+      <Route path="/graph" component={GraphView} />
     </Router>
   );
 }
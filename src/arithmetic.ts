@@ -0,0 +1,310 @@
+// arithmetic.ts
+// Arithmetic backends used by the engine. Values travel through the engine as strings so the state stays
+// serializable and independent of the backend that produced it.
+import { Decimal, roundingModes, type RoundingMode } from './decimal';
+import {
+  angleUnits,
+  applyFunction,
+  constants,
+  power,
+  root,
+  type AngleUnit,
+  type Constant,
+  type UnaryFunction,
+} from './scientific';
+
+// '^' raises to a power, 'yroot' takes the root: '8 yroot 3' is the cube root of 8.
+// The business operators take a percentage as second operand, see `businessOperators`.
+// The integer operators from 'mod' on belong to the programmer keypad; other backends reject them as invalid input.
+export type Operator =
+  | '+'
+  | '-'
+  | '*'
+  | '/'
+  | '^'
+  | 'yroot'
+  | 'markup'
+  | 'margin'
+  | 'delta'
+  | 'share'
+  | 'mod'
+  | '&'
+  | '|'
+  | 'xor'
+  | '<<'
+  | '>>'
+  | 'rol'
+  | 'ror';
+
+// 'cost markup 25' adds a 25% markup, 'cost margin 20' is the price with a 20% gross margin,
+// 'old delta new' is the percent change (Δ%) and 'total share part' the part as a percentage of the total (%T)
+export const businessOperators: Operator[] = ['markup', 'margin', 'delta', 'share'];
+
+export type ArithmeticMode = 'float' | 'decimal';
+
+export interface ArithmeticSettings {
+  arithmetic: ArithmeticMode;
+  // Significant digits accepted on input and shown on the display
+  precision: number;
+  // Fraction digits kept in decimal results
+  scale: number;
+  roundingMode: RoundingMode;
+  angleUnit: AngleUnit;
+}
+
+export type ArithmeticErrorKind = 'divide-by-zero' | 'overflow' | 'invalid';
+
+export const errorMessages: Record<ArithmeticErrorKind, string> = {
+  'divide-by-zero': 'Cannot divide by zero',
+  overflow: 'Overflow',
+  invalid: 'Invalid input',
+};
+
+// Thrown by the backends for calculations without a result
+export class ArithmeticError extends Error {
+  readonly kind: ArithmeticErrorKind;
+
+  constructor(kind: ArithmeticErrorKind) {
+    super(errorMessages[kind]);
+    this.name = 'ArithmeticError';
+    this.kind = kind;
+  }
+}
+
+// Calculations throw an ArithmeticError when they fail; `format` yields 'NaN' for values it cannot read
+export interface Arithmetic {
+  readonly precision: number;
+  // Radix of the values, whether they are integers only and whether they may be complex, e.g. '3+4i',
+  // or fractions, e.g. '7/3'
+  readonly radix: number;
+  readonly integer: boolean;
+  readonly complex: boolean;
+  readonly fraction: boolean;
+  calculate: (first: string, second: string, op: Operator) => string;
+  percent: (value: string) => string;
+  apply: (fn: UnaryFunction, value: string) => string;
+  constant: (name: Constant) => string;
+  format: (value: string) => string;
+}
+
+export const defaultArithmeticSettings: ArithmeticSettings = {
+  arithmetic: 'float',
+  precision: 14,
+  scale: 20,
+  roundingMode: 'half-up',
+  angleUnit: 'deg',
+};
+
+export function formatResult(value: number, precision = defaultArithmeticSettings.precision): string {
+  return Number(value)
+    .toPrecision(precision)
+    .replace(/\.?0+(?=e|$)/, '');
+}
+
+// Largest decimal exponent of a result, the range of a double; beyond it a result overflows
+export const maxExponent = 308;
+
+// Rejects floating-point results that are not a finite number
+const finite = (value: number): number => {
+  if (Number.isNaN(value)) throw new ArithmeticError('invalid');
+  if (!Number.isFinite(value)) throw new ArithmeticError('overflow');
+  return value;
+};
+
+// A plain decimal number such as '-1.5e3'; fractions like '7/3' and complex values like '3+4i' are not,
+// although parseFloat would read their leading digits
+const plainNumber = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+
+const isInteger = (value: unknown, min: number, max: number): value is number =>
+  Number.isInteger(value) && (value as number) >= min && (value as number) <= max;
+
+// Picks the valid arithmetic settings out of a loaded config, falling back to the defaults
+export function parseArithmeticSettings(data: Record<string, unknown>): ArithmeticSettings {
+  const settings = { ...defaultArithmeticSettings };
+  if (data.arithmetic === 'float' || data.arithmetic === 'decimal') settings.arithmetic = data.arithmetic;
+  if (isInteger(data.precision, 1, 100)) settings.precision = data.precision;
+  if (isInteger(data.scale, 0, 100)) settings.scale = data.scale;
+  if (roundingModes.includes(data.roundingMode as RoundingMode)) {
+    settings.roundingMode = data.roundingMode as RoundingMode;
+  }
+  if (angleUnits.includes(data.angleUnit as AngleUnit)) settings.angleUnit = data.angleUnit as AngleUnit;
+  return settings;
+}
+
+export function floatArithmetic(
+  precision = defaultArithmeticSettings.precision,
+  angleUnit = defaultArithmeticSettings.angleUnit
+): Arithmetic {
+  const calculate = (first: number, second: number, op: Operator): number => {
+    switch (op) {
+      case '+':
+        return first + second;
+      case '-':
+        return first - second;
+      case '*':
+        return first * second;
+      case '/':
+        if (second === 0) throw new ArithmeticError('divide-by-zero');
+        return first / second;
+      case '^':
+        return power(first, second);
+      case 'yroot':
+        return root(first, second);
+      case 'markup':
+        return first + (first * second) / 100;
+      case 'margin':
+        if (second === 100) throw new ArithmeticError('divide-by-zero');
+        return (first * 100) / (100 - second);
+      case 'delta':
+        if (first === 0) throw new ArithmeticError('divide-by-zero');
+        return ((second - first) * 100) / first;
+      case 'share':
+        if (first === 0) throw new ArithmeticError('divide-by-zero');
+        return (second * 100) / first;
+      default:
+        return NaN;
+    }
+  };
+
+  return {
+    precision,
+    radix: 10,
+    integer: false,
+    complex: false,
+    fraction: false,
+    calculate: (first, second, op) => String(finite(calculate(parseFloat(first), parseFloat(second), op))),
+    percent: (value) => String(finite(parseFloat(value) / 100)),
+    apply: (fn, value) => {
+      if (fn === 'recip' && parseFloat(value) === 0) throw new ArithmeticError('divide-by-zero');
+      return String(finite(applyFunction(fn, parseFloat(value), angleUnit)));
+    },
+    constant: (name) => String(constants[name]),
+    format: (value) => {
+      const number = plainNumber.test(value.trim()) ? Number(value) : NaN;
+      return Number.isFinite(number) ? formatResult(number, precision) : 'NaN';
+    },
+  };
+}
+
+// Exact factorials grow quickly; beyond this the display could only show an approximation anyway
+const maxDecimalFactorial = 1000;
+
+export function decimalArithmetic(
+  precision = defaultArithmeticSettings.precision,
+  scale = defaultArithmeticSettings.scale,
+  roundingMode = defaultArithmeticSettings.roundingMode,
+  angleUnit = defaultArithmeticSettings.angleUnit
+): Arithmetic {
+  const one = Decimal.parse('1');
+  const hundred = Decimal.parse('100');
+
+  const divide = (dividend: Decimal, divisor: Decimal): Decimal => {
+    if (divisor.isZero()) throw new ArithmeticError('divide-by-zero');
+    return dividend.divide(divisor, scale, roundingMode);
+  };
+
+  // Functions without an exact decimal counterpart are evaluated in floating point
+  const approximate = (value: number): Decimal => Decimal.fromNumber(finite(value));
+
+  const calculate = (first: Decimal, second: Decimal, op: Operator): Decimal => {
+    switch (op) {
+      case '+':
+        return first.add(second);
+      case '-':
+        return first.subtract(second);
+      case '*':
+        return first.multiply(second);
+      case '/':
+        return divide(first, second);
+      case '^':
+        return Number.isInteger(second.toNumber()) && Math.abs(second.toNumber()) <= 10000
+          ? first.pow(second.toNumber(), scale, roundingMode)
+          : approximate(power(first.toNumber(), second.toNumber()));
+      case 'yroot':
+        return second.toNumber() === 2
+          ? first.sqrt(scale, roundingMode)
+          : approximate(root(first.toNumber(), second.toNumber()));
+      case 'markup':
+        return first.add(divide(first.multiply(second), hundred));
+      case 'margin':
+        return divide(first.multiply(hundred), hundred.subtract(second));
+      case 'delta':
+        return divide(second.subtract(first).multiply(hundred), first);
+      case 'share':
+        return divide(second.multiply(hundred), first);
+      default:
+        throw new RangeError(`Operator '${op}' is not available for decimals`);
+    }
+  };
+
+  const apply = (fn: UnaryFunction, value: Decimal): Decimal => {
+    switch (fn) {
+      case 'sqr':
+        return value.multiply(value);
+      case 'sqrt':
+        return value.sqrt(scale, roundingMode);
+      case 'recip':
+        return divide(one, value);
+      case 'abs':
+        return value.isNegative() ? value.negate() : value;
+      case 'fact':
+        return factorial(value);
+      default:
+        return approximate(applyFunction(fn, value.toNumber(), angleUnit));
+    }
+  };
+
+  const factorial = (value: Decimal): Decimal => {
+    const n = value.toNumber();
+    if (!Number.isInteger(n) || n < 0 || n > maxDecimalFactorial) throw new RangeError(`Invalid factorial: ${n}`);
+    let result = one;
+    for (let i = 2; i <= n; i++) result = result.multiply(Decimal.parse(String(i)));
+    return result;
+  };
+
+  // Results share the range of the float backend; other failures such as unreadable operands are invalid input
+  const guarded = (fn: () => Decimal): string => {
+    let result: Decimal;
+    try {
+      result = fn().round(scale, roundingMode);
+    } catch (err) {
+      throw err instanceof ArithmeticError ? err : new ArithmeticError('invalid');
+    }
+    if (result.magnitude() > maxExponent) throw new ArithmeticError('overflow');
+    return result.toString();
+  };
+
+  return {
+    precision,
+    radix: 10,
+    integer: false,
+    complex: false,
+    fraction: false,
+    calculate: (first, second, op) => guarded(() => calculate(Decimal.parse(first), Decimal.parse(second), op)),
+    percent: (value) => guarded(() => divide(Decimal.parse(value), hundred)),
+    apply: (fn, value) => guarded(() => apply(fn, Decimal.parse(value))),
+    constant: (name) => guarded(() => approximate(constants[name])),
+    format: (value) => {
+      try {
+        return Decimal.parse(value).toPrecision(precision, roundingMode);
+      } catch {
+        return 'NaN';
+      }
+    },
+  };
+}
+
+// The value of `value`% as second operand of `op`: a share of the first operand for + and −, so that
+// 200 + 10% is 220, and a plain ratio otherwise, so that 200 × 10% is 20. The business operators take
+// percentages as they are: 100 markup 25% is 125.
+export function percentOperand(arithmetic: Arithmetic, first: string, value: string, op: Operator): string {
+  if (businessOperators.includes(op)) return value;
+  const ratio = arithmetic.percent(value);
+  return op === '+' || op === '-' ? arithmetic.calculate(first, ratio, '*') : ratio;
+}
+
+export function createArithmetic(settings: ArithmeticSettings = defaultArithmeticSettings): Arithmetic {
+  return settings.arithmetic === 'decimal'
+    ? decimalArithmetic(settings.precision, settings.scale, settings.roundingMode, settings.angleUnit)
+    : floatArithmetic(settings.precision, settings.angleUnit);
+}
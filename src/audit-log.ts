@@ -0,0 +1,17 @@
+// audit-log.ts
+// Records executed calculations at the `/log` audit endpoint of the dev server.
+import type { ArithmeticErrorKind } from './arithmetic';
+
+export const sendLogEntry = async (expression: string, error?: ArithmeticErrorKind) => {
+  const timestamp = new Date().toISOString();
+  const logEntry = `Executed calculation at ${timestamp}: '${expression}'${error ? ` (error: ${error})` : ''}`;
+  try {
+    await fetch('/log', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: logEntry,
+    });
+  } catch (err) {
+    console.warn('Failed to send log entry:', err);
+  }
+};
@@ -0,0 +1,44 @@
+import { createContext, useContext, type Accessor } from 'solid-js';
+
+export interface Keypad {
+  // Action currently triggered from the keyboard, so the matching button can show its pressed state
+  pressedAction: Accessor<string | null>;
+  runAction: (action: string) => void;
+  // True for actions that are ignored at the moment, e.g. operators while an error is shown
+  locked: (action: string) => boolean;
+}
+
+export const KeypadContext = createContext<Keypad>({
+  pressedAction: () => null,
+  runAction: () => {},
+  locked: () => false,
+});
+
+// A keypad button either handles clicks itself or runs its action through the surrounding keypad
+export default function Button(props: {
+  label: string;
+  onClick?: () => void;
+  class?: string;
+  title?: string;
+  action?: string;
+  disabled?: boolean;
+}) {
+  const keypad = useContext(KeypadContext);
+
+  const click = () => {
+    if (props.onClick) props.onClick();
+    else if (props.action) keypad.runAction(props.action);
+  };
+
+  return (
+    <button
+      class={`btn w-full ${props.class?.includes('col-span-2') ? '' : 'aspect-square'} ${props.class || 'btn-digit'}`}
+      classList={{ 'btn-active brightness-75': props.action != null && keypad.pressedAction() === props.action }}
+      title={props.title}
+      disabled={props.disabled || (props.action != null && keypad.locked(props.action))}
+      onClick={click}
+    >
+      {props.label}
+    </button>
+  );
+}
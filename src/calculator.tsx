@@ -1,216 +1,882 @@
-import { createSignal, onMount } from 'solid-js';
+import { useSearchParams } from '@solidjs/router';
+import { createMemo, createSignal, For, onCleanup, onMount, Show } from 'solid-js';
+import { ArithmeticError, createArithmetic, errorMessages } from './arithmetic';
+import { sendLogEntry } from './audit-log';
+import { readPastedText } from './clipboard';
+import Button, { KeypadContext } from './button';
+import { complexArithmetic, formatPolar } from './complex';
+import {
+  define,
+  definitionCount,
+  maxDefinitions,
+  parseDefinition,
+  removeDefinition,
+  type Definition,
+  type Definitions,
+} from './definitions';
+import DefinitionsPanel from './definitions-panel';
+import Display from './display';
+import {
+  initialState,
+  openParentheses,
+  pendingExpression,
+  transition,
+  unlockingEvents,
+  type Calculation,
+  type CalculatorEvent,
+  type EngineOptions,
+} from './engine';
+import { addHistoryEntry, clearHistory, deleteHistoryEntry, fetchHistory, type HistoryEntry } from './history';
+import { formatFraction, fractionArithmetic, fractionDisplays, type FractionDisplay } from './fraction';
+import { computeTvm, defaultTvm, describeTvm, effectiveRate, formatTvm, type Tvm, type TvmKey } from './financial';
+import FinancialKeypad from './financial-keypad';
+import HistoryDrawer from './history-drawer';
+import { actionForKey, actionToEvent, memoryAction, resolveKeyBindings } from './keyboard';
+import { createLocalizer, notations, type Notation } from './locale';
+import {
+  activeSlot,
+  addMemorySlot,
+  applyMemoryKey,
+  defaultMemory,
+  loadMemory,
+  recalledValue,
+  removeMemorySlot,
+  renameMemorySlot,
+  saveMemory,
+  type Memory,
+  type MemoryKey,
+} from './memory';
+import MemoryPanel from './memory-panel';
+import { evaluate } from './parser';
+import { formatInteger, programmerArithmetic, radixNames, readInteger, type ProgrammerSettings } from './programmer';
+import ProgrammerKeypad from './programmer-keypad';
+import ScientificKeypad from './scientific-keypad';
+import { calculationToShare, parseShareParams, shareLink, shareParamNames, type ShareParams } from './share';
+import StandardKeypad from './standard-keypad';
+import { loadStatistics, maxDataPoints, removeDataPoint, saveStatistics, type DataPoint } from './statistics';
+import StatisticsKeypad from './statistics-keypad';
+import { defaultSettings, keypadModes, loadConfig, saveConfig, type KeypadMode, type Settings } from './settings';
+import { emptyTape, grandTotal, recordTape, subtotal, tapeSteps, type TapeLine } from './tape';
+import TapePanel from './tape-panel';
 import './index.css';
 
+const keypadLabels: Record<KeypadMode, string> = {
+  basic: '🔢 Basic',
+  scientific: '🧪 Sci',
+  programmer: '💻 Prog',
+  statistics: '📊 Stat',
+  financial: '💰 Fin',
+};
+
+const fractionDisplayLabels: Record<FractionDisplay, string> = {
+  improper: '7/3',
+  mixed: '2 1/3',
+  decimal: '2.33',
+};
+
+// Locales offered in the settings menu; '' follows the browser language
+const localeOptions = ['', 'en-US', 'en-GB', 'en-IN', 'de-DE', 'de-CH', 'fr-FR', 'es-ES', 'it-IT', 'pt-BR', 'ja-JP'];
+
 export default function Calculator() {
-  const [display, setDisplay] = createSignal('0');
-  const [operator, setOperator] = createSignal<string | null>(null);
-  const [firstValue, setFirstValue] = createSignal<string | null>(null);
-  const [waitingForOperand, setWaitingForOperand] = createSignal(false);
-  const [expression, setExpression] = createSignal('');
-  const [theme, setTheme] = createSignal('light');
+  const [state, setState] = createSignal(initialState());
+  const [settings, setSettings] = createSignal(defaultSettings);
+  const programmer = () => settings().keypad === 'programmer';
+  // Word settings for converting memory slots, which are stored in decimal
+  const programmerSettings = () => (programmer() ? settings() : null);
+  const arithmetic = createMemo(() =>
+    programmer()
+      ? programmerArithmetic(settings())
+      : settings().complex
+        ? complexArithmetic(settings())
+        : settings().fractions
+          ? fractionArithmetic(settings())
+          : createArithmetic(settings())
+  );
+  const [history, setHistory] = createSignal<HistoryEntry[]>([]);
+  const [historyOpen, setHistoryOpen] = createSignal(false);
+  const [memory, setMemory] = createSignal(defaultMemory);
+  const [memoryError, setMemoryError] = createSignal<string | null>(null);
+  const [pressedAction, setPressedAction] = createSignal<string | null>(null);
+  const [dataPoints, setDataPoints] = createSignal<DataPoint[]>([]);
+  const [pendingX, setPendingX] = createSignal<string | null>(null);
+  const [tvm, setTvm] = createSignal(defaultTvm);
+  const [tvmError, setTvmError] = createSignal<string | null>(null);
+  const [tape, setTape] = createSignal(emptyTape);
+  const [lastCalculation, setLastCalculation] = createSignal<Calculation | null>(null);
+  const [linkCopied, setLinkCopied] = createSignal(false);
+  // Why pasted text was refused, shown in place of the value until the next input
+  const [pasteError, setPasteError] = createSignal<string | null>(null);
+  const [searchParams, setSearchParams] = useSearchParams<ShareParams>();
+  const localizer = createMemo(() => createLocalizer(settings(), settings().precision));
+  const keyBindings = createMemo(() => resolveKeyBindings(settings().keyBindings, localizer().decimalSeparator));
 
-  const digitLimit = 14;
+  // Programmer values are integers in the selected radix and are shown as they are
+  const localize = (value: string) => {
+    if (programmer()) return value;
+    // Complex values such as '3+4i' are localized part by part, optionally in polar form
+    if (arithmetic().complex && value.endsWith('i')) {
+      const { complexDisplay, angleUnit, precision } = settings();
+      return localizer().text(complexDisplay === 'polar' ? formatPolar(value, angleUnit, precision) : value);
+    }
+    // Fractions are shown improper, mixed or as decimals; fractions too long for the display become decimals
+    if (arithmetic().fraction) {
+      const text = formatFraction(value, settings().fractionDisplay, settings().precision);
+      return text.includes('/') ? localizer().text(text) : localizer().number(text);
+    }
+    return localizer().number(value);
+  };
+  // A fraction being typed is shown as it is typed, '0.25' does not turn into '1/4' before it is complete
+  const localizeDisplay = () =>
+    arithmetic().fraction && !state().waitingForOperand ? localizer().text(state().display) : localize(state().display);
+  const localizeText = (text: string) => (programmer() ? text : localizer().text(text));
+  // Tape lines hold operands and results, typed expressions or error messages
+  const localizeTapeLine = (line: TapeLine) =>
+    line.kind === 'error' || line.value === ''
+      ? line.value
+      : line.key === 'evaluate'
+        ? localizeText(line.value)
+        : localize(line.value);
 
-  onMount(() => {
-    loadConfig();
+  onMount(async () => {
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    onCleanup(() => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    });
+    fetchHistory().then(setHistory);
+    loadMemory().then((loaded) => loaded && setMemory(loaded));
+    loadStatistics().then((loaded) => loaded && setDataPoints(loaded));
+    const loaded = await loadConfig();
+    if (loaded) {
+      setSettings(loaded);
+      document.documentElement.setAttribute('data-theme', loaded.theme);
+    }
+    restoreSharedCalculation();
   });
 
-  const loadConfig = async () => {
+  const updateSettings = (updates: Partial<Settings>) => {
+    setSettings({ ...settings(), ...updates });
+    saveConfig(updates);
+  };
+
+  const recordCalculation = async (calculation: Calculation) => {
+    // Programmer results in other radixes are marked so the log stays unambiguous
+    const radix = programmer() && settings().radix !== 10 ? ` (${radixNames[settings().radix]})` : '';
+    sendLogEntry(`${calculation.expression} = ${calculation.result}${radix}`, calculation.error);
+    // Failed calculations are only logged, the history keeps results that can be recalled
+    if (calculation.error) return;
+    const entry = await addHistoryEntry(calculation);
+    if (entry) setHistory([entry, ...history()]);
+  };
+
+  const toggleTheme = () => {
+    const next = settings().theme === 'light' ? 'dark' : 'light';
+    document.documentElement.setAttribute('data-theme', next);
+    updateSettings({ theme: next });
+  };
+
+  // Fractions being typed cannot be read by the other backends, so switching starts over
+  const toggleFractions = (fractions: boolean) => {
+    updateSettings({ fractions });
+    setState(initialState());
+  };
+
+  // Complex values being typed or pending cannot be read by the real backends, so switching starts over
+  const toggleComplex = (complex: boolean) => {
+    updateSettings({ complex });
+    setState(initialState());
+  };
+
+  // Pending input is interpreted differently by the other mode, so switching starts over
+  const toggleEvaluation = () => {
+    updateSettings({ evaluation: settings().evaluation === 'expression' ? 'immediate' : 'expression' });
+    setState(initialState());
+  };
+
+  // Integer and decimal values do not mix, so entering or leaving the programmer keypad starts over
+  const changeKeypad = (keypad: KeypadMode) => {
+    if ((keypad === 'programmer') !== programmer()) setState(initialState());
+    updateSettings({ keypad });
+  };
+
+  // Keeps the value on the display, converted to the new radix or word size; a pending operation is dropped
+  const changeProgrammerSettings = (updates: Partial<ProgrammerSettings>) => {
+    const value = readInteger(state().display, settings());
+    updateSettings(updates);
+    setState({ ...initialState(), display: value == null ? '0' : formatInteger(value, settings()) });
+  };
+
+  const toggleBit = (bit: number) => {
+    const value = readInteger(state().display, settings());
+    if (value != null) dispatch({ type: 'recall', value: formatInteger(value ^ (1n << BigInt(bit)), settings()) });
+  };
+
+  const definitions = (): Definitions => ({ variables: settings().variables, functions: settings().functions });
+
+  const engineOptions = (): EngineOptions => ({
+    arithmetic: arithmetic(),
+    evaluation: settings().evaluation,
+    definitions: definitions(),
+  });
+
+  // Runs an event through the engine and prints it on the tape; returns the calculation it completed, if any
+  const advance = (event: CalculatorEvent): Calculation | null => {
+    setPasteError(null);
+    const next = transition(state(), event, engineOptions());
+    if (settings().tape) setTape(recordTape(tape(), state(), event, next, engineOptions()));
+    setState(next);
+    if (next.completed) setLastCalculation(next.completed);
+    return next.completed;
+  };
+
+  const dispatch = (event: CalculatorEvent) => {
+    const completed = advance(event);
+    if (completed) recordCalculation(completed);
+  };
+
+  // A shared link is calculated once and removed from the address bar; its settings apply to this visit and
+  // are not saved. When the expression fails here, the sender's result is shown instead.
+  const restoreSharedCalculation = () => {
+    const shared = parseShareParams(searchParams);
+    if (!shared) return;
+    setSearchParams(Object.fromEntries(shareParamNames.map((name) => [name, undefined])), { replace: true });
+    setSettings({ ...settings(), ...shared.settings });
+    setState(initialState());
+    dispatch({ type: 'evaluate', expression: shared.expression });
+    if (state().error && shared.result) dispatch({ type: 'recall', value: shared.result });
+  };
+
+  // Falls back to a prompt to copy from where the clipboard is not available, e.g. on plain http
+  const copyLink = async () => {
+    const calculation = calculationToShare(state(), lastCalculation(), settings().evaluation);
+    const link = shareLink(window.location.origin, calculation, settings());
     try {
-      const res = await fetch('/config');
-      const data = await res.json();
-      if (data.theme === 'light' || data.theme === 'dark') {
-        setTheme(data.theme);
-        document.documentElement.setAttribute('data-theme', data.theme);
-      }
-    } catch (err) {
-      console.warn('Failed to load config:', err);
+      await window.navigator.clipboard.writeText(link);
+      setLinkCopied(true);
+      window.setTimeout(() => setLinkCopied(false), 1500);
+    } catch {
+      window.prompt('Copy the link to this calculation:', link);
     }
   };
 
-  const saveConfig = async (updates: { theme?: string }) => {
+  // A replayed tape starts over and prints its lines again, with totals calculated anew; its calculations are
+  // not added to the history and the log again
+  const replayTape = (lines: TapeLine[]) => {
+    setState(initialState());
+    setTape(emptyTape);
+    for (const step of tapeSteps(lines)) {
+      if (step.type === 'subtotal') setTape(subtotal(tape(), state(), engineOptions()));
+      else if (step.type === 'grandTotal') setTape(grandTotal(tape()));
+      else advance(step);
+    }
+  };
+
+  const readDefinition = (text: string) => parseDefinition(text, arithmetic().radix, arithmetic().complex);
+
+  // A variable stores the value of its right-hand side, calculated without touching the display or the history;
+  // returns false when the value fails or there are too many definitions
+  const storeDefinition = ({ name, parameters, body }: Definition): boolean => {
+    const known = Object.hasOwn(settings().variables, name) || Object.hasOwn(settings().functions, name);
+    if (!known && definitionCount(definitions()) >= maxDefinitions) return false;
+    if (parameters) {
+      updateSettings(define(definitions(), name, { parameters, body }));
+      return true;
+    }
     try {
-      await fetch('/config', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updates),
-      });
+      const value = arithmetic().format(evaluate(body, arithmetic(), definitions()));
+      if (value === 'NaN') return false;
+      updateSettings(define(definitions(), name, value));
+      return true;
     } catch (err) {
-      console.warn('Failed to save config:', err);
+      if (err instanceof ArithmeticError || err instanceof SyntaxError) return false;
+      throw err;
     }
   };
 
-  const sendLogEntry = async (expression: string) => {
-    const timestamp = new Date().toISOString();
-    const logEntry = `Executed calculation at ${timestamp}: '${expression}'`;
+  // Edited expressions such as 'rate = 0.19' are definitions, everything else is calculated
+  const evaluateInput = (text: string) => {
+    const definition = readDefinition(text);
+    if (definition) storeDefinition(definition);
+    else dispatch({ type: 'evaluate', expression: text });
+  };
+
+  // The value on the display as copied, locale-formatted if set; null while an error is shown
+  const copyText = () => (state().error ? null : settings().copyFormatted ? localizeDisplay() : state().display);
+
+  const copyToClipboard = async (): Promise<boolean> => {
+    const text = copyText();
+    if (text == null) return false;
     try {
-      await fetch('/log', {
-        method: 'POST',
-        headers: { 'Content-Type': 'text/plain' },
-        body: logEntry,
-      });
-    } catch (err) {
-      console.warn('Failed to send log entry:', err);
+      await window.navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      window.prompt('Copy the value:', text);
+      return false;
     }
   };
 
-  const toggleTheme = () => {
-    const next = theme() === 'light' ? 'dark' : 'light';
-    setTheme(next);
-    document.documentElement.setAttribute('data-theme', next);
-    saveConfig({ theme: next });
+  // A pasted number becomes the operand; expressions and definitions are calculated like an edited expression
+  const pasteText = (text: string) => {
+    setPasteError(null);
+    const input = readPastedText(text, arithmetic(), localizer().decimalSeparator, definitions());
+    if (input.type === 'invalid') setPasteError(input.message);
+    else if (input.type === 'number') dispatch({ type: 'recall', value: input.value });
+    else evaluateInput(input.expression);
   };
 
-  function formatResult(value: number): string {
-    return Number(value)
-      .toPrecision(digitLimit)
-      .replace(/\.?0+$/, '');
-  }
+  // Reading the clipboard needs the browser's permission; Ctrl+V works without it
+  const pasteFromClipboard = async () => {
+    try {
+      pasteText(await window.navigator.clipboard.readText());
+    } catch {
+      setPasteError('Paste with Ctrl+V');
+    }
+  };
 
-  function applyDigitLimit(input: string): string {
-    const unsigned = input.startsWith('-') || input.startsWith('+') ? input.slice(1) : input;
-    const digitsOnly = unsigned.replace('.', '');
-    const excess = digitsOnly.length - digitLimit;
+  const recallFromHistory = (event: CalculatorEvent) => {
+    dispatch(event);
+    setHistoryOpen(false);
+  };
 
-    return excess <= 0 ? input : input.slice(0, input.length - excess);
-  }
+  const removeHistoryEntry = (entry: HistoryEntry) => {
+    setHistory(history().filter((e) => e.id !== entry.id));
+    deleteHistoryEntry(entry.id);
+  };
 
-  const inputDigit = (digit: string) => {
-    const current = display();
-    const next = waitingForOperand() ? digit : current === '0' ? digit : current + digit;
-    setDisplay(applyDigitLimit(next));
-    setWaitingForOperand(false);
+  const updateMemory = (next: Memory) => {
+    setMemory(next);
+    saveMemory(next).then((saved) => setMemoryError(saved ? null : 'Memory could not be saved'));
   };
 
-  const inputDot = () => {
-    const current = display();
-    if (!current.includes('.')) {
-      setDisplay(applyDigitLimit(current + '.'));
-    }
+  // Storing completes the operand on the display, so the next digit starts a new number
+  const pressMemoryKey = (key: MemoryKey) => {
+    updateMemory(applyMemoryKey(memory(), key, state().display, arithmetic(), programmerSettings()));
+    if (key !== 'MC') dispatch({ type: 'recall', value: state().display });
   };
 
-  const clear = () => {
-    setDisplay('0');
-    setOperator(null);
-    setFirstValue(null);
-    setWaitingForOperand(false);
-    setExpression('');
+  const updateDataPoints = (next: DataPoint[]) => {
+    setDataPoints(next);
+    saveStatistics(next);
   };
 
-  const toggleSign = () => {
-    setDisplay(display().startsWith('-') ? display().slice(1) : '-' + display());
+  // Σ+ and Σ− take the display as x, or as y after x,y; like a memory key they complete the operand
+  const displayPoint = (): DataPoint => {
+    const x = pendingX();
+    setPendingX(null);
+    dispatch({ type: 'recall', value: state().display });
+    return x == null ? { x: state().display, y: null } : { x, y: state().display };
   };
 
-  const inputPercent = () => {
-    const value = parseFloat(display());
-    if (!isNaN(value)) setDisplay(String(value / 100));
+  const addDataPoint = () => {
+    if (state().error || dataPoints().length >= maxDataPoints) return;
+    updateDataPoints([...dataPoints(), displayPoint()]);
   };
 
-  const performOperation = (nextOperator: string) => {
-    const inputValue = parseFloat(display());
-    if (firstValue() == null) {
-      setFirstValue(display());
-      setExpression(`${display()}`);
-    } else if (operator()) {
-      setExpression(expression() + ` ${operator()} ${display()}`);
-      const result = calculate(parseFloat(firstValue()!), inputValue, operator()!);
-      setDisplay(formatResult(result));
-      setFirstValue(String(result));
-    }
-    setOperator(nextOperator);
-    setWaitingForOperand(true);
-  };
-
-  const calculate = (first: number, second: number, op: string): number => {
-    switch (op) {
-      case '+':
-        return first + second;
-      case '-':
-        return first - second;
-      case '*':
-        return first * second;
-      case '/':
-        return second !== 0 ? first / second : NaN;
-      default:
-        return second;
+  const removeDisplayPoint = () => {
+    if (state().error) return;
+    updateDataPoints(removeDataPoint(dataPoints(), displayPoint(), arithmetic()));
+  };
+
+  const storePairX = () => {
+    if (state().error) return;
+    setPendingX(state().display);
+    dispatch({ type: 'recall', value: state().display });
+  };
+
+  const updateTvm = (updates: Partial<Tvm>) => {
+    setTvm({ ...tvm(), ...updates });
+    setTvmError(null);
+  };
+
+  // Like a memory key, storing a TVM value completes the operand on the display
+  const storeTvm = (key: TvmKey) => {
+    if (state().error) return;
+    updateTvm({ [key]: state().display });
+    dispatch({ type: 'recall', value: state().display });
+  };
+
+  // A solved value is kept at full precision and shown rounded; failures leave the values as they are
+  const solveTvm = (key: TvmKey) => {
+    const expression = describeTvm(key, tvm());
+    try {
+      const value = computeTvm(key, tvm());
+      updateTvm({ [key]: value });
+      dispatch({ type: 'recall', value: formatTvm(value, settings().precision) });
+      sendLogEntry(`${expression} = ${formatTvm(value)}`);
+    } catch (err) {
+      if (!(err instanceof ArithmeticError)) throw err;
+      setTvmError(err.message);
+      sendLogEntry(`${expression} = ${err.message}`, err.kind);
     }
   };
 
-  const handleEquals = () => {
-    if (operator() && firstValue() != null) {
-      const first = parseFloat(firstValue()!);
-      const second = parseFloat(display());
-      setExpression(expression() + ` ${operator()} ${display()}`);
-      const result = calculate(first, second, operator()!);
-      const formatted = formatResult(result);
-      setExpression(expression() + ` = ${formatted}`);
-      setDisplay(formatted);
-      setFirstValue(null);
-      setOperator(null);
-      setWaitingForOperand(false);
-
-      sendLogEntry(expression());
-      setExpression('');
+  const showEffectiveRate = () => {
+    const value = effectiveRate(tvm(), settings().precision);
+    dispatch({ type: 'recall', value });
+    sendLogEntry(`EFF(I/Y=${formatTvm(tvm().rate)}, P/Y=${tvm().periodsPerYear}) = ${value}`);
+  };
+
+  const removeAllHistory = () => {
+    setHistory([]);
+    clearHistory();
+  };
+
+  // While an error is shown only AC and new input are accepted; MR counts as new input
+  const locked = (action: string) => {
+    const event = actionToEvent(action);
+    return state().error != null && action !== 'memory:MR' && !(event && unlockingEvents.includes(event.type));
+  };
+
+  const errorMessage = () => {
+    const error = state().error;
+    return error ? errorMessages[error] : undefined;
+  };
+
+  const runAction = (action: string) => {
+    if (locked(action)) return;
+    const memoryKey = memoryAction(action);
+    if (memoryKey === 'MR')
+      dispatch({ type: 'recall', value: recalledValue(activeSlot(memory()).value, programmerSettings()) });
+    else if (memoryKey) pressMemoryKey(memoryKey);
+    else {
+      const event = actionToEvent(action);
+      if (event) dispatch(event);
     }
   };
 
-  const Button = (props: { label: string; onClick: () => void; class?: string }) => (
-    <button
-      class={`btn w-full ${props.class?.includes('col-span-2') ? '' : 'aspect-square'} ${props.class || 'btn-digit'}`}
-      onClick={() => props.onClick()}
-    >
-      {props.label}
-    </button>
-  );
+  let releaseTimer: number | undefined;
+
+  const inTextField = (target: EventTarget | null) =>
+    target instanceof HTMLElement && target.closest('input, textarea, select') != null;
+
+  const handleKeyDown = (e: KeyboardEvent) => {
+    // Leave shortcuts and text fields (e.g. memory slot names) to the browser
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (inTextField(e.target)) return;
+
+    const action = actionForKey(keyBindings(), e.key);
+    if (!action) return;
+    // Keeps Enter from also clicking the focused button
+    e.preventDefault();
+    runAction(action);
+
+    setPressedAction(action);
+    window.clearTimeout(releaseTimer);
+    releaseTimer = window.setTimeout(() => setPressedAction(null), 150);
+  };
+
+  // Ctrl+C copies the display unless text is selected or a text field has the focus
+  const handleCopy = (e: ClipboardEvent) => {
+    const text = copyText();
+    if (inTextField(e.target) || window.getSelection()?.toString() || text == null || !e.clipboardData) return;
+    e.clipboardData.setData('text/plain', text);
+    e.preventDefault();
+  };
+
+  const handlePaste = (e: ClipboardEvent) => {
+    const text = e.clipboardData?.getData('text/plain');
+    if (inTextField(e.target) || text == null) return;
+    e.preventDefault();
+    pasteText(text);
+  };
 
   return (
-    <div class="max-w-xs mx-auto mt-10 p-6 bg-base-200 rounded-box shadow text-center">
-      <div class="flex justify-end mb-4">
-        <button class="btn btn-sm btn-outline" onClick={toggleTheme}>
-          {theme() === 'light' ? '🌙 Dark' : '☀️ Light'}
-        </button>
-      </div>
+    <div class="drawer">
+      <input id="definitions-drawer" type="checkbox" class="drawer-toggle" />
+      <div class="drawer-content">
+        <div class="drawer drawer-end">
+          <input
+            id="history-drawer"
+            type="checkbox"
+            class="drawer-toggle"
+            checked={historyOpen()}
+            onChange={(e) => setHistoryOpen(e.currentTarget.checked)}
+          />
+          <div class="drawer-content">
+            <KeypadContext.Provider value={{ pressedAction, runAction, locked }}>
+              <div class="max-w-xs mx-auto mt-10 p-6 bg-base-200 rounded-box shadow text-center">
+                <div class="flex justify-between mb-4">
+                  <div class="flex gap-2">
+                    <label for="history-drawer" class="btn btn-sm btn-outline" title="History">
+                      🕘
+                    </label>
+                    <label
+                      for="definitions-drawer"
+                      class="btn btn-sm btn-outline font-serif italic"
+                      title="Variables and functions"
+                    >
+                      x
+                    </label>
+                    <div class="dropdown">
+                      <div tabindex="0" role="button" class="btn btn-sm btn-outline" title="Settings">
+                        ⚙️
+                      </div>
+                      <ul
+                        tabindex="0"
+                        class="dropdown-content menu bg-base-100 rounded-box z-10 w-56 p-2 shadow text-left"
+                      >
+                        <li>
+                          <label class="flex justify-between">
+                            Exact decimals
+                            <input
+                              type="checkbox"
+                              class="toggle toggle-sm"
+                              checked={settings().arithmetic === 'decimal'}
+                              onChange={(e) =>
+                                updateSettings({ arithmetic: e.currentTarget.checked ? 'decimal' : 'float' })
+                              }
+                            />
+                          </label>
+                        </li>
+                        <li class={programmer() || settings().complex ? 'menu-disabled' : ''}>
+                          <label class="flex justify-between">
+                            Fractions
+                            <input
+                              type="checkbox"
+                              class="toggle toggle-sm"
+                              checked={settings().fractions}
+                              disabled={programmer() || settings().complex}
+                              onChange={(e) => toggleFractions(e.currentTarget.checked)}
+                            />
+                          </label>
+                        </li>
+                        <li class={programmer() ? 'menu-disabled' : ''}>
+                          <label class="flex justify-between">
+                            Complex numbers
+                            <input
+                              type="checkbox"
+                              class="toggle toggle-sm"
+                              checked={settings().complex}
+                              disabled={programmer()}
+                              onChange={(e) => toggleComplex(e.currentTarget.checked)}
+                            />
+                          </label>
+                        </li>
+                        <li class={programmer() ? 'menu-disabled' : ''}>
+                          <label class="flex justify-between">
+                            Business keys
+                            <input
+                              type="checkbox"
+                              class="toggle toggle-sm"
+                              checked={settings().businessKeys}
+                              disabled={programmer()}
+                              onChange={(e) => updateSettings({ businessKeys: e.currentTarget.checked })}
+                            />
+                          </label>
+                        </li>
+                        <li>
+                          <label class="flex justify-between">
+                            Paper tape
+                            <input
+                              type="checkbox"
+                              class="toggle toggle-sm"
+                              checked={settings().tape}
+                              onChange={(e) => updateSettings({ tape: e.currentTarget.checked })}
+                            />
+                          </label>
+                        </li>
+                        <li>
+                          <label class="flex justify-between">
+                            Operator precedence
+                            <input
+                              type="checkbox"
+                              class="toggle toggle-sm"
+                              checked={settings().evaluation === 'expression'}
+                              onChange={toggleEvaluation}
+                            />
+                          </label>
+                        </li>
+                        <li>
+                          <label class="flex justify-between">
+                            Copy with number format
+                            <input
+                              type="checkbox"
+                              class="toggle toggle-sm"
+                              checked={settings().copyFormatted}
+                              onChange={(e) => updateSettings({ copyFormatted: e.currentTarget.checked })}
+                            />
+                          </label>
+                        </li>
+                        <li>
+                          <label class="flex justify-between">
+                            Number format
+                            <select
+                              class="select select-xs w-28"
+                              value={settings().locale}
+                              onChange={(e) => updateSettings({ locale: e.currentTarget.value })}
+                            >
+                              <For each={[...new Set([...localeOptions, settings().locale])]}>
+                                {(locale) => <option value={locale}>{locale || 'Browser'}</option>}
+                              </For>
+                            </select>
+                          </label>
+                        </li>
+                        <li>
+                          <label class="flex justify-between">
+                            Notation
+                            <select
+                              class="select select-xs w-28 capitalize"
+                              value={settings().notation}
+                              onChange={(e) => updateSettings({ notation: e.currentTarget.value as Notation })}
+                            >
+                              <For each={notations}>{(notation) => <option value={notation}>{notation}</option>}</For>
+                            </select>
+                          </label>
+                        </li>
+                      </ul>
+                    </div>
+                  </div>
+                  <div class="flex gap-2">
+                    <select
+                      class="select select-sm w-24"
+                      value={settings().keypad}
+                      onChange={(e) => changeKeypad(e.currentTarget.value as KeypadMode)}
+                      title="Keypad"
+                    >
+                      <For each={keypadModes}>{(mode) => <option value={mode}>{keypadLabels[mode]}</option>}</For>
+                    </select>
+                    <button
+                      class="btn btn-sm btn-outline"
+                      onClick={copyLink}
+                      title="Copy link to this calculation"
+                      aria-label="Copy link to this calculation"
+                    >
+                      {linkCopied() ? '✓' : '🔗'}
+                    </button>
+                    <button class="btn btn-sm btn-outline" onClick={toggleTheme}>
+                      {settings().theme === 'light' ? '🌙 Dark' : '☀️ Light'}
+                    </button>
+                  </div>
+                </div>
 
-      <h1 class="text-2xl font-bold mb-4">Solid Calculator</h1>
-      <div class="mb-4 text-right text-3xl bg-base-100 p-2 rounded-box border font-mono">{display()}</div>
+                <h1 class="text-2xl font-bold mb-4">Solid Calculator</h1>
+                <Display
+                  value={localizeDisplay()}
+                  error={errorMessage() ?? pasteError() ?? undefined}
+                  expression={localizeText(state().expression)}
+                  indicator={activeSlot(memory()).value !== '0' ? activeSlot(memory()).name : ''}
+                  editableExpression={
+                    settings().evaluation === 'expression' ? () => pendingExpression(state()) : undefined
+                  }
+                  onEvaluate={evaluateInput}
+                  onCopy={copyToClipboard}
+                  onPaste={pasteFromClipboard}
+                />
+                <Show when={settings().tape}>
+                  <TapePanel
+                    lines={tape().lines}
+                    format={localizeTapeLine}
+                    onClear={() => setTape(emptyTape)}
+                    onReplay={replayTape}
+                  />
+                </Show>
 
-      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
-        <Button label="AC" onClick={clear} class="btn-function" />
-        <Button label="+/-" onClick={toggleSign} class="btn-function" />
-        <Button label="%" onClick={inputPercent} class="btn-function" />
-        <Button label="÷" onClick={() => performOperation('/')} class="btn-operator" />
-      </div>
+                <MemoryPanel
+                  memory={memory()}
+                  format={(value) => localize(arithmetic().format(recalledValue(value, programmerSettings())))}
+                  error={memoryError()}
+                  onSelect={(active) => updateMemory({ ...memory(), active })}
+                  onAdd={() => updateMemory(addMemorySlot(memory()))}
+                  onRemove={(index) => updateMemory(removeMemorySlot(memory(), index))}
+                  onRename={(index, name) => updateMemory(renameMemorySlot(memory(), index, name))}
+                />
 
-      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
-        <Button label="7" onClick={() => inputDigit('7')} class="btn-digit" />
-        <Button label="8" onClick={() => inputDigit('8')} class="btn-digit" />
-        <Button label="9" onClick={() => inputDigit('9')} class="btn-digit" />
-        <Button label="×" onClick={() => performOperation('*')} class="btn-operator" />
-      </div>
+                <Show when={settings().keypad === 'scientific'}>
+                  <ScientificKeypad
+                    angleUnit={settings().angleUnit}
+                    onAngleUnitChange={(angleUnit) => updateSettings({ angleUnit })}
+                  />
+                </Show>
+                <Show when={arithmetic().complex}>
+                  <div class="grid grid-cols-5 gap-2 mb-2 auto-rows-fr">
+                    <Button label="i" action="imaginary" class="btn-scientific" title="Imaginary unit" />
+                    <Button label="|z|" action="function:abs" class="btn-scientific" title="Magnitude" />
+                    <Button label="arg" action="function:arg" class="btn-scientific" title="Angle in the angle unit" />
+                    <Button label="conj" action="function:conj" class="btn-scientific" title="Complex conjugate" />
+                    <Button
+                      label={settings().complexDisplay === 'polar' ? 'POLAR' : 'RECT'}
+                      onClick={() =>
+                        updateSettings({
+                          complexDisplay: settings().complexDisplay === 'polar' ? 'rectangular' : 'polar',
+                        })
+                      }
+                      class="btn-scientific text-xs"
+                      title="Show complex results in rectangular or polar form"
+                    />
+                  </div>
+                </Show>
+                <Show when={arithmetic().fraction}>
+                  <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+                    <Button
+                      label="a b/c"
+                      action="fraction"
+                      class="btn-scientific"
+                      title="Fraction bar: 3 a b/c 4 is 3/4, 2 a b/c 1 a b/c 3 is 2 1/3"
+                    />
+                    <For each={fractionDisplays}>
+                      {(display) => (
+                        <Button
+                          label={fractionDisplayLabels[display]}
+                          onClick={() => updateSettings({ fractionDisplay: display })}
+                          class={`btn-scientific text-xs ${settings().fractionDisplay === display ? 'btn-active ring-2 ring-primary' : ''}`}
+                          title={`Show results as ${display === 'decimal' ? 'decimals' : `${display} fractions`}`}
+                        />
+                      )}
+                    </For>
+                  </div>
+                </Show>
+                <Show when={settings().keypad === 'statistics'}>
+                  <StatisticsKeypad
+                    points={dataPoints()}
+                    pendingX={pendingX()}
+                    arithmetic={arithmetic()}
+                    format={(value) => localize(arithmetic().format(value))}
+                    onAdd={addDataPoint}
+                    onRemove={removeDisplayPoint}
+                    onStoreX={storePairX}
+                    onChange={updateDataPoints}
+                    onRecall={(value) => dispatch({ type: 'recall', value })}
+                  />
+                </Show>
+                <Show when={settings().keypad === 'financial'}>
+                  <FinancialKeypad
+                    tvm={tvm()}
+                    error={tvmError()}
+                    format={(value) => localize(formatTvm(value, settings().precision))}
+                    onStore={storeTvm}
+                    onCompute={solveTvm}
+                    onChange={updateTvm}
+                    onEffectiveRate={showEffectiveRate}
+                  />
+                </Show>
+                <Show when={programmer()}>
+                  <ProgrammerKeypad
+                    settings={settings()}
+                    value={state().display}
+                    onChange={changeProgrammerSettings}
+                    onToggleBit={toggleBit}
+                  />
+                </Show>
 
-      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
-        <Button label="4" onClick={() => inputDigit('4')} class="btn-digit" />
-        <Button label="5" onClick={() => inputDigit('5')} class="btn-digit" />
-        <Button label="6" onClick={() => inputDigit('6')} class="btn-digit" />
-        <Button label="−" onClick={() => performOperation('-')} class="btn-operator" />
-      </div>
+                <Show when={settings().keypad === 'financial' || (settings().businessKeys && !programmer())}>
+                  <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+                    <Button
+                      label="MU"
+                      action="operator:markup"
+                      class="btn-scientific"
+                      title="Markup: cost MU percent"
+                    />
+                    <Button
+                      label="MGN"
+                      action="operator:margin"
+                      class="btn-scientific"
+                      title="Margin: cost MGN percent"
+                    />
+                    <Button
+                      label="Δ%"
+                      action="operator:delta"
+                      class="btn-scientific"
+                      title="Percent change: old Δ% new"
+                    />
+                    <Button
+                      label="%T"
+                      action="operator:share"
+                      class="btn-scientific"
+                      title="Percent of total: total %T part"
+                    />
+                  </div>
+                </Show>
 
-      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
-        <Button label="1" onClick={() => inputDigit('1')} class="btn-digit" />
-        <Button label="2" onClick={() => inputDigit('2')} class="btn-digit" />
-        <Button label="3" onClick={() => inputDigit('3')} class="btn-digit" />
-        <Button label="+" onClick={() => performOperation('+')} class="btn-operator" />
-      </div>
+                <Show when={settings().tape}>
+                  <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+                    <Button
+                      label="◇"
+                      onClick={() => setTape(subtotal(tape(), state(), engineOptions()))}
+                      class="btn-function col-span-2"
+                      title="Subtotal: print the running total"
+                    />
+                    <Button
+                      label="GT"
+                      onClick={() => setTape(grandTotal(tape()))}
+                      class="btn-function col-span-2"
+                      title="Grand total: print the sum of the totals and start a new sum"
+                    />
+                  </div>
+                </Show>
+                <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+                  <Show when={settings().evaluation === 'expression'}>
+                    <Button label="(" action="open" class="btn-function" />
+                    <Button
+                      label={openParentheses(state().expression) > 0 ? `) ${openParentheses(state().expression)}` : ')'}
+                      action="close"
+                      class="btn-function"
+                    />
+                  </Show>
+                  <Button
+                    label="CE"
+                    action="clearEntry"
+                    class={`btn-function ${settings().evaluation === 'expression' ? '' : 'col-span-2'}`}
+                    title="Clear entry"
+                  />
+                  <Button
+                    label="⌫"
+                    action="backspace"
+                    class={`btn-function ${settings().evaluation === 'expression' ? '' : 'col-span-2'}`}
+                    title="Backspace"
+                  />
+                </div>
 
-      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
-        <Button label="0" onClick={() => inputDigit('0')} class="btn-digit col-span-2" />
-        <Button label="." onClick={inputDot} class="btn-digit" />
-        <Button label="=" onClick={handleEquals} class="btn-operator" />
+                <StandardKeypad
+                  decimalSeparator={localizer().decimalSeparator}
+                  radix={arithmetic().radix}
+                  integer={arithmetic().integer}
+                />
+                <div class="flex justify-end gap-3 text-[0.55rem] mt-4 mb-1 pr-1 leading-none">
+                  <a href="/convert" class="link link-hover text-base-content opacity-50 hover:opacity-90">
+                    Units
+                  </a>
+                  <a href="/dates" class="link link-hover text-base-content opacity-50 hover:opacity-90">
+                    Dates
+                  </a>
+                  <a href="/graph" class="link link-hover text-base-content opacity-50 hover:opacity-90">
+                    Graph
+                  </a>
+                  <a href="/about" class="link link-hover text-base-content opacity-50 hover:opacity-90">
+                    About
+                  </a>
+                </div>
+              </div>
+            </KeypadContext.Provider>
+          </div>
+          <div class="drawer-side z-20">
+            <label for="history-drawer" aria-label="Close history" class="drawer-overlay" />
+            <HistoryDrawer
+              entries={history()}
+              format={localizeText}
+              onRecallResult={(entry) => recallFromHistory({ type: 'recall', value: entry.result })}
+              onRecallExpression={(entry) =>
+                recallFromHistory({ type: 'recallExpression', expression: entry.expression })
+              }
+              onDelete={removeHistoryEntry}
+              onClear={removeAllHistory}
+            />
+          </div>
+        </div>
       </div>
-      <div class="text-[0.55rem] text-right mt-4 mb-1 pr-1 leading-none">
-        <a href="/about" class="link link-hover text-base-content opacity-50 hover:opacity-90">
-          About
-        </a>
+      <div class="drawer-side z-20">
+        <label for="definitions-drawer" aria-label="Close variables and functions" class="drawer-overlay" />
+        <DefinitionsPanel
+          definitions={definitions()}
+          onDefine={(text) => {
+            const definition = readDefinition(text);
+            return definition != null && storeDefinition(definition);
+          }}
+          onRecall={(name) => dispatch({ type: 'recallExpression', expression: name })}
+          onDelete={(name) => updateSettings(removeDefinition(definitions(), name))}
+        />
       </div>
     </div>
   );
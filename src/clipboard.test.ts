@@ -0,0 +1,66 @@
+// clipboard.test.ts
+// Smart paste: numbers cleaned of currency and grouping in both separator conventions, and pasted expressions.
+import { describe, expect, it } from 'vitest';
+import { floatArithmetic } from './arithmetic';
+import { readPastedText } from './clipboard';
+import type { Definitions } from './definitions';
+import { programmerArithmetic } from './programmer';
+
+const float = floatArithmetic();
+const english = (text: string, definitions?: Definitions) => readPastedText(text, float, '.', definitions);
+const german = (text: string) => readPastedText(text, float, ',');
+const number = (value: string) => ({ type: 'number', value });
+const expression = (value: string) => ({ type: 'expression', expression: value });
+
+describe('readPastedText', () => {
+  it('removes currency symbols, codes and grouping', () => {
+    expect(english('$1,234.50')).toEqual(number('1234.50'));
+    expect(english('EUR 1,234.50')).toEqual(number('1234.50'));
+    expect(german('1.234,50 €')).toEqual(number('1234.50'));
+    expect(english("1'234.50")).toEqual(number('1234.50'));
+  });
+
+  it('reads a single separator by the digits after it', () => {
+    expect(english('1,234')).toEqual(number('1234'));
+    expect(english('1,5')).toEqual(number('1.5'));
+    expect(german('1.234')).toEqual(number('1234'));
+    expect(german('1,234')).toEqual(number('1.234'));
+  });
+
+  it('reads accounting negatives only with a currency or grouping', () => {
+    expect(english('(1,234.50)')).toEqual(number('-1234.50'));
+    expect(english('($5)')).toEqual(number('-5'));
+    expect(english('(5)')).toEqual(expression('(5)'));
+  });
+
+  it('refuses numbers longer than the display', () => {
+    expect(english('123456789012345678')).toEqual({ type: 'invalid', message: 'More than 14 digits' });
+  });
+
+  it('reads expressions and definitions, ungrouping their numbers', () => {
+    expect(english('2 × (3 + 4) =')).toEqual(expression('2 × (3 + 4)'));
+    expect(english('1,234 + 5')).toEqual(expression('1234 + 5'));
+    expect(english('rate = 0.19')).toEqual(expression('rate = 0.19'));
+    expect(english('hyp(a, b) = sqrt(a^2 + b^2)')).toEqual(expression('hyp(a, b) = sqrt(a^2 + b^2)'));
+  });
+
+  it('refuses names that are not defined', () => {
+    expect(english('abc + 1')).toEqual({ type: 'invalid', message: "Unknown name 'abc'" });
+    expect(english('net(100)', { variables: {}, functions: { net: { parameters: ['x'], body: 'x' } } })).toEqual(
+      expression('net(100)')
+    );
+  });
+
+  it('refuses empty text and text that is no number or expression', () => {
+    expect(english('  ')).toEqual({ type: 'invalid', message: 'Nothing to paste' });
+    expect(english('2 +* 3')).toEqual({ type: 'invalid', message: 'Pasted text is no number or expression' });
+  });
+
+  it('reads letters as digits on the programmer keypad', () => {
+    const hex = programmerArithmetic({ radix: 16, wordSize: 32, signed: true });
+    expect(readPastedText('ff', hex, '.')).toEqual(number('FF'));
+    expect(readPastedText('12', programmerArithmetic({ radix: 2, wordSize: 8, signed: true }), '.').type).not.toBe(
+      'number'
+    );
+  });
+});
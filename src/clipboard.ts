@@ -0,0 +1,139 @@
+// clipboard.ts
+// Copying the display and smart paste. Pasted text is cleaned of currency symbols, grouping separators and
+// whitespace; a plain number becomes the operand, an expression or definition is calculated like an edited one.
+import type { Arithmetic } from './arithmetic';
+import { defaultDefinitions, parseDefinition, type Definitions } from './definitions';
+import { applyDigitLimit } from './engine';
+import { parse, referencedNames } from './parser';
+
+export interface ClipboardSettings {
+  // Copies the display with the grouping and decimal separator of the number format instead of '1234.5'
+  copyFormatted: boolean;
+}
+
+export type PastedInput =
+  { type: 'number'; value: string } | { type: 'expression'; expression: string } | { type: 'invalid'; message: string };
+
+export const defaultClipboardSettings: ClipboardSettings = {
+  copyFormatted: false,
+};
+
+// Picks the valid clipboard settings out of a loaded config, falling back to the defaults
+export function parseClipboardSettings(data: Record<string, unknown>): ClipboardSettings {
+  const settings = { ...defaultClipboardSettings };
+  if (typeof data.copyFormatted === 'boolean') settings.copyFormatted = data.copyFormatted;
+  return settings;
+}
+
+// Longer text is not taken for input
+export const maxPasteLength = 1000;
+
+// ISO currency codes such as EUR before or after a number; symbols such as € are \p{Sc}
+const currencyCodePattern = /^[A-Z]{3}(?=[\d\s.,(+-])|(?<=[\d\s.,)])[A-Z]{3}$/g;
+
+// Separators that only group digits, such as the apostrophes of 1'234.50 in Switzerland
+const groupingPattern = /['’_]/g;
+
+// Separators between digits, which group them or separate the decimals
+const separatorCount = (text: string): number => text.match(/(?<=[\da-f])[\s.,'’_]+(?=[\da-f])/gi)?.length ?? 0;
+
+// The decimal point of a number written with '.' or ',' separators. When both occur the last one separates
+// the decimals; a single separator of the other kind groups digits when three digits follow it, so 1,234 is
+// 1234 in English but 1,5 is 1.5 whatever the locale.
+function normalizeSeparators(text: string, decimalSeparator: string): string {
+  const points = text.split('.').length - 1;
+  const commas = text.split(',').length - 1;
+  let decimal: string | null = null;
+  if (points > 0 && commas > 0) decimal = text.lastIndexOf('.') > text.lastIndexOf(',') ? '.' : ',';
+  else if (points + commas === 1) {
+    const separator = points === 1 ? '.' : ',';
+    const grouping = separator !== decimalSeparator && /[.,]\d{3}$/.test(text);
+    decimal = grouping ? null : separator;
+  }
+  const grouped = decimal === '.' ? ',' : decimal === ',' ? '.' : '.,';
+  return [...text]
+    .filter((char) => !grouped.includes(char))
+    .join('')
+    .replace(',', '.');
+}
+
+// Reads a number of the arithmetic backend; `grouped` tells whether it was written with grouping separators
+function readNumber(
+  text: string,
+  arithmetic: Arithmetic,
+  decimalSeparator: string
+): { value: string; grouped: boolean } | null {
+  const compact = text.replace(/\s+/g, '').replace(groupingPattern, '').replace(/^\+/, '');
+  const value =
+    arithmetic.radix === 10 ? normalizeSeparators(compact, decimalSeparator) : compact.replace(/,/g, '').toUpperCase();
+  const isNumber = arithmetic.integer
+    ? /^-?[\dA-F]+$/.test(value) && [...value.replace('-', '')].every((digit) => parseInt(digit, 16) < arithmetic.radix)
+    : /^-?(\d+\.?\d*|\.\d+)$/.test(value);
+  return isNumber ? { value, grouped: separatorCount(text) > (value.includes('.') ? 1 : 0) } : null;
+}
+
+// Removes the grouping separators of the numbers in an expression and writes their decimals with '.':
+// '1,234.5 + 5' in English and '1.234,5 + 5' in German both become '1234.5 + 5'. Numbers without grouping are
+// left as they are, so the commas between the arguments of a function stay.
+function ungroupNumbers(expression: string, decimalSeparator: string): string {
+  const group = decimalSeparator === ',' ? '.' : ',';
+  const pattern = new RegExp(
+    `(?<![\\d.,])\\d{1,3}(?:[${group}'’_]\\d{3})+(?:[${decimalSeparator}]\\d+)?(?![.,]?\\d)`,
+    'g'
+  );
+  return expression.replace(pattern, (number) =>
+    number.replace(new RegExp(`[${group}'’_]`, 'g'), '').replace(decimalSeparator, '.')
+  );
+}
+
+// The first name in an expression that is neither built in nor defined; a function body may also use its parameters
+function unknownName(source: string, arithmetic: Arithmetic, definitions: Definitions, parameters: string[] = []) {
+  const { variables, functions } = referencedNames(parse(source, arithmetic.radix, arithmetic.complex));
+  return (
+    [...variables].find((name) => !Object.hasOwn(definitions.variables, name) && !parameters.includes(name)) ??
+    [...functions].find((name) => !Object.hasOwn(definitions.functions, name))
+  );
+}
+
+// Reads pasted text as a number of the arithmetic backend or as an expression; numbers with more digits than
+// the display takes are refused rather than cut off, and so are expressions with names that are not defined
+export function readPastedText(
+  text: string,
+  arithmetic: Arithmetic,
+  decimalSeparator: string,
+  definitions: Definitions = defaultDefinitions
+): PastedInput {
+  const trimmed = text.trim().replace(/=$/, '').trimEnd();
+  if (trimmed === '') return { type: 'invalid', message: 'Nothing to paste' };
+  if (trimmed.length > maxPasteLength) return { type: 'invalid', message: 'Pasted text is too long' };
+
+  const withoutSymbols = trimmed.replace(/\p{Sc}/gu, '');
+  // Letters are hexadecimal digits on the programmer keypad, not currency codes
+  const unpriced = (arithmetic.integer ? withoutSymbols : withoutSymbols.replace(currencyCodePattern, '')).trim();
+  // Accounting format writes negative amounts in parentheses, (1,234.50) or ($5); a plain (5) is an expression
+  const amount = /^\(([^()]*)\)$/.exec(unpriced)?.[1];
+  const accounting = amount != null ? readNumber(amount, arithmetic, decimalSeparator) : null;
+  const number =
+    accounting && !accounting.value.startsWith('-') && (unpriced !== trimmed || accounting.grouped)
+      ? { ...accounting, value: `-${accounting.value}` }
+      : readNumber(unpriced, arithmetic, decimalSeparator);
+  if (number) {
+    return applyDigitLimit(number.value, arithmetic.precision) === number.value
+      ? { type: 'number', value: number.value }
+      : { type: 'invalid', message: `More than ${arithmetic.precision} digits` };
+  }
+
+  const spaced = withoutSymbols.replace(/\s+/g, ' ').trim();
+  const expression = arithmetic.radix === 10 ? ungroupNumbers(spaced, decimalSeparator) : spaced;
+  const invalid: PastedInput = { type: 'invalid', message: 'Pasted text is no number or expression' };
+  try {
+    const definition = parseDefinition(expression, arithmetic.radix, arithmetic.complex);
+    const unknown = definition
+      ? unknownName(definition.body, arithmetic, definitions, definition.parameters ?? [])
+      : unknownName(expression, arithmetic, definitions);
+    return unknown ? { type: 'invalid', message: `Unknown name '${unknown}'` } : { type: 'expression', expression };
+  } catch (err) {
+    if (err instanceof SyntaxError) return invalid;
+    throw err;
+  }
+}
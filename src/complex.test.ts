@@ -0,0 +1,84 @@
+// complex.test.ts
+// Reading and showing complex values, and calculations that only have a complex result.
+import { describe, expect, it } from 'vitest';
+import { defaultArithmeticSettings, errorMessages, floatArithmetic } from './arithmetic';
+import { complexArithmetic, formatComplex, formatPolar, parseComplex } from './complex';
+
+const complex = complexArithmetic(defaultArithmeticSettings);
+
+describe('parseComplex', () => {
+  it('reads real, imaginary and rectangular values', () => {
+    expect(parseComplex('2.5')).toEqual({ re: 2.5, im: 0 });
+    expect(parseComplex('-4i')).toEqual({ re: 0, im: -4 });
+    expect(parseComplex('3+4i')).toEqual({ re: 3, im: 4 });
+  });
+
+  it('takes a left-out coefficient as 1', () => {
+    expect(parseComplex('i')).toEqual({ re: 0, im: 1 });
+    expect(parseComplex('2-i')).toEqual({ re: 2, im: -1 });
+  });
+
+  it('keeps the sign of an exponent in the real part', () => {
+    expect(parseComplex('1e-3+2i')).toEqual({ re: 0.001, im: 2 });
+  });
+
+  it('refuses text that is not a number', () => {
+    expect(() => parseComplex('3+4')).toThrow(SyntaxError);
+    expect(() => parseComplex('x')).toThrow(SyntaxError);
+  });
+});
+
+describe('formatComplex', () => {
+  it('leaves out a zero part and a coefficient of 1', () => {
+    expect(formatComplex({ re: 3, im: 0 })).toBe('3');
+    expect(formatComplex({ re: 0, im: -1 })).toBe('-i');
+    expect(formatComplex({ re: 2, im: 1 })).toBe('2+i');
+  });
+
+  it('drops rounding noise', () => {
+    expect(formatComplex({ re: 6.123233995736766e-17, im: 1 })).toBe('i');
+  });
+});
+
+describe('formatPolar', () => {
+  it('shows the magnitude and angle in the angle unit', () => {
+    expect(formatPolar('3+4i', 'deg', 6)).toBe('5∠53.1301°');
+    expect(formatPolar('2i', 'rad', 6)).toBe('2∠1.5708 rad');
+  });
+
+  it('shows real values as they are', () => {
+    expect(formatPolar('-2', 'deg')).toBe('-2');
+  });
+});
+
+describe('complexArithmetic', () => {
+  it('calculates with complex operands', () => {
+    expect(complex.calculate('3+4i', '1-2i', '*')).toBe('11-2i');
+    expect(complex.calculate('11-2i', '1-2i', '/')).toBe('3+4i');
+  });
+
+  it('gives complex results where real arithmetic fails', () => {
+    expect(complex.apply('sqrt', '-4')).toBe('2i');
+    expect(complex.calculate('-8', '3', 'yroot')).toBe('-2');
+  });
+
+  it('leaves real calculations unchanged', () => {
+    expect(complex.calculate('0.1', '0.2', '+')).toBe(floatArithmetic().calculate('0.1', '0.2', '+'));
+  });
+
+  it('reports division by zero', () => {
+    expect(() => complex.calculate('1+i', '0', '/')).toThrow(errorMessages['divide-by-zero']);
+  });
+
+  it("formats values it cannot read as 'NaN'", () => {
+    expect(complex.format('3+4i')).toBe('3+4i');
+    expect(complex.format('7/3')).toBe('NaN');
+  });
+});
+
+describe('complex values outside complex mode', () => {
+  it('are not read as their real part', () => {
+    expect(floatArithmetic().format('3+4i')).toBe('NaN');
+    expect(floatArithmetic().format('2i')).toBe('NaN');
+  });
+});
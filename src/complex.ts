@@ -0,0 +1,265 @@
+// complex.ts
+// Complex arithmetic in floating point. Values are written in rectangular form such as '3+4i', '-2.5i' or 'i';
+// the polar form '5∠53.13°' is only a way of showing them. Real operands are handed to the float backend,
+// so only calculations without a real result, e.g. sqrt(-1) = i, become complex.
+import {
+  ArithmeticError,
+  floatArithmetic,
+  formatResult,
+  type Arithmetic,
+  type ArithmeticSettings,
+  type Operator,
+} from './arithmetic';
+import type { AngleUnit, UnaryFunction } from './scientific';
+
+export type ComplexDisplay = 'rectangular' | 'polar';
+
+export interface ComplexSettings {
+  complex: boolean;
+  complexDisplay: ComplexDisplay;
+}
+
+export interface Complex {
+  re: number;
+  im: number;
+}
+
+export const complexDisplays: ComplexDisplay[] = ['rectangular', 'polar'];
+
+export const defaultComplexSettings: ComplexSettings = {
+  complex: false,
+  complexDisplay: 'rectangular',
+};
+
+// Picks the valid complex settings out of a loaded config, falling back to the defaults
+export function parseComplexSettings(data: Record<string, unknown>): ComplexSettings {
+  const settings = { ...defaultComplexSettings };
+  if (typeof data.complex === 'boolean') settings.complex = data.complex;
+  if (complexDisplays.includes(data.complexDisplay as ComplexDisplay)) {
+    settings.complexDisplay = data.complexDisplay as ComplexDisplay;
+  }
+  return settings;
+}
+
+const realPattern = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+
+const readReal = (text: string): number => {
+  if (!realPattern.test(text)) throw new SyntaxError(`Invalid number: '${text}'`);
+  return Number(text);
+};
+
+// Reads 'a', 'bi' or 'a+bi'; a coefficient of 1 may be left out as in 'i' or '2-i'
+export function parseComplex(text: string): Complex {
+  const value = text.trim();
+  if (!value.endsWith('i')) return { re: readReal(value), im: 0 };
+  const body = value.slice(0, -1);
+  // The imaginary part starts at the last sign that is neither leading nor part of an exponent
+  let split = body.length;
+  while (split > 0 && !(/[+-]/.test(body[split]) && !/e/i.test(body[split - 1]))) split--;
+  const coefficient = body.slice(split);
+  const im = coefficient === '' || coefficient === '+' ? 1 : coefficient === '-' ? -1 : readReal(coefficient);
+  return { re: split > 0 ? readReal(body.slice(0, split)) : 0, im };
+}
+
+// Parts smaller than this share of the larger one are rounding noise, e.g. the real part of exp(iπ/2)
+const noise = 1e-14;
+
+export function formatComplex({ re, im }: Complex, precision?: number): string {
+  const size = Math.max(Math.abs(re), Math.abs(im));
+  const real = Math.abs(re) < noise * size ? 0 : re;
+  const imaginary = Math.abs(im) < noise * size ? 0 : im;
+  if (imaginary === 0) return formatResult(real, precision);
+  const coefficient = Math.abs(imaginary) === 1 ? '' : formatResult(Math.abs(imaginary), precision);
+  const sign = imaginary < 0 ? '-' : '+';
+  return real === 0
+    ? `${sign === '-' ? '-' : ''}${coefficient}i`
+    : `${formatResult(real, precision)}${sign}${coefficient}i`;
+}
+
+const angleSuffixes: Record<AngleUnit, string> = {
+  deg: '°',
+  rad: ' rad',
+  grad: ' gon',
+};
+
+const unitsPerRadian: Record<AngleUnit, number> = {
+  deg: 180 / Math.PI,
+  rad: 1,
+  grad: 200 / Math.PI,
+};
+
+// A value in polar form, e.g. '3+4i' as '5∠53.130102354156°'; real values are shown as they are
+export function formatPolar(value: string, angleUnit: AngleUnit, precision?: number): string {
+  let z: Complex;
+  try {
+    z = parseComplex(value);
+  } catch {
+    return value;
+  }
+  if (z.im === 0) return formatResult(z.re, precision);
+  const angle = Math.atan2(z.im, z.re) * unitsPerRadian[angleUnit];
+  return `${formatResult(Math.hypot(z.re, z.im), precision)}∠${formatResult(angle, precision)}${angleSuffixes[angleUnit]}`;
+}
+
+const add = (a: Complex, b: Complex): Complex => ({ re: a.re + b.re, im: a.im + b.im });
+
+const subtract = (a: Complex, b: Complex): Complex => ({ re: a.re - b.re, im: a.im - b.im });
+
+const multiply = (a: Complex, b: Complex): Complex => ({
+  re: a.re * b.re - a.im * b.im,
+  im: a.re * b.im + a.im * b.re,
+});
+
+function divide(a: Complex, b: Complex): Complex {
+  const denominator = b.re * b.re + b.im * b.im;
+  if (denominator === 0) throw new ArithmeticError('divide-by-zero');
+  return { re: (a.re * b.re + a.im * b.im) / denominator, im: (a.im * b.re - a.re * b.im) / denominator };
+}
+
+const magnitude = (z: Complex): number => Math.hypot(z.re, z.im);
+
+// Principal logarithm, with the imaginary part in (−π, π]
+const log = (z: Complex): Complex => ({ re: Math.log(magnitude(z)), im: Math.atan2(z.im, z.re) });
+
+const exp = (z: Complex): Complex => {
+  const scale = Math.exp(z.re);
+  return { re: scale * Math.cos(z.im), im: scale * Math.sin(z.im) };
+};
+
+// Principal square root; exact for negative reals, so sqrt(-4) is 2i
+function sqrt(z: Complex): Complex {
+  const r = magnitude(z);
+  const im = Math.sqrt((r - z.re) / 2);
+  return { re: Math.sqrt((r + z.re) / 2), im: z.im < 0 ? -im : im };
+}
+
+function power(base: Complex, exponent: Complex): Complex {
+  if (exponent.re === 0 && exponent.im === 0) return { re: 1, im: 0 };
+  if (base.re === 0 && base.im === 0) {
+    if (exponent.re > 0) return { re: 0, im: 0 };
+    throw new ArithmeticError('divide-by-zero');
+  }
+  // Small integer powers by repeated multiplication keep e.g. (1+i)^2 exactly 2i
+  if (exponent.im === 0 && Number.isInteger(exponent.re) && Math.abs(exponent.re) <= 64) {
+    let result: Complex = { re: 1, im: 0 };
+    for (let n = 0; n < Math.abs(exponent.re); n++) result = multiply(result, base);
+    return exponent.re < 0 ? divide({ re: 1, im: 0 }, result) : result;
+  }
+  return exp(multiply(exponent, log(base)));
+}
+
+function calculate(a: Complex, b: Complex, op: Operator): Complex {
+  switch (op) {
+    case '+':
+      return add(a, b);
+    case '-':
+      return subtract(a, b);
+    case '*':
+      return multiply(a, b);
+    case '/':
+      return divide(a, b);
+    case '^':
+      return power(a, b);
+    case 'yroot':
+      if (b.re === 0 && b.im === 0) throw new ArithmeticError('invalid');
+      return power(a, divide({ re: 1, im: 0 }, b));
+    default:
+      throw new ArithmeticError('invalid');
+  }
+}
+
+function apply(fn: UnaryFunction, z: Complex, angleUnit: AngleUnit): Complex {
+  switch (fn) {
+    case 'sqr':
+      return multiply(z, z);
+    case 'sqrt':
+      return sqrt(z);
+    case 'recip':
+      return divide({ re: 1, im: 0 }, z);
+    case 'exp':
+      return exp(z);
+    case 'pow10':
+      return exp(multiply(z, { re: Math.LN10, im: 0 }));
+    case 'ln':
+    case 'log': {
+      if (z.re === 0 && z.im === 0) throw new ArithmeticError('invalid');
+      const ln = log(z);
+      return fn === 'ln' ? ln : { re: ln.re / Math.LN10, im: ln.im / Math.LN10 };
+    }
+    case 'abs':
+      return { re: magnitude(z), im: 0 };
+    case 'arg':
+      return { re: Math.atan2(z.im, z.re) * unitsPerRadian[angleUnit], im: 0 };
+    case 'conj':
+      return { re: z.re, im: -z.im };
+    default:
+      throw new ArithmeticError('invalid');
+  }
+}
+
+const isReal = (z: Complex): boolean => z.im === 0;
+
+export function complexArithmetic(settings: ArithmeticSettings): Arithmetic {
+  const { precision, angleUnit } = settings;
+  const real = floatArithmetic(precision, angleUnit);
+
+  const parse = (text: string): Complex => {
+    try {
+      return parseComplex(text);
+    } catch {
+      throw new ArithmeticError('invalid');
+    }
+  };
+
+  const result = (z: Complex): string => {
+    if (Number.isNaN(z.re) || Number.isNaN(z.im)) throw new ArithmeticError('invalid');
+    if (!Number.isFinite(z.re) || !Number.isFinite(z.im)) throw new ArithmeticError('overflow');
+    return formatComplex(z);
+  };
+
+  // Real operands are calculated as before; only an invalid real result is tried again as a complex one
+  const withRealFirst = (operands: Complex[], realStep: () => string, complexStep: () => Complex): string => {
+    if (operands.every(isReal)) {
+      try {
+        return realStep();
+      } catch (err) {
+        if (!(err instanceof ArithmeticError) || err.kind !== 'invalid') throw err;
+      }
+    }
+    return result(complexStep());
+  };
+
+  return {
+    precision,
+    radix: 10,
+    integer: false,
+    complex: true,
+    fraction: false,
+    calculate: (first, second, op) => {
+      const a = parse(first);
+      const b = parse(second);
+      return withRealFirst(
+        [a, b],
+        () => real.calculate(String(a.re), String(b.re), op),
+        () => calculate(a, b, op)
+      );
+    },
+    percent: (value) => result(divide(parse(value), { re: 100, im: 0 })),
+    apply: (fn, value) => {
+      const z = parse(value);
+      return withRealFirst(
+        [z],
+        () => real.apply(fn, String(z.re)),
+        () => apply(fn, z, angleUnit)
+      );
+    },
+    constant: real.constant,
+    format: (value) => {
+      try {
+        return formatComplex(parseComplex(value), precision);
+      } catch {
+        return 'NaN';
+      }
+    },
+  };
+}
@@ -0,0 +1,226 @@
+import { createMemo, createSignal, For, onCleanup, onMount, Show } from 'solid-js';
+import { createArithmetic, decimalArithmetic, errorMessages } from './arithmetic';
+import Button, { KeypadContext } from './button';
+import { currencyCategory, fetchRates, isStale, minorDigits, updatedAgo, type Rates } from './currency';
+import { Decimal } from './decimal';
+import { initialState, transition, unlockingEvents, type CalculatorEvent } from './engine';
+import { actionForKey, actionToEvent, resolveKeyBindings } from './keyboard';
+import { createLocalizer } from './locale';
+import { defaultSettings, loadConfig } from './settings';
+import StandardKeypad from './standard-keypad';
+import { convert, fetchUnits, type UnitCategory } from './units';
+import './index.css';
+
+export default function Converter() {
+  const [state, setState] = createSignal(initialState());
+  const [settings, setSettings] = createSignal(defaultSettings);
+  const [units, setUnits] = createSignal<UnitCategory[]>([]);
+  const [rates, setRates] = createSignal<Rates | null>(null);
+  const [categoryId, setCategoryId] = createSignal('');
+  const [fromId, setFromId] = createSignal('');
+  const [toId, setToId] = createSignal('');
+  const [pressedAction, setPressedAction] = createSignal<string | null>(null);
+  const arithmetic = createMemo(() => createArithmetic(settings()));
+  const localizer = createMemo(() => createLocalizer(settings(), settings().precision));
+  const keyBindings = createMemo(() => resolveKeyBindings(settings().keyBindings, localizer().decimalSeparator));
+
+  // Currencies follow the fixed categories once rates are available
+  const categories = createMemo(() => {
+    const current = rates();
+    return current ? [...units(), currencyCategory(current, settings().locale || undefined)] : units();
+  });
+  const currency = () => categoryId() === 'currency';
+  const category = () => categories().find((c) => c.id === categoryId());
+  const unit = (id: string) => category()?.units.find((u) => u.id === id);
+
+  // Starts a category with its first two units
+  const selectCategory = ({ id, units }: UnitCategory) => {
+    setCategoryId(id);
+    setFromId(units[0]?.id ?? '');
+    setToId(units[1]?.id ?? units[0]?.id ?? '');
+  };
+
+  onMount(async () => {
+    window.addEventListener('keydown', handleKeyDown);
+    onCleanup(() => window.removeEventListener('keydown', handleKeyDown));
+    fetchUnits().then((loaded) => {
+      setUnits(loaded);
+      if (loaded.length > 0) selectCategory(loaded[0]);
+    });
+    fetchRates().then(setRates);
+    const loaded = await loadConfig();
+    if (loaded) {
+      setSettings(loaded);
+      document.documentElement.setAttribute('data-theme', loaded.theme);
+    }
+  });
+
+  // Conversions always use exact decimals, so e.g. 1 in stays exactly 2.54 cm whatever the calculator uses
+  const result = () => {
+    const from = unit(fromId());
+    const to = unit(toId());
+    if (!from || !to || state().error) return '';
+    const { precision, scale, roundingMode } = settings();
+    const exact = decimalArithmetic(precision, scale, roundingMode);
+    try {
+      const value = convert(state().display, from, to, exact);
+      // Amounts are rounded to the currency's minor unit, e.g. cents
+      return localizer().number(
+        currency() ? Decimal.parse(value).round(minorDigits(to.id), roundingMode).toString() : exact.format(value)
+      );
+    } catch {
+      return errorMessages.invalid;
+    }
+  };
+
+  const refreshRates = async () => {
+    const fetched = await fetchRates(true);
+    if (fetched) setRates(fetched);
+  };
+
+  const swapUnits = () => {
+    const from = fromId();
+    setFromId(toId());
+    setToId(from);
+  };
+
+  const dispatch = (event: CalculatorEvent) => {
+    setState(transition(state(), event, { arithmetic: arithmetic(), evaluation: settings().evaluation }));
+  };
+
+  const locked = (action: string) => {
+    const event = actionToEvent(action);
+    return state().error != null && !(event && unlockingEvents.includes(event.type));
+  };
+
+  // Memory keys belong to the calculator and are ignored here
+  const runAction = (action: string) => {
+    const event = actionToEvent(action);
+    if (event && !locked(action)) dispatch(event);
+  };
+
+  let releaseTimer: number | undefined;
+
+  const handleKeyDown = (e: KeyboardEvent) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target instanceof HTMLElement && e.target.closest('input, textarea, select')) return;
+
+    const action = actionForKey(keyBindings(), e.key);
+    if (!action) return;
+    e.preventDefault();
+    runAction(action);
+
+    setPressedAction(action);
+    window.clearTimeout(releaseTimer);
+    releaseTimer = window.setTimeout(() => setPressedAction(null), 150);
+  };
+
+  const unitSelect = (value: string, onChange: (id: string) => void, label: string) => (
+    <select
+      class="select select-sm flex-1 min-w-0"
+      value={value}
+      onChange={(e) => onChange(e.currentTarget.value)}
+      aria-label={label}
+    >
+      <For each={category()?.units ?? []}>
+        {(u) => (
+          <option value={u.id}>
+            {u.name} ({u.symbol})
+          </option>
+        )}
+      </For>
+    </select>
+  );
+
+  return (
+    <KeypadContext.Provider value={{ pressedAction, runAction, locked }}>
+      <div class="max-w-xs mx-auto mt-10 p-6 bg-base-200 rounded-box shadow text-center">
+        <div class="flex justify-between mb-4">
+          <a href="/" class="btn btn-sm btn-outline" title="Back to the calculator">
+            ← Calculator
+          </a>
+          <select
+            class="select select-sm w-32"
+            value={categoryId()}
+            onChange={(e) =>
+              selectCategory(categories().find((c) => c.id === e.currentTarget.value) ?? categories()[0])
+            }
+            title="Category"
+          >
+            <For each={categories()}>{(c) => <option value={c.id}>{c.name}</option>}</For>
+          </select>
+        </div>
+
+        <h1 class="text-2xl font-bold mb-4">Unit Converter</h1>
+        <Show
+          when={categories().length > 0}
+          fallback={<div class="alert alert-warning mb-4 text-sm">No units available</div>}
+        >
+          <div class="mb-4 bg-base-100 p-2 rounded-box border font-mono text-right">
+            <div class="flex items-center gap-2 mb-1">
+              {unitSelect(fromId(), setFromId, 'From unit')}
+              <span class="text-xs opacity-60 w-10 truncate">{unit(fromId())?.symbol}</span>
+            </div>
+            <Show
+              when={state().error}
+              fallback={<div class="text-2xl break-all">{localizer().number(state().display)}</div>}
+            >
+              {(error) => (
+                <div class="text-xl text-error" role="alert">
+                  {errorMessages[error()]}
+                </div>
+              )}
+            </Show>
+            <div class="flex justify-center my-1">
+              <button class="btn btn-xs btn-ghost" onClick={swapUnits} title="Swap units" aria-label="Swap units">
+                ⇅
+              </button>
+            </div>
+            <div class="flex items-center gap-2 mb-1">
+              {unitSelect(toId(), setToId, 'To unit')}
+              <span class="text-xs opacity-60 w-10 truncate">{unit(toId())?.symbol}</span>
+            </div>
+            <div class="text-2xl break-all text-primary" aria-live="polite">
+              {result()}
+            </div>
+          </div>
+        </Show>
+        <Show when={currency() && rates()}>
+          {(current) => (
+            <div class="flex justify-between items-center gap-2 mb-4 text-xs">
+              <span
+                class="opacity-60"
+                title={new Date(current().updated).toLocaleString(settings().locale || undefined)}
+              >
+                Rates updated {updatedAgo(current(), settings().locale || undefined)}
+              </span>
+              <Show when={isStale(current())}>
+                <span class="badge badge-warning badge-sm" title="Rates are more than a day old">
+                  Stale
+                </span>
+              </Show>
+              <button
+                class="btn btn-xs btn-ghost"
+                onClick={refreshRates}
+                title="Reload rates"
+                aria-label="Reload rates"
+              >
+                ⟳
+              </button>
+            </div>
+          )}
+        </Show>
+
+        <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+          <Button label="CE" action="clearEntry" class="btn-function col-span-2" title="Clear entry" />
+          <Button label="⌫" action="backspace" class="btn-function col-span-2" title="Backspace" />
+        </div>
+        <StandardKeypad
+          decimalSeparator={localizer().decimalSeparator}
+          radix={arithmetic().radix}
+          integer={arithmetic().integer}
+        />
+      </div>
+    </KeypadContext.Provider>
+  );
+}
@@ -0,0 +1,100 @@
+// currency.ts
+// Exchange rates served by the mock server under `/api/rates`, cached in the browser so the converter
+// still works offline and only asks the server again once the cached copy is an hour old.
+import type { UnitCategory } from './units';
+
+export interface Rates {
+  // Currency the rates are quoted against, e.g. 1 EUR = 1.08 USD
+  base: string;
+  // When the rates were last updated at the source
+  updated: string;
+  rates: Record<string, number>;
+}
+
+interface CachedRates extends Rates {
+  // When this browser last fetched the rates
+  fetched: string;
+}
+
+const cacheKey = 'solid-calculator:rates';
+
+// Cached rates younger than this are used without asking the server
+const refreshInterval = 3600 * 1000;
+
+// Rates older than this are flagged as stale
+export const staleAfter = 24 * 3600 * 1000;
+
+const isRates = (data: unknown): data is Rates => {
+  const rates = data as Rates | null;
+  return (
+    typeof rates?.base === 'string' &&
+    !isNaN(Date.parse(rates.updated)) &&
+    typeof rates.rates === 'object' &&
+    rates.rates !== null &&
+    Object.values(rates.rates).every((rate) => typeof rate === 'number' && rate > 0)
+  );
+};
+
+function readCache(): CachedRates | null {
+  try {
+    const cached = JSON.parse(window.localStorage.getItem(cacheKey) ?? 'null');
+    return isRates(cached) && typeof (cached as CachedRates).fetched === 'string' ? (cached as CachedRates) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(rates: Rates) {
+  try {
+    window.localStorage.setItem(cacheKey, JSON.stringify({ ...rates, fetched: new Date().toISOString() }));
+  } catch (err) {
+    console.warn('Failed to cache rates:', err);
+  }
+}
+
+// Returns the cached rates while they are fresh, otherwise fetches them; falls back to the cache when offline
+export const fetchRates = async (force = false): Promise<Rates | null> => {
+  const cached = readCache();
+  if (cached && !force && Date.now() - Date.parse(cached.fetched) < refreshInterval) return cached;
+  try {
+    const res = await fetch('/api/rates');
+    const data = res.ok ? await res.json() : null;
+    if (!isRates(data)) return cached;
+    writeCache(data);
+    return data;
+  } catch (err) {
+    console.warn('Failed to load rates:', err);
+    return cached;
+  }
+};
+
+export const isStale = (rates: Rates, now = Date.now()): boolean => now - Date.parse(rates.updated) > staleAfter;
+
+// The rates as a converter category; with 1 base = rate units, a unit is worth 1/rate of the base currency
+export function currencyCategory(rates: Rates, locale?: string): UnitCategory {
+  const names = new Intl.DisplayNames(locale, { type: 'currency', fallback: 'code' });
+  return {
+    id: 'currency',
+    name: 'Currency',
+    units: Object.entries(rates.rates).map(([code, rate]) => ({
+      id: code,
+      name: names.of(code) ?? code,
+      symbol: code,
+      factor: 1,
+      divisor: rate,
+    })),
+  };
+}
+
+// Fraction digits of an amount in the currency, e.g. 2 for USD and 0 for JPY
+export const minorDigits = (code: string): number =>
+  new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits ?? 2;
+
+// How long ago the rates were updated, e.g. '3 hours ago'
+export function updatedAgo(rates: Rates, locale?: string, now = Date.now()): string {
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  const minutes = Math.round((Date.parse(rates.updated) - now) / 60000);
+  if (Math.abs(minutes) < 60) return format.format(minutes, 'minute');
+  if (Math.abs(minutes) < 48 * 60) return format.format(Math.round(minutes / 60), 'hour');
+  return format.format(Math.round(minutes / 1440), 'day');
+}
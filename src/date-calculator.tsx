@@ -0,0 +1,213 @@
+import { createSignal, For, Match, onMount, Show, Switch } from 'solid-js';
+import { errorMessages } from './arithmetic';
+import { sendLogEntry } from './audit-log';
+import { addDuration, dateDifference, sumTimes, type Duration } from './dates';
+import { loadConfig } from './settings';
+import './index.css';
+
+type DateMode = 'difference' | 'add' | 'time';
+
+const modeLabels: Record<DateMode, string> = {
+  difference: 'Difference',
+  add: 'Add / subtract',
+  time: 'Time',
+};
+
+const durationFields: (keyof Duration)[] = ['years', 'months', 'weeks', 'days'];
+
+// The local date; toISOString() would give the UTC date, which is another day around midnight
+const today = () => {
+  const now = new Date();
+  const pad = (part: number) => String(part).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const plural = (count: number, unit: string) => `${count} ${unit}${Math.abs(count) === 1 ? '' : 's'}`;
+
+export default function DateCalculator() {
+  const [mode, setMode] = createSignal<DateMode>('difference');
+  const [from, setFrom] = createSignal(today());
+  const [to, setTo] = createSignal(today());
+  const [start, setStart] = createSignal(today());
+  const [duration, setDuration] = createSignal<Duration>({ years: 0, months: 0, weeks: 0, days: 0 });
+  const [sign, setSign] = createSignal<1 | -1>(1);
+  const [times, setTimes] = createSignal('');
+  const [result, setResult] = createSignal<string | null>(null);
+  const [error, setError] = createSignal<string | null>(null);
+
+  onMount(async () => {
+    const loaded = await loadConfig();
+    if (loaded) document.documentElement.setAttribute('data-theme', loaded.theme);
+  });
+
+  const changeMode = (next: DateMode) => {
+    setMode(next);
+    setResult(null);
+    setError(null);
+  };
+
+  // The calculation as it is logged, e.g. '2026-01-31 + 1 month' or '1:30 + 0:45'
+  const expression = () => {
+    if (mode() === 'difference') return `${from()} to ${to()}`;
+    if (mode() === 'time') return times().trim();
+    const parts = durationFields.filter((field) => duration()[field] !== 0);
+    const text = parts.map((field) => plural(duration()[field], field.slice(0, -1))).join(' ');
+    return `${start()} ${sign() === 1 ? '+' : '-'} ${text || '0 days'}`;
+  };
+
+  const evaluate = (): string => {
+    if (mode() === 'add') return addDuration(start(), duration(), sign());
+    if (mode() === 'time') return sumTimes(times());
+    const { days, weeks, remainingDays, businessDays } = dateDifference(from(), to());
+    return (
+      `${plural(days, 'day')} (${plural(weeks, 'week')} ${plural(remainingDays, 'day')}, ` +
+      `${plural(businessDays, 'business day')})`
+    );
+  };
+
+  // Like the calculator, both results and failures are recorded at the audit log
+  const calculate = () => {
+    try {
+      const value = evaluate();
+      setResult(value);
+      setError(null);
+      sendLogEntry(`${expression()} = ${value}`);
+    } catch {
+      setResult(null);
+      setError(mode() === 'time' ? 'Enter times as H:MM:SS joined by + or −' : 'Invalid date');
+      sendLogEntry(`${expression()} = ${errorMessages.invalid}`, 'invalid');
+    }
+  };
+
+  const submit = (e: SubmitEvent) => {
+    e.preventDefault();
+    calculate();
+  };
+
+  const dateInput = (label: string, value: string, onChange: (value: string) => void) => (
+    <label class="form-control w-full">
+      <span class="label-text mb-1">{label}</span>
+      <input
+        type="date"
+        class="input input-bordered w-full"
+        value={value}
+        required
+        onInput={(e) => onChange(e.currentTarget.value)}
+      />
+    </label>
+  );
+
+  return (
+    <div class="flex justify-center items-center min-h-screen bg-base-200">
+      <div class="card w-full max-w-xl shadow-xl bg-base-100 relative">
+        <div class="card-body">
+          <h2 class="text-2xl font-bold text-base-content text-opacity-70">Date Calculator</h2>
+          <div role="tablist" class="tabs tabs-box mb-2">
+            <For each={Object.keys(modeLabels) as DateMode[]}>
+              {(key) => (
+                <button
+                  role="tab"
+                  class="tab"
+                  classList={{ 'tab-active': mode() === key }}
+                  onClick={() => changeMode(key)}
+                >
+                  {modeLabels[key]}
+                </button>
+              )}
+            </For>
+          </div>
+
+          <form class="flex flex-col gap-3" onSubmit={submit}>
+            <Switch>
+              <Match when={mode() === 'difference'}>
+                <div class="flex gap-3">
+                  {dateInput('From', from(), setFrom)}
+                  {dateInput('To', to(), setTo)}
+                </div>
+              </Match>
+              <Match when={mode() === 'add'}>
+                <div class="flex gap-3 items-end">
+                  {dateInput('Date', start(), setStart)}
+                  <div class="join">
+                    <button
+                      type="button"
+                      class="btn join-item"
+                      classList={{ 'btn-primary': sign() === 1 }}
+                      onClick={() => setSign(1)}
+                    >
+                      +
+                    </button>
+                    <button
+                      type="button"
+                      class="btn join-item"
+                      classList={{ 'btn-primary': sign() === -1 }}
+                      onClick={() => setSign(-1)}
+                    >
+                      −
+                    </button>
+                  </div>
+                </div>
+                <div class="grid grid-cols-4 gap-3">
+                  <For each={durationFields}>
+                    {(field) => (
+                      <label class="form-control">
+                        <span class="label-text mb-1 capitalize">{field}</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          class="input input-bordered w-full"
+                          value={duration()[field]}
+                          onInput={(e) =>
+                            setDuration({
+                              ...duration(),
+                              [field]: Math.max(0, Math.trunc(e.currentTarget.valueAsNumber || 0)),
+                            })
+                          }
+                        />
+                      </label>
+                    )}
+                  </For>
+                </div>
+              </Match>
+              <Match when={mode() === 'time'}>
+                <label class="form-control w-full">
+                  <span class="label-text mb-1">Times</span>
+                  <input
+                    type="text"
+                    class="input input-bordered w-full font-mono"
+                    placeholder="1:30:00 + 0:45 - 0:10:30"
+                    value={times()}
+                    onInput={(e) => setTimes(e.currentTarget.value)}
+                  />
+                </label>
+              </Match>
+            </Switch>
+            <button type="submit" class="btn btn-primary">
+              =
+            </button>
+          </form>
+
+          <Show when={result() ?? error()}>
+            {(text) => (
+              <div
+                class="mt-2 bg-base-200 p-3 rounded-box font-mono text-right text-xl break-words"
+                classList={{ 'text-error': error() != null }}
+                role={error() != null ? 'alert' : undefined}
+                aria-live="polite"
+              >
+                {text()}
+              </div>
+            )}
+          </Show>
+
+          <div class="flex justify-between items-center mt-4">
+            <a href="/" class="btn btn-outline btn-sm">
+              Back to Solid Calculator
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+// dates.test.ts
+// Date differences, durations added to dates and sums of times.
+import { describe, expect, it } from 'vitest';
+import { addDuration, dateDifference, formatDate, formatTime, parseDate, parseTime, sumTimes } from './dates';
+
+const none = { years: 0, months: 0, weeks: 0, days: 0 };
+
+describe('parseDate', () => {
+  it('reads ISO dates as day numbers', () => {
+    expect(parseDate('1970-01-02')).toBe(1);
+    expect(formatDate(parseDate('2024-02-29'))).toBe('2024-02-29');
+  });
+
+  it('refuses dates that do not exist', () => {
+    expect(() => parseDate('2023-02-29')).toThrow(SyntaxError);
+    expect(() => parseDate('2024-1-5')).toThrow(SyntaxError);
+  });
+});
+
+describe('dateDifference', () => {
+  it('counts days, weeks and business days', () => {
+    // Monday to the Wednesday of the following week
+    expect(dateDifference('2024-03-04', '2024-03-13')).toEqual({
+      days: 9,
+      weeks: 1,
+      remainingDays: 2,
+      businessDays: 7,
+    });
+  });
+
+  it('is negative when the end is before the start', () => {
+    expect(dateDifference('2024-03-13', '2024-03-04')).toMatchObject({ days: -9, businessDays: -7 });
+  });
+
+  it('is not shifted by daylight saving changes', () => {
+    expect(dateDifference('2024-03-30', '2024-04-01').days).toBe(2);
+  });
+});
+
+describe('addDuration', () => {
+  it('clamps a day beyond the end of the month', () => {
+    expect(addDuration('2024-01-31', { ...none, months: 1 })).toBe('2024-02-29');
+    expect(addDuration('2023-01-31', { ...none, months: 1 })).toBe('2023-02-28');
+    expect(addDuration('2024-02-29', { ...none, years: 1 })).toBe('2025-02-28');
+  });
+
+  it('crosses year ends in both directions', () => {
+    expect(addDuration('2024-11-15', { ...none, months: 3 })).toBe('2025-02-15');
+    expect(addDuration('2024-01-15', { ...none, months: 1 }, -1)).toBe('2023-12-15');
+  });
+
+  it('adds weeks and days after the months', () => {
+    expect(addDuration('2024-01-31', { ...none, months: 1, weeks: 1, days: 1 })).toBe('2024-03-08');
+  });
+});
+
+describe('times', () => {
+  it('reads H, H:MM and H:MM:SS', () => {
+    expect(parseTime('2')).toBe(7200);
+    expect(parseTime('1:30')).toBe(5400);
+    expect(parseTime('0:00:45')).toBe(45);
+    expect(() => parseTime('1:60')).toThrow(SyntaxError);
+  });
+
+  it('shows hours beyond a day', () => {
+    expect(formatTime(90000)).toBe('25:00:00');
+    expect(formatTime(-90)).toBe('-00:01:30');
+  });
+
+  it('sums times joined by + and -', () => {
+    expect(sumTimes('1:30:00 + 0:45 - 0:10:30')).toBe('02:04:30');
+    expect(sumTimes('- 1:00 + 0:15')).toBe('-00:45:00');
+  });
+
+  it('takes the minus sign − as -', () => {
+    expect(sumTimes('1:30 − 0:45')).toBe('00:45:00');
+  });
+
+  it('refuses terms that are not times', () => {
+    expect(() => sumTimes('1:30 +')).toThrow(SyntaxError);
+    expect(() => sumTimes('1:30 * 2')).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,101 @@
+// dates.ts
+// Calendar and time-of-day arithmetic of the date calculator. Dates are ISO 'YYYY-MM-DD' strings
+// handled as UTC days, so daylight saving changes never shift a result.
+
+export interface DateDifference {
+  days: number;
+  // Full weeks and the days left over
+  weeks: number;
+  remainingDays: number;
+  // Monday to Friday, counting the start date but not the end date
+  businessDays: number;
+}
+
+export interface Duration {
+  years: number;
+  months: number;
+  weeks: number;
+  days: number;
+}
+
+const dayLength = 24 * 3600 * 1000;
+
+// Day number since 1970-01-01; throws a SyntaxError for anything but a valid ISO date
+export function parseDate(text: string): number {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (!match || new Date(time).getUTCDate() !== Number(match[3])) throw new SyntaxError(`Invalid date: '${text}'`);
+  return time / dayLength;
+}
+
+export const formatDate = (day: number): string => new Date(day * dayLength).toISOString().slice(0, 10);
+
+// 0 for Sunday to 6 for Saturday; 1970-01-01 was a Thursday
+const weekday = (day: number): number => (((day + 4) % 7) + 7) % 7;
+
+const isBusinessDay = (day: number): boolean => weekday(day) !== 0 && weekday(day) !== 6;
+
+// Weekdays in [from, to), negative when `to` is before `from`
+function businessDaysBetween(from: number, to: number): number {
+  if (to < from) return -businessDaysBetween(to, from);
+  const weeks = Math.floor((to - from) / 7);
+  let count = weeks * 5;
+  for (let day = from + weeks * 7; day < to; day++) if (isBusinessDay(day)) count++;
+  return count;
+}
+
+export function dateDifference(from: string, to: string): DateDifference {
+  const start = parseDate(from);
+  const end = parseDate(to);
+  const days = end - start;
+  return {
+    days,
+    weeks: Math.trunc(days / 7),
+    remainingDays: days % 7,
+    businessDays: businessDaysBetween(start, end),
+  };
+}
+
+// Adds (sign 1) or subtracts (sign -1) a duration; a day beyond the end of the month is clamped,
+// so 2024-01-31 + 1 month is 2024-02-29
+export function addDuration(date: string, duration: Duration, sign: 1 | -1 = 1): string {
+  const start = new Date(parseDate(date) * dayLength);
+  const months = start.getUTCMonth() + sign * (duration.years * 12 + duration.months);
+  const year = start.getUTCFullYear() + Math.floor(months / 12);
+  const month = ((months % 12) + 12) % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const shifted = Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)) / dayLength;
+  return formatDate(shifted + sign * (duration.weeks * 7 + duration.days));
+}
+
+// Seconds of a duration written as H, H:MM or H:MM:SS; throws a SyntaxError for anything else
+export function parseTime(text: string): number {
+  const match = /^(\d+)(?::([0-5]\d))?(?::([0-5]\d))?$/.exec(text.trim());
+  if (!match || (match[3] !== undefined && match[2] === undefined)) {
+    throw new SyntaxError(`Invalid time: '${text}'`);
+  }
+  return Number(match[1]) * 3600 + Number(match[2] ?? 0) * 60 + Number(match[3] ?? 0);
+}
+
+// HH:MM:SS; hours go beyond 24 instead of wrapping to the next day
+export function formatTime(seconds: number): string {
+  const total = Math.abs(seconds);
+  const parts = [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60];
+  return (seconds < 0 ? '-' : '') + parts.map((part) => String(part).padStart(2, '0')).join(':');
+}
+
+// Sums times joined by + and -, e.g. '1:30 + 0:45:30 - 0:05' is 02:10:30; the minus sign − counts as -
+export function sumTimes(expression: string): string {
+  const terms = expression
+    .trim()
+    .replace(/\u2212/g, '-')
+    .split(/\s*([+-])\s*/);
+  // A leading sign leaves an empty first term
+  if (terms[0] === '') terms.splice(0, 1, '0');
+  let total = parseTime(terms[0]);
+  for (let i = 1; i < terms.length; i += 2) {
+    const seconds = parseTime(terms[i + 1] ?? '');
+    total += terms[i] === '-' ? -seconds : seconds;
+  }
+  return formatTime(total);
+}
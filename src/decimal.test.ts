@@ -0,0 +1,91 @@
+// decimal.test.ts
+// Exact decimal numbers: reading, arithmetic and every rounding mode.
+import { describe, expect, it } from 'vitest';
+import { Decimal, type RoundingMode } from './decimal';
+
+const d = (text: string) => Decimal.parse(text);
+
+describe('Decimal.parse', () => {
+  it('reads plain and exponent notation', () => {
+    expect(d('-12.50').toString()).toBe('-12.5');
+    expect(d('.5').toString()).toBe('0.5');
+    expect(d('1.5e3').toString()).toBe('1500');
+    expect(d('25e-4').toString()).toBe('0.0025');
+  });
+
+  it('refuses text that is not a decimal number', () => {
+    for (const text of ['', '.', '1/2', '0x10', 'Infinity', '1e']) {
+      expect(() => d(text)).toThrow(SyntaxError);
+    }
+  });
+});
+
+describe('arithmetic', () => {
+  it('adds without binary rounding errors', () => {
+    expect(d('0.1').add(d('0.2')).toString()).toBe('0.3');
+    expect(d('1').subtract(d('0.9')).toString()).toBe('0.1');
+  });
+
+  it('multiplies exactly beyond the range of doubles', () => {
+    expect(d('12345678901234567890').multiply(d('10')).toString()).toBe('123456789012345678900');
+  });
+
+  it('divides to the given scale', () => {
+    expect(d('1').divide(d('3'), 5, 'half-up').toString()).toBe('0.33333');
+    expect(d('2').divide(d('3'), 5, 'half-up').toString()).toBe('0.66667');
+    expect(() => d('1').divide(d('0'), 5, 'half-up')).toThrow();
+  });
+
+  it('takes integer powers and square roots', () => {
+    expect(d('1.1').pow(2, 10, 'half-up').toString()).toBe('1.21');
+    expect(d('2').pow(-2, 10, 'half-up').toString()).toBe('0.25');
+    expect(d('2').sqrt(10, 'down').toString()).toBe('1.4142135623');
+  });
+});
+
+describe('rounding modes', () => {
+  // Values rounded to whole numbers, per mode
+  const cases: [string, Record<RoundingMode, string>][] = [
+    ['2.5', { up: '3', down: '2', ceiling: '3', floor: '2', 'half-up': '3', 'half-down': '2', 'half-even': '2' }],
+    ['3.5', { up: '4', down: '3', ceiling: '4', floor: '3', 'half-up': '4', 'half-down': '3', 'half-even': '4' }],
+    ['2.6', { up: '3', down: '2', ceiling: '3', floor: '2', 'half-up': '3', 'half-down': '3', 'half-even': '3' }],
+    [
+      '-2.5',
+      { up: '-3', down: '-2', ceiling: '-2', floor: '-3', 'half-up': '-3', 'half-down': '-2', 'half-even': '-2' },
+    ],
+    [
+      '-2.4',
+      { up: '-3', down: '-2', ceiling: '-2', floor: '-3', 'half-up': '-2', 'half-down': '-2', 'half-even': '-2' },
+    ],
+  ];
+
+  for (const [value, expected] of cases) {
+    it(`rounds ${value}`, () => {
+      for (const [mode, result] of Object.entries(expected)) {
+        expect(
+          d(value)
+            .round(0, mode as RoundingMode)
+            .toString(),
+          mode
+        ).toBe(result);
+      }
+    });
+  }
+
+  it('rounds to significant digits', () => {
+    expect(d('123.456').roundSignificant(4, 'half-up').toString()).toBe('123.5');
+    expect(d('0.0012345').roundSignificant(2, 'down').toString()).toBe('0.0012');
+  });
+});
+
+describe('formatting', () => {
+  it('switches to exponent notation like Number.toPrecision', () => {
+    expect(d('123456').toPrecision(3, 'half-up')).toBe('1.23e+5');
+    expect(d('0.5').toPrecision(3, 'half-up')).toBe('0.5');
+  });
+
+  it('gives the exponent of the leading digit', () => {
+    expect(d('123.4').magnitude()).toBe(2);
+    expect(d('0.05').magnitude()).toBe(-2);
+  });
+});
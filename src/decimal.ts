@@ -0,0 +1,200 @@
+// decimal.ts
+// Exact base-10 numbers backed by BigInt: value = coefficient × 10^-scale.
+// Addition, subtraction and multiplication are exact; division and rounding take an explicit rounding mode.
+
+export type RoundingMode = 'up' | 'down' | 'ceiling' | 'floor' | 'half-up' | 'half-down' | 'half-even';
+
+export const roundingModes: RoundingMode[] = ['up', 'down', 'ceiling', 'floor', 'half-up', 'half-down', 'half-even'];
+
+const pow10 = (n: number) => 10n ** BigInt(n);
+
+const abs = (n: bigint) => (n < 0n ? -n : n);
+
+// Largest integer whose square does not exceed n
+function isqrt(n: bigint): bigint {
+  if (n < 2n) return n;
+  let x = 1n << BigInt((n.toString(2).length >> 1) + 1);
+  for (let y = (x + n / x) >> 1n; y < x; y = (x + n / x) >> 1n) x = y;
+  return x;
+}
+
+// Integer division n / d rounded according to the given mode
+function divRound(n: bigint, d: bigint, mode: RoundingMode): bigint {
+  if (d < 0n) {
+    n = -n;
+    d = -d;
+  }
+  const quotient = n / d;
+  const remainder = n % d;
+  if (remainder === 0n) return quotient;
+
+  const sign = n < 0n ? -1n : 1n;
+  const twice = abs(remainder) * 2n;
+  let awayFromZero: boolean;
+  switch (mode) {
+    case 'up':
+      awayFromZero = true;
+      break;
+    case 'down':
+      awayFromZero = false;
+      break;
+    case 'ceiling':
+      awayFromZero = sign > 0n;
+      break;
+    case 'floor':
+      awayFromZero = sign < 0n;
+      break;
+    case 'half-up':
+      awayFromZero = twice >= d;
+      break;
+    case 'half-down':
+      awayFromZero = twice > d;
+      break;
+    case 'half-even':
+      awayFromZero = twice > d || (twice === d && quotient % 2n !== 0n);
+      break;
+  }
+  return awayFromZero ? quotient + sign : quotient;
+}
+
+export class Decimal {
+  static readonly ZERO = new Decimal(0n, 0);
+
+  readonly coefficient: bigint;
+  // A negative scale stands for trailing zeros, e.g. 1200 = 12 × 10^2 has scale -2
+  readonly scale: number;
+
+  private constructor(coefficient: bigint, scale: number) {
+    this.coefficient = coefficient;
+    this.scale = scale;
+  }
+
+  static parse(input: string): Decimal {
+    const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(input.trim());
+    if (!match || (!match[2] && !match[3])) throw new SyntaxError(`Invalid decimal number: '${input}'`);
+    const [, sign, integer = '', fraction = '', exponent = '0'] = match;
+    const coefficient = BigInt(integer + fraction || '0');
+    return new Decimal(sign === '-' ? -coefficient : coefficient, fraction.length - Number(exponent)).normalize();
+  }
+
+  static fromNumber(value: number): Decimal {
+    if (!Number.isFinite(value)) throw new RangeError(`Cannot convert ${value} to a decimal number`);
+    return Decimal.parse(String(value));
+  }
+
+  isZero(): boolean {
+    return this.coefficient === 0n;
+  }
+
+  isNegative(): boolean {
+    return this.coefficient < 0n;
+  }
+
+  // Exponent of the leading digit, e.g. 2 for 123.4 and -2 for 0.05
+  magnitude(): number {
+    return abs(this.coefficient).toString().length - 1 - this.scale;
+  }
+
+  negate(): Decimal {
+    return new Decimal(-this.coefficient, this.scale);
+  }
+
+  add(other: Decimal): Decimal {
+    const scale = Math.max(this.scale, other.scale);
+    const a = this.coefficient * pow10(scale - this.scale);
+    const b = other.coefficient * pow10(scale - other.scale);
+    return new Decimal(a + b, scale).normalize();
+  }
+
+  subtract(other: Decimal): Decimal {
+    return this.add(other.negate());
+  }
+
+  multiply(other: Decimal): Decimal {
+    return new Decimal(this.coefficient * other.coefficient, this.scale + other.scale).normalize();
+  }
+
+  divide(other: Decimal, scale: number, mode: RoundingMode): Decimal {
+    if (other.isZero()) throw new RangeError('Division by zero');
+    // (a × 10^-sa) / (b × 10^-sb) = (a × 10^(scale + sb - sa) / b) × 10^-scale
+    const shift = scale + other.scale - this.scale;
+    const n = shift >= 0 ? this.coefficient * pow10(shift) : this.coefficient;
+    const d = shift >= 0 ? other.coefficient : other.coefficient * pow10(-shift);
+    return new Decimal(divRound(n, d, mode), scale).normalize();
+  }
+
+  // Integer powers are exact; negative exponents divide with the given scale
+  pow(exponent: number, scale: number, mode: RoundingMode): Decimal {
+    if (!Number.isInteger(exponent)) throw new RangeError(`Exponent must be an integer: ${exponent}`);
+    let result = new Decimal(1n, 0);
+    let base: Decimal = this;
+    for (let n = Math.abs(exponent); n > 0; n >>= 1) {
+      if (n & 1) result = result.multiply(base);
+      if (n > 1) base = base.multiply(base);
+    }
+    return exponent < 0 ? new Decimal(1n, 0).divide(result, scale, mode) : result;
+  }
+
+  sqrt(scale: number, mode: RoundingMode): Decimal {
+    if (this.isNegative()) throw new RangeError('Square root of a negative number');
+    // Compute one guard digit more than requested; a non-zero remainder marks the guard digit as inexact
+    const digits = scale + 1;
+    const shift = 2 * digits - this.scale;
+    const radicand = shift >= 0 ? this.coefficient * pow10(shift) : this.coefficient / pow10(-shift);
+    const root = isqrt(radicand);
+    const exact = root * root === radicand && (shift >= 0 || this.coefficient % pow10(-shift) === 0n);
+    const result = exact ? new Decimal(root, digits) : new Decimal(root * 10n + 1n, digits + 1);
+    return result.round(scale, mode).normalize();
+  }
+
+  // Rounds to at most `scale` fraction digits
+  round(scale: number, mode: RoundingMode): Decimal {
+    if (this.scale <= scale) return this;
+    const drop = this.scale - scale;
+    return new Decimal(divRound(this.coefficient, pow10(drop), mode), scale).normalize();
+  }
+
+  // Rounds to at most `precision` significant digits
+  roundSignificant(precision: number, mode: RoundingMode): Decimal {
+    const drop = abs(this.coefficient).toString().length - precision;
+    if (drop <= 0) return this;
+    return new Decimal(divRound(this.coefficient, pow10(drop), mode), this.scale - drop).normalize();
+  }
+
+  // Formats with at most `precision` significant digits, switching to exponent notation like Number.toPrecision
+  toPrecision(precision: number, mode: RoundingMode): string {
+    if (this.isZero()) return '0';
+    const rounded = this.roundSignificant(precision, mode);
+    const digits = abs(rounded.coefficient).toString();
+    const exponent = rounded.magnitude();
+    if (exponent < -6 || exponent >= precision) {
+      const mantissa = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+      return `${rounded.isNegative() ? '-' : ''}${mantissa}e${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+    }
+    return rounded.toString();
+  }
+
+  toNumber(): number {
+    return Number(this.toString());
+  }
+
+  // Plain notation without exponent and without trailing fraction zeros
+  toString(): string {
+    const sign = this.isNegative() ? '-' : '';
+    const digits = abs(this.coefficient).toString();
+    if (this.scale <= 0) return sign + digits + '0'.repeat(this.isZero() ? 0 : -this.scale);
+    const padded = digits.padStart(this.scale + 1, '0');
+    return `${sign}${padded.slice(0, -this.scale)}.${padded.slice(-this.scale)}`;
+  }
+
+  private normalize(): Decimal {
+    if (this.coefficient === 0n) return this.scale === 0 ? this : Decimal.ZERO;
+    let coefficient = this.coefficient;
+    let scale = this.scale;
+    while (coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      scale--;
+    }
+    return scale === this.scale ? this : new Decimal(coefficient, scale);
+  }
+}
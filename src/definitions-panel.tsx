@@ -0,0 +1,114 @@
+import { createSignal, For, Show } from 'solid-js';
+import { definitionCount, formatFunction, maxBodyLength, maxDefinitions, type Definitions } from './definitions';
+
+export default function DefinitionsPanel(props: {
+  definitions: Definitions;
+  // Defines from text such as 'rate = 0.19'; returns false when the text is no valid definition
+  onDefine: (text: string) => boolean;
+  onRecall: (name: string) => void;
+  onDelete: (name: string) => void;
+}) {
+  const [invalid, setInvalid] = createSignal(false);
+
+  const variables = () => Object.entries(props.definitions.variables);
+  const functions = () => Object.entries(props.definitions.functions);
+
+  const submit = (input: HTMLInputElement) => {
+    const ok = props.onDefine(input.value);
+    setInvalid(!ok);
+    if (ok) input.value = '';
+  };
+
+  // An edited value or body is defined again under the same name; edits that are not valid are reverted
+  const edit = (input: HTMLInputElement, text: string, previous: string) => {
+    if (!props.onDefine(text)) input.value = previous;
+  };
+
+  return (
+    <div class="bg-base-200 min-h-full w-80 p-4 flex flex-col text-left">
+      <h2 class="text-lg font-bold mb-2">Variables & functions</h2>
+      <form
+        class="mb-4"
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit(e.currentTarget.elements.namedItem('definition') as HTMLInputElement);
+        }}
+      >
+        <input
+          name="definition"
+          type="text"
+          class={`input input-sm w-full font-mono ${invalid() ? 'input-error' : ''}`}
+          placeholder="rate = 0.19 or net(x) = x / (1 + rate)"
+          maxLength={maxBodyLength + 40}
+          disabled={definitionCount(props.definitions) >= maxDefinitions}
+          onInput={() => setInvalid(false)}
+          aria-label="New definition"
+        />
+        <Show when={invalid()}>
+          <p class="text-xs text-error mt-1" role="alert">
+            Not a valid definition or its value failed.
+          </p>
+        </Show>
+      </form>
+
+      <Show
+        when={variables().length + functions().length > 0}
+        fallback={<p class="text-sm opacity-60">Define variables and functions to use them in expressions.</p>}
+      >
+        <ul class="flex-1 overflow-y-auto space-y-1">
+          <For each={variables()}>
+            {([name, value]) => (
+              <li class="flex items-center gap-1 font-mono text-sm">
+                <button class="link link-hover" title={`Use ${name} as operand`} onClick={() => props.onRecall(name)}>
+                  {name}
+                </button>
+                <span class="opacity-60">=</span>
+                <input
+                  type="text"
+                  class="input input-xs w-0 flex-1 font-mono text-right"
+                  value={value}
+                  onChange={(e) => edit(e.currentTarget, `${name} = ${e.currentTarget.value}`, value)}
+                  aria-label={`Value of ${name}`}
+                />
+                <button
+                  class="btn btn-ghost btn-xs opacity-50"
+                  onClick={() => props.onDelete(name)}
+                  aria-label={`Delete ${name}`}
+                >
+                  ✕
+                </button>
+              </li>
+            )}
+          </For>
+          <For each={functions()}>
+            {([name, fn]) => (
+              <li class="flex items-center gap-1 font-mono text-sm">
+                <span title={formatFunction(name, fn)}>
+                  {name}({fn.parameters.join(', ')})
+                </span>
+                <span class="opacity-60">=</span>
+                <input
+                  type="text"
+                  class="input input-xs w-0 flex-1 font-mono"
+                  value={fn.body}
+                  maxLength={maxBodyLength}
+                  onChange={(e) =>
+                    edit(e.currentTarget, `${name}(${fn.parameters.join(', ')}) = ${e.currentTarget.value}`, fn.body)
+                  }
+                  aria-label={`Body of ${name}`}
+                />
+                <button
+                  class="btn btn-ghost btn-xs opacity-50"
+                  onClick={() => props.onDelete(name)}
+                  aria-label={`Delete ${name}`}
+                >
+                  ✕
+                </button>
+              </li>
+            )}
+          </For>
+        </ul>
+      </Show>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// definitions.ts
+// Variables and user-defined functions for expressions: 'rate = 0.19' stores the value of the right-hand side,
+// 'net(x) = x / (1 + rate)' a function of its parameters. Both are persisted through the `/config` settings.
+import { parse, reservedNames } from './parser';
+
+export interface UserFunction {
+  parameters: string[];
+  body: string;
+}
+
+export interface Definitions {
+  // Values as the arithmetic backend wrote them, e.g. '0.19' or '7/3'
+  variables: Record<string, string>;
+  functions: Record<string, UserFunction>;
+}
+
+// A definition typed as text; `parameters` is null for a variable
+export interface Definition {
+  name: string;
+  parameters: string[] | null;
+  body: string;
+}
+
+export const maxDefinitions = 100;
+
+// Function bodies are kept short enough to read in the side panel
+export const maxBodyLength = 200;
+
+export const defaultDefinitions: Definitions = {
+  variables: {},
+  functions: {},
+};
+
+const namePattern = /^[a-z][a-z0-9]*$/i;
+
+export const isValidName = (name: string): boolean =>
+  namePattern.test(name) && !reservedNames.includes(name.toLowerCase());
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  value != null && typeof value === 'object' && !Array.isArray(value);
+
+const isUserFunction = (value: unknown): value is UserFunction =>
+  isRecord(value) &&
+  Array.isArray(value.parameters) &&
+  value.parameters.every((parameter) => typeof parameter === 'string' && isValidName(parameter)) &&
+  typeof value.body === 'string' &&
+  value.body.trim() !== '' &&
+  value.body.length <= maxBodyLength;
+
+// Picks the valid definitions out of a loaded config; invalid entries are dropped
+export function parseDefinitions(data: Record<string, unknown>): Definitions {
+  const definitions: Definitions = { variables: {}, functions: {} };
+  const entries = (value: unknown) =>
+    isRecord(value) ? Object.entries(value).filter(([name]) => isValidName(name)) : [];
+  for (const [name, value] of entries(data.variables)) {
+    if (typeof value === 'string') definitions.variables[name] = value;
+  }
+  for (const [name, fn] of entries(data.functions)) {
+    if (isUserFunction(fn)) definitions.functions[name] = fn;
+  }
+  return definitions;
+}
+
+const definitionPattern = /^\s*([a-z][a-z0-9]*)\s*(?:\(([^)]*)\))?\s*=(?!=)\s*(.+?)\s*$/i;
+
+// Reads 'name = expression' or 'name(a, b) = expression'; null when the text is no valid definition, e.g. a
+// reserved name such as 'sin = 2', parameters used twice or a body that does not parse
+export function parseDefinition(text: string, radix = 10, imaginary = false): Definition | null {
+  const match = definitionPattern.exec(text);
+  if (!match) return null;
+  const [, name, parameterList, body] = match;
+  const parameters = parameterList?.split(',').map((parameter) => parameter.trim()) ?? null;
+  if (!isValidName(name) || body.length > maxBodyLength) return null;
+  if (parameters && (!parameters.every(isValidName) || new Set(parameters).size < parameters.length)) return null;
+  try {
+    parse(body, radix, imaginary);
+  } catch {
+    return null;
+  }
+  return { name, parameters, body };
+}
+
+// How a function is written, e.g. 'net(x) = x / (1 + rate)'
+export const formatFunction = (name: string, fn: UserFunction): string =>
+  `${name}(${fn.parameters.join(', ')}) = ${fn.body}`;
+
+// Adds or replaces a definition; a variable replaces a function of the same name and vice versa
+export function define(definitions: Definitions, name: string, value: string | UserFunction): Definitions {
+  const { variables, functions } = removeDefinition(definitions, name);
+  return typeof value === 'string'
+    ? { variables: { ...variables, [name]: value }, functions }
+    : { variables, functions: { ...functions, [name]: value } };
+}
+
+export function removeDefinition(definitions: Definitions, name: string): Definitions {
+  const without = <T>(entries: Record<string, T>) =>
+    Object.fromEntries(Object.entries(entries).filter(([key]) => key !== name));
+  return { variables: without(definitions.variables), functions: without(definitions.functions) };
+}
+
+export const definitionCount = ({ variables, functions }: Definitions): number =>
+  Object.keys(variables).length + Object.keys(functions).length;
@@ -0,0 +1,95 @@
+import { createSignal, Show } from 'solid-js';
+
+export default function Display(props: {
+  value: string;
+  // Error message shown in place of the value
+  error?: string;
+  expression: string;
+  indicator: string;
+  // Returns the pending input for editing; editing is disabled when omitted
+  editableExpression?: () => string;
+  onEvaluate: (expression: string) => void;
+  // Copies the value; resolves to false when nothing was copied
+  onCopy: () => Promise<boolean>;
+  onPaste: () => void;
+}) {
+  // Text of the expression line while it is being edited, otherwise null
+  const [editing, setEditing] = createSignal<string | null>(null);
+  const [copied, setCopied] = createSignal(false);
+
+  const copy = async () => {
+    if (!(await props.onCopy())) return;
+    setCopied(true);
+    window.setTimeout(() => setCopied(false), 1500);
+  };
+
+  const submit = () => {
+    const text = editing();
+    setEditing(null);
+    if (text?.trim()) props.onEvaluate(text);
+  };
+
+  const handleKeyDown = (e: KeyboardEvent) => {
+    if (e.key === 'Enter') submit();
+    else if (e.key === 'Escape') setEditing(null);
+  };
+
+  return (
+    <div class="mb-4 bg-base-100 p-2 rounded-box border font-mono text-right">
+      <div class="flex justify-between items-center gap-2 text-xs min-h-4">
+        <span class="flex items-center gap-2">
+          <button class="opacity-40 hover:opacity-100" title="Copy value" aria-label="Copy value" onClick={copy}>
+            {copied() ? '✓' : '⧉'}
+          </button>
+          <button
+            class="opacity-40 hover:opacity-100"
+            title="Paste a number or expression"
+            aria-label="Paste"
+            onClick={() => props.onPaste()}
+          >
+            📋
+          </button>
+          <span class="opacity-60" title="Memory in use">
+            {props.indicator}
+          </span>
+        </span>
+        <Show
+          when={editing() !== null}
+          fallback={
+            <span class="flex items-center gap-1 min-w-0">
+              <span class="opacity-60 truncate">{props.expression}</span>
+              <Show when={props.editableExpression}>
+                {(pending) => (
+                  <button
+                    class="opacity-40 hover:opacity-100"
+                    title="Edit expression"
+                    aria-label="Edit expression"
+                    onClick={() => setEditing(pending()())}
+                  >
+                    ✎
+                  </button>
+                )}
+              </Show>
+            </span>
+          }
+        >
+          <input
+            ref={(el) => window.requestAnimationFrame(() => el.focus())}
+            type="text"
+            class="input input-xs flex-1 font-mono text-right"
+            value={editing() ?? ''}
+            onInput={(e) => setEditing(e.currentTarget.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => setEditing(null)}
+            aria-label="Expression"
+          />
+        </Show>
+      </div>
+      <Show when={props.error} fallback={<div class="text-3xl break-all">{props.value}</div>}>
+        <div class="text-xl text-error min-h-9" role="alert">
+          {props.error}
+        </div>
+      </Show>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+// engine.test.ts
+// Key sequences through `transition()` in both evaluation modes, checked against what a desk calculator shows.
+import { describe, expect, it } from 'vitest';
+import { errorMessages } from './arithmetic';
+import {
+  defaultOptions,
+  initialState,
+  transition,
+  type CalculatorEvent,
+  type CalculatorState,
+  type EngineOptions,
+  type Operator,
+} from './engine';
+import { programmerArithmetic } from './programmer';
+
+const expressionMode: EngineOptions = defaultOptions;
+const immediateMode: EngineOptions = { ...defaultOptions, evaluation: 'immediate' };
+
+const keyEvents: Record<string, CalculatorEvent> = {
+  '.': { type: 'dot' },
+  '=': { type: 'equals' },
+  '%': { type: 'percent' },
+  '(': { type: 'open' },
+  ')': { type: 'close' },
+  C: { type: 'clear' },
+  '±': { type: 'sign' },
+};
+
+const operators: Record<string, Operator> = { '+': '+', '-': '-', '×': '*', '÷': '/', '^': '^' };
+
+// Presses the keys of a sequence such as '12 + 3 ='; numbers are typed digit by digit
+function press(keys: string, options: EngineOptions, state: CalculatorState = initialState()): CalculatorState {
+  return keys
+    .split(' ')
+    .flatMap((key): CalculatorEvent[] => {
+      if (key in keyEvents) return [keyEvents[key]];
+      if (key in operators) return [{ type: 'operator', operator: operators[key] }];
+      return [...key].map((char) => (char === '.' ? { type: 'dot' } : { type: 'digit', digit: char }));
+    })
+    .reduce((current, event) => transition(current, event, options), state);
+}
+
+describe('transition', () => {
+  it('types numbers digit by digit', () => {
+    expect(press('0 0 12 . 5', expressionMode).display).toBe('12.5');
+    expect(press('1 . . 5', expressionMode).display).toBe('1.5');
+  });
+
+  describe('precedence', () => {
+    it('multiplies before adding in expression mode', () => {
+      const state = press('2 + 3 × 4 =', expressionMode);
+      expect(state.display).toBe('14');
+      expect(state.completed).toEqual({ expression: '2 + 3 * 4', result: '14' });
+    });
+
+    it('applies every operator at once in immediate mode', () => {
+      expect(press('2 + 3 ×', immediateMode).display).toBe('5');
+      expect(press('2 + 3 × 4 =', immediateMode).display).toBe('20');
+    });
+
+    it('evaluates parentheses first', () => {
+      expect(press('( 2 + 3 ) × 4 =', expressionMode).display).toBe('20');
+      expect(press('2 × ( 3 + 4 =', expressionMode).display).toBe('14');
+    });
+
+    it('raises a negative operand as a whole', () => {
+      for (const options of [expressionMode, immediateMode]) {
+        const state = press('3 ± ^ 2 =', options);
+        expect(state.display).toBe('9');
+        expect(state.completed).toEqual({ expression: '(-3) ^ 2', result: '9' });
+        expect(press('4 ^ 2 = ± ^ 2 =', options).completed).toEqual({ expression: '(-16) ^ 2', result: '256' });
+      }
+    });
+
+    it('replaces an operator pressed right after another', () => {
+      expect(press('6 + × 2 =', expressionMode).display).toBe('12');
+      expect(press('6 + × 2 =', immediateMode).display).toBe('12');
+    });
+  });
+
+  describe('repeat equals', () => {
+    it('repeats the last operation on the result', () => {
+      for (const options of [expressionMode, immediateMode]) {
+        expect(press('2 × 3 =', options).display).toBe('6');
+        expect(press('2 × 3 = =', options).display).toBe('18');
+        expect(press('2 × 3 = = =', options).display).toBe('54');
+        expect(press('10 - 2 = =', options).display).toBe('6');
+      }
+    });
+
+    it('applies the repeated operation to a new number', () => {
+      expect(press('2 × 3 = 5 =', expressionMode).display).toBe('15');
+    });
+
+    it('repeats a constant operation on a new number', () => {
+      for (const options of [expressionMode, immediateMode]) {
+        expect(press('2 × 3 = 4 =', options).display).toBe('12');
+        expect(press('5 - 2 = 10 =', options).display).toBe('8');
+      }
+    });
+
+    it('repeats an operand whose sign was changed before equals', () => {
+      for (const options of [expressionMode, immediateMode]) {
+        expect(press('2 × 3 ± =', options).display).toBe('-6');
+        expect(press('2 × 3 ± = =', options).display).toBe('18');
+      }
+    });
+
+    it('repeats on a result whose sign was changed', () => {
+      expect(press('2 × 3 = ± =', expressionMode).display).toBe('-18');
+    });
+
+    it('takes a repeated percentage anew of the result', () => {
+      expect(press('200 + 10 % = =', expressionMode).display).toBe('242');
+    });
+
+    it('repeats a parenthesized operand as a whole', () => {
+      expect(press('2 + 5 × ( 3 + 1 ) = =', expressionMode).display).toBe('88');
+    });
+
+    it('repeats the last operation of an edited expression', () => {
+      const state = transition(initialState(), { type: 'evaluate', expression: '2 * -3' }, expressionMode);
+      expect(press('=', expressionMode, state).display).toBe('18');
+    });
+
+    it('stops repeating after clear', () => {
+      const state = press('2 × 3 = C', expressionMode);
+      expect(state.repeat).toBeNull();
+      expect(press('=', expressionMode, state).display).toBe('0');
+    });
+  });
+
+  describe('percent', () => {
+    it('takes a percentage of the first operand for + and −', () => {
+      for (const options of [expressionMode, immediateMode]) {
+        expect(press('200 + 10 %', options).display).toBe('20');
+        expect(press('200 + 10 % =', options).display).toBe('220');
+        expect(press('200 - 10 % =', options).display).toBe('180');
+      }
+    });
+
+    it('turns the operand into a fraction for × and ÷', () => {
+      for (const options of [expressionMode, immediateMode]) {
+        expect(press('200 × 10 %', options).display).toBe('0.1');
+        expect(press('200 × 10 % =', options).display).toBe('20');
+      }
+    });
+
+    it('divides a single number by 100', () => {
+      expect(press('50 %', expressionMode).display).toBe('0.5');
+    });
+  });
+
+  describe('sign', () => {
+    it('wraps a negated integer to the word size', () => {
+      const hex = { ...defaultOptions, arithmetic: programmerArithmetic({ radix: 16, wordSize: 8, signed: true }) };
+      expect(press('F ±', hex).display).toBe('F1');
+      expect(press('F ± + 1 =', hex).display).toBe('F2');
+      expect(press('F ± ±', hex).display).toBe('F');
+      const unsigned = {
+        ...defaultOptions,
+        arithmetic: programmerArithmetic({ radix: 10, wordSize: 8, signed: false }),
+      };
+      expect(press('5 ±', unsigned).display).toBe('251');
+      expect(press('5 ± + 5 =', unsigned).display).toBe('0');
+    });
+  });
+
+  describe('error states', () => {
+    it('reports division by zero', () => {
+      for (const options of [expressionMode, immediateMode]) {
+        const state = press('1 ÷ 0 =', options);
+        expect(state.error).toBe('divide-by-zero');
+        expect(state.completed).toMatchObject({ result: errorMessages['divide-by-zero'], error: 'divide-by-zero' });
+      }
+    });
+
+    it('reports overflow', () => {
+      const state = press('1' + ' × 10000000000'.repeat(31) + ' =', expressionMode);
+      expect(state.error).toBe('overflow');
+    });
+
+    it('locks the keypad until new input', () => {
+      const failed = press('1 ÷ 0 =', expressionMode);
+      expect(press('+ ± % =', expressionMode, failed)).toEqual({ ...failed, completed: null });
+      const state = press('4 + 2 =', expressionMode, failed);
+      expect(state.error).toBeNull();
+      expect(state.display).toBe('6');
+    });
+
+    it('leaves the error state on clear', () => {
+      expect(press('1 ÷ 0 = C', expressionMode, initialState())).toEqual(initialState());
+    });
+
+    it('reports an expression that cannot be read as invalid input', () => {
+      const state = transition(initialState(), { type: 'evaluate', expression: '2 + * 3' }, expressionMode);
+      expect(state.error).toBe('invalid');
+    });
+  });
+});
@@ -0,0 +1,609 @@
+// engine.ts
+// Framework-free calculator engine. The state is a plain object and every key press is an event that
+// `transition()` turns into the next state, so the same logic can drive a SolidJS view or a Node-side tool.
+
+import {
+  ArithmeticError,
+  errorMessages,
+  floatArithmetic,
+  percentOperand,
+  type Arithmetic,
+  type ArithmeticErrorKind,
+  type Operator,
+} from './arithmetic';
+import type { Definitions } from './definitions';
+import { evaluate, lastOperation } from './parser';
+import { constantSymbols, type Constant, type UnaryFunction } from './scientific';
+
+export type { Operator } from './arithmetic';
+
+export type CalculatorEvent =
+  | { type: 'digit'; digit: string }
+  | { type: 'dot' }
+  | { type: 'operator'; operator: Operator }
+  | { type: 'equals' }
+  | { type: 'clear' }
+  | { type: 'sign' }
+  | { type: 'percent' }
+  | { type: 'open' }
+  | { type: 'close' }
+  | { type: 'backspace' }
+  | { type: 'clearEntry' }
+  | { type: 'evaluate'; expression: string }
+  | { type: 'function'; name: UnaryFunction }
+  | { type: 'constant'; name: Constant }
+  | { type: 'imaginary' }
+  | { type: 'fraction' }
+  | { type: 'recall'; value: string }
+  | { type: 'recallExpression'; expression: string };
+
+export interface Calculation {
+  expression: string;
+  result: string;
+  // Set for a failed calculation, whose result is the error message
+  error?: ArithmeticErrorKind;
+}
+
+// 'expression' collects the whole input and evaluates it with operator precedence on '=',
+// 'immediate' is the classic desk-calculator mode that applies every operator as soon as it is pressed
+export type EvaluationMode = 'expression' | 'immediate';
+
+// The last operation of a calculation, which '=' repeats on the value on the display: 2 × 3 = = = gives 6, 18, 54
+export interface RepeatOperation {
+  operator: Operator;
+  // The second operand and how it is written in the expression, e.g. '3' and 'sqrt(9)'
+  value: string;
+  text: string;
+}
+
+export interface CalculatorState {
+  display: string;
+  operator: Operator | null;
+  firstValue: string | null;
+  waitingForOperand: boolean;
+  expression: string;
+  // How the operand on the display is written in the expression when it is not a typed number, e.g. 'sqrt(2)'
+  operandText: string | null;
+  // Calculation completed by the last event, otherwise null
+  completed: Calculation | null;
+  // Set after a failed calculation; the keypad is locked until new input, see `unlockingEvents`
+  error: ArithmeticErrorKind | null;
+  // Operation repeated by '=' until a new operation starts
+  repeat: RepeatOperation | null;
+}
+
+export interface EngineOptions {
+  arithmetic: Arithmetic;
+  evaluation: EvaluationMode;
+  // Variables and user-defined functions that expressions may use
+  definitions?: Definitions;
+}
+
+export const defaultOptions: EngineOptions = {
+  arithmetic: floatArithmetic(),
+  evaluation: 'expression',
+};
+
+export const initialState = (): CalculatorState => ({
+  display: '0',
+  operator: null,
+  firstValue: null,
+  waitingForOperand: false,
+  expression: '',
+  operandText: null,
+  completed: null,
+  error: null,
+  repeat: null,
+});
+
+// Events that start new input and leave the error state; all other events are ignored while an error is shown
+export const unlockingEvents: CalculatorEvent['type'][] = [
+  'digit',
+  'dot',
+  'constant',
+  'imaginary',
+  'fraction',
+  'clear',
+  'recall',
+  'recallExpression',
+  'evaluate',
+];
+
+// The error state after a failed calculation, which is reported like a completed one
+const fail = (kind: ArithmeticErrorKind, expression: string): CalculatorState => ({
+  ...initialState(),
+  expression,
+  error: kind,
+  completed: { expression, result: errorMessages[kind], error: kind },
+});
+
+// Runs a step that calculates; an arithmetic error or an unreadable expression leads to the error state
+const attempt = (expression: string, step: () => CalculatorState): CalculatorState => {
+  try {
+    return step();
+  } catch (err) {
+    if (err instanceof ArithmeticError) return fail(err.kind, expression);
+    if (err instanceof SyntaxError) return fail('invalid', expression);
+    throw err;
+  }
+};
+
+// Formats a value for the display; a value the backend cannot read is invalid input
+const formatted = (value: string, options: EngineOptions): string => {
+  const text = options.arithmetic.format(value);
+  if (text === 'NaN') throw new ArithmeticError('invalid');
+  return text;
+};
+
+export function applyDigitLimit(input: string, digitLimit = defaultOptions.arithmetic.precision): string {
+  const unsigned = input.startsWith('-') || input.startsWith('+') ? input.slice(1) : input;
+  const digitsOnly = unsigned.replace('.', '');
+  const excess = digitsOnly.length - digitLimit;
+
+  return excess <= 0 ? input : input.slice(0, input.length - excess);
+}
+
+// True while typing an imaginary number such as '4i', which takes no further digits
+const typedImaginary = (state: CalculatorState): boolean => !state.waitingForOperand && state.display.endsWith('i');
+
+// A fraction being typed with the a b/c key: '3/', '3/4', '2 1/' or '-2 1/3'
+const fractionInputPattern = /^-?\d+( \d+)?\/\d*$/;
+
+const typedFraction = (state: CalculatorState): boolean =>
+  !state.waitingForOperand && state.operandText == null && fractionInputPattern.test(state.display);
+
+// Digits are '0'-'9' and 'A'-'F'; those beyond the radix of the arithmetic backend are ignored
+const inputDigit = (state: CalculatorState, digit: string, options: EngineOptions): CalculatorState => {
+  if (!(parseInt(digit, 16) < options.arithmetic.radix) || typedImaginary(state)) return state;
+  const current = state.display;
+  const next = state.waitingForOperand ? digit : current === '0' ? digit : current + digit;
+  return {
+    ...state,
+    display: applyDigitLimit(next, options.arithmetic.precision),
+    operandText: null,
+    waitingForOperand: false,
+  };
+};
+
+const inputDot = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  if (options.arithmetic.integer || typedImaginary(state) || typedFraction(state)) return state;
+  if (state.waitingForOperand) return { ...state, display: '0.', operandText: null, waitingForOperand: false };
+  if (state.display.includes('.')) return state;
+  return { ...state, display: applyDigitLimit(state.display + '.', options.arithmetic.precision) };
+};
+
+// Removes the last typed character; results, function values and exponent notation are not edited.
+// The sign stays with the remaining digits, and removing the last digit leaves '0'.
+const backspace = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  if (state.waitingForOperand || state.operandText != null) return state;
+  // Removing the bar of a mixed number goes back to the fraction it was made from: '2 1/' becomes '2/1'
+  if (/^-?\d+ \d+\/$/.test(state.display)) return { ...state, display: state.display.slice(0, -1).replace(' ', '/') };
+  if (!/^-?[\dA-F]*\.?\d*i?$/.test(state.display) && !typedFraction(state)) return state;
+  const next = state.display.slice(0, -1);
+  const display = /^-?0?$/.test(next) ? '0' : applyDigitLimit(next, options.arithmetic.precision);
+  return { ...state, display };
+};
+
+const negate = (text: string): string => (text.startsWith('-') ? text.slice(1) : '-' + text);
+
+// A complex value with both parts, e.g. '3-4i'; a sign after a digit is never part of an exponent
+const isCompound = (value: string): boolean => /\d[+-]/.test(value);
+
+// A negative number written as an operand, '(-3)', loses its parentheses with its sign instead of becoming '-(-3)'
+const negateOperand = (text: string): string => /^\(-([\dA-F.]+(?:e[+-]?\d+)?)\)$/i.exec(text)?.[1] ?? negate(text);
+
+// Both parts of a complex value change their sign, which the arithmetic backend takes care of. So does an
+// integer, which wraps to the word size: −5 is FB in 8-bit hex and 251 unsigned.
+const toggleSign = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  if (options.arithmetic.integer) {
+    const display = formatted(options.arithmetic.calculate('0', state.display, '-'), options);
+    return { ...state, display, operandText: state.operandText && display };
+  }
+  return {
+    ...state,
+    display: isCompound(state.display)
+      ? formatted(options.arithmetic.calculate('0', state.display, '-'), options)
+      : negate(state.display),
+    operandText: state.operandText && negateOperand(state.operandText),
+  };
+};
+
+// A fraction written into an expression; a mixed number becomes a sum: '-2 1/3' is '(-2-1/3)'
+const fractionText = (value: string): string =>
+  `(${value.replace(/^(-?)(\d+) /, (_, sign: string, whole: string) => `${sign}${whole}${sign || '+'}`)})`;
+
+// The operand on the display as it is written into the expression; complex values, fractions and negative
+// values are kept together: 2 * (3+4i), 2 ^ (1/3), (-3) ^ 2
+const operand = (state: CalculatorState): string => {
+  const text =
+    state.operandText ??
+    (isCompound(state.display)
+      ? `(${state.display})`
+      : state.display.includes('/')
+        ? fractionText(state.display)
+        : state.display);
+  return text.startsWith('-') ? `(${text})` : text;
+};
+
+// The operator waiting for the operand on the display, if any
+const pendingOperator = (state: CalculatorState, options: EngineOptions): Operator | null => {
+  if (options.evaluation === 'immediate') return state.firstValue != null ? state.operator : null;
+  return state.operator != null && state.expression.endsWith(` ${state.operator}`) ? state.operator : null;
+};
+
+// The first operand of a pending + or −, which a percentage is taken of. In expression mode this is
+// everything before the operator within the innermost open group: 2 × 100 + 10% is 2 × 100 + 20.
+const percentBase = (state: CalculatorState, options: EngineOptions): string => {
+  if (options.evaluation === 'immediate') return state.firstValue ?? '0';
+  const text = state.expression.slice(0, state.expression.lastIndexOf(' '));
+  let start = text.length;
+  for (let depth = 0; start > 0; start--) {
+    if (text[start - 1] === ')') depth++;
+    else if (text[start - 1] === '(' && depth-- === 0) break;
+  }
+  return evaluate(text.slice(start), options.arithmetic, options.definitions);
+};
+
+// '%' turns the operand into a percentage, which depends on the pending operator (see `percentOperand`):
+// 200 + 10 % shows 20 and gives 220, 200 × 10 % shows 0.1 and gives 20. A percentage of a percentage
+// or of a group just closed by ')' is not supported.
+const inputPercent = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  if (state.operandText?.endsWith('%') || (options.evaluation === 'expression' && groupJustClosed(state))) {
+    return state;
+  }
+  const operandText = `${operand(state)}%`;
+  return attempt(operandText, () => {
+    const operator = pendingOperator(state, options);
+    const first = operator === '+' || operator === '-' ? percentBase(state, options) : state.display;
+    const value = operator
+      ? percentOperand(options.arithmetic, first, state.display, operator)
+      : options.arithmetic.percent(state.display);
+    return { ...state, display: formatted(value, options), operandText, waitingForOperand: true };
+  });
+};
+
+// True right after an operator key, when the next key starts the second operand
+export const operatorPending = (state: CalculatorState): boolean =>
+  state.operator != null && state.waitingForOperand && state.operandText == null;
+
+const performOperation = (state: CalculatorState, nextOperator: Operator, options: EngineOptions): CalculatorState => {
+  // A second operator key in a row only replaces the pending operator
+  if (operatorPending(state)) return { ...state, operator: nextOperator };
+
+  if (state.firstValue == null || !state.operator) {
+    return {
+      ...state,
+      repeat: null,
+      firstValue: state.display,
+      expression: operand(state),
+      operandText: null,
+      operator: nextOperator,
+      waitingForOperand: true,
+    };
+  }
+
+  const { firstValue, operator } = state;
+  const expression = `${state.expression} ${operator} ${operand(state)}`;
+  return attempt(expression, () => {
+    const result = options.arithmetic.calculate(firstValue, state.display, operator);
+    return {
+      ...state,
+      expression,
+      display: formatted(result, options),
+      firstValue: result,
+      operandText: null,
+      operator: nextOperator,
+      waitingForOperand: true,
+    };
+  });
+};
+
+const handleEquals = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  const { firstValue, operator } = state;
+  if (!operator || firstValue == null) return repeatOperation(state, options);
+
+  const expression = `${state.expression} ${operator} ${operand(state)}`;
+  return attempt(expression, () => {
+    const result = formatted(options.arithmetic.calculate(firstValue, state.display, operator), options);
+    return {
+      ...state,
+      display: result,
+      firstValue: null,
+      operator: null,
+      waitingForOperand: true,
+      expression: '',
+      operandText: null,
+      completed: { expression, result },
+      repeat: { operator, value: state.display, text: operand(state) },
+    };
+  });
+};
+
+// '=' without a pending operation repeats the last one on the value on the display. The display may have
+// changed since: a new number gives a constant operation (2 × 3 = 4 = gives 12), and '+/-' or '%' applied
+// to a result change the value the operation repeats on. '+/-' or '%' applied to the second operand before
+// '=' become part of the repeated operand (2 × 3 +/- = = gives -6, 18); a percentage is taken anew of
+// each result (200 + 10 % = = gives 220, 242).
+const repeatOperation = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  const { repeat } = state;
+  if (!repeat) return state;
+
+  const expression = `${operand(state)} ${repeat.operator} ${repeat.text}`;
+  return attempt(expression, () => {
+    const { arithmetic } = options;
+    const second = repeat.text.endsWith('%')
+      ? percentOperand(
+          arithmetic,
+          state.display,
+          evaluate(repeat.text.slice(0, -1), arithmetic, options.definitions),
+          repeat.operator
+        )
+      : repeat.value;
+    const result = formatted(arithmetic.calculate(state.display, second, repeat.operator), options);
+    return { ...state, display: result, operandText: null, waitingForOperand: true, completed: { expression, result } };
+  });
+};
+
+// The repeatable last operation of an evaluated expression, with its operand evaluated
+const repeatFor = (expression: string, options: EngineOptions): RepeatOperation | null => {
+  const last = lastOperation(expression, options.arithmetic.radix, options.arithmetic.complex);
+  return (
+    last && {
+      operator: last.operator,
+      value: evaluate(last.operand, options.arithmetic, options.definitions),
+      text: last.operand,
+    }
+  );
+};
+
+// Every token ends in a character that identifies it: a digit or '.' for numbers, the operator or parenthesis itself
+const lastToken = (expression: string): string => expression.trimEnd().slice(-1);
+
+// Number of parentheses opened in the expression that are not closed yet
+export const openParentheses = (expression: string): number =>
+  (expression.match(/\(/g)?.length ?? 0) - (expression.match(/\)/g)?.length ?? 0);
+
+// Appends a token, keeping '(' and ')' tight to their contents: '2 * (3 - 1)'
+const appendToken = (expression: string, token: string): string =>
+  expression === '' || expression.endsWith('(') || token === ')' ? expression + token : `${expression} ${token}`;
+
+// Appends the operand on the display unless the expression already ends with a complete operand,
+// i.e. a closing parenthesis; an operand entered right after ')' is multiplied implicitly
+const appendOperand = (state: CalculatorState): string => {
+  if (lastToken(state.expression) !== ')') return appendToken(state.expression, operand(state));
+  return state.waitingForOperand && state.operandText == null
+    ? state.expression
+    : `${state.expression} * ${operand(state)}`;
+};
+
+// Evaluates an expression for the display; throws like `evaluate` when it fails
+const evaluateFormatted = (expression: string, options: EngineOptions): string =>
+  formatted(evaluate(expression, options.arithmetic, options.definitions), options);
+
+const appendOperator = (state: CalculatorState, nextOperator: Operator): CalculatorState => {
+  const last = lastToken(state.expression);
+  if (state.waitingForOperand && state.operandText == null && last === '(') return state;
+  // A second operator key in a row only replaces the pending operator
+  const expression = operatorPending(state)
+    ? state.expression.slice(0, state.expression.lastIndexOf(' ')) + ` ${nextOperator}`
+    : appendToken(appendOperand(state), nextOperator);
+  return { ...state, expression, operandText: null, operator: nextOperator, waitingForOperand: true, repeat: null };
+};
+
+const openParenthesis = (state: CalculatorState): CalculatorState => {
+  const expectsOperand = state.waitingForOperand || (state.expression === '' && state.display === '0');
+  const expression = expectsOperand ? state.expression : appendToken(appendOperand(state), '*');
+  return {
+    ...state,
+    expression: appendToken(expression, '('),
+    operandText: null,
+    operator: null,
+    waitingForOperand: true,
+    repeat: null,
+  };
+};
+
+// Start of the group closed by the ')' at the end of the expression, including a function name before its '('
+const groupStart = (expression: string): number => {
+  let depth = 0;
+  for (let i = expression.length - 1; i >= 0; i--) {
+    if (expression[i] === ')') depth++;
+    else if (expression[i] === '(' && --depth === 0)
+      return i - (expression.slice(0, i).match(/[a-z0-9]*$/i)?.[0].length ?? 0);
+  }
+  return 0;
+};
+
+// Closes the innermost group and shows its value on the display
+const closeParenthesis = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  const awaitingOperand = state.waitingForOperand && state.operandText == null && lastToken(state.expression) !== ')';
+  if (openParentheses(state.expression) <= 0 || awaitingOperand) return state;
+  const expression = appendToken(appendOperand(state), ')');
+  return attempt(expression, () => ({
+    ...state,
+    expression,
+    display: evaluateFormatted(expression.slice(groupStart(expression)), options),
+    operandText: null,
+    operator: null,
+    waitingForOperand: true,
+  }));
+};
+
+// True when the last operand is a group just closed by ')' and nothing has been entered since
+const groupJustClosed = (state: CalculatorState): boolean =>
+  lastToken(state.expression) === ')' && state.waitingForOperand && state.operandText == null;
+
+// Clears the current operand only; in expression mode a group just closed by ')' is removed as a whole
+const clearEntry = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  if (options.evaluation === 'expression' && groupJustClosed(state)) {
+    const expression = state.expression.slice(0, groupStart(state.expression)).trimEnd();
+    return { ...state, expression, display: '0', waitingForOperand: false };
+  }
+  return { ...state, display: '0', operandText: null, waitingForOperand: false };
+};
+
+// Applies a function to the operand on the display; a group just closed by ')' becomes the argument
+const applyFunction = (state: CalculatorState, fn: UnaryFunction, options: EngineOptions): CalculatorState => {
+  if (options.evaluation === 'expression' && groupJustClosed(state)) {
+    const start = groupStart(state.expression);
+    const group = state.expression.slice(start);
+    const call = `${fn}${group.startsWith('(') ? group : `(${group})`}`;
+    return attempt(call, () => ({
+      ...state,
+      expression: state.expression.slice(0, start) + call,
+      display: evaluateFormatted(call, options),
+    }));
+  }
+
+  const operandText = `${fn}(${operand(state)})`;
+  return attempt(operandText, () => ({
+    ...state,
+    display: formatted(options.arithmetic.apply(fn, state.display), options),
+    operandText,
+    waitingForOperand: true,
+  }));
+};
+
+const inputConstant = (state: CalculatorState, name: Constant, options: EngineOptions): CalculatorState =>
+  attempt(constantSymbols[name], () => ({
+    ...state,
+    display: formatted(options.arithmetic.constant(name), options),
+    operandText: constantSymbols[name],
+    waitingForOperand: true,
+  }));
+
+// The 'i' key makes the number being typed imaginary, '4' becomes '4i', or starts the imaginary unit 'i'
+const inputImaginary = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  if (!options.arithmetic.complex || typedImaginary(state)) return state;
+  const typing = !state.waitingForOperand && state.operandText == null && /^-?[\d.]+$/.test(state.display);
+  const display = !typing || state.display === '0' ? 'i' : state.display === '-0' ? '-i' : `${state.display}i`;
+  return { ...state, display, operandText: null, waitingForOperand: false };
+};
+
+// The a b/c key starts the denominator of the integer being typed, '3' becomes '3/'; pressed again after
+// the denominator it makes a mixed number, '2/1' becomes '2 1/' for 2 1/…
+const inputFraction = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  if (!options.arithmetic.fraction || state.waitingForOperand || state.operandText != null) return state;
+  if (/^-?\d+$/.test(state.display)) return { ...state, display: `${state.display}/` };
+  if (/^-?\d+\/\d+$/.test(state.display)) return { ...state, display: `${state.display.replace('/', ' ')}/` };
+  return state;
+};
+
+const evaluateExpression = (state: CalculatorState, options: EngineOptions): CalculatorState => {
+  if (state.expression === '') return repeatOperation(state, options);
+
+  const expression = appendOperand(state) + ')'.repeat(Math.max(0, openParentheses(state.expression)));
+  return attempt(expression, () => {
+    const result = evaluateFormatted(expression, options);
+    return {
+      ...state,
+      display: result,
+      firstValue: null,
+      operator: null,
+      waitingForOperand: true,
+      expression: '',
+      operandText: null,
+      completed: { expression, result },
+      repeat: repeatFor(expression, options),
+    };
+  });
+};
+
+// The input that '=' would evaluate in expression mode, with open parentheses left open
+export const pendingExpression = (state: CalculatorState): string =>
+  state.expression === '' ? operand(state) : appendOperand(state);
+
+// Evaluates an edited or pasted expression text in place of the pending input
+const evaluateText = (state: CalculatorState, text: string, options: EngineOptions): CalculatorState => {
+  const expression = text.trim() + ')'.repeat(Math.max(0, openParentheses(text)));
+  if (expression === '') return state;
+  return attempt(expression, () => {
+    const result = evaluateFormatted(expression, options);
+    return {
+      ...initialState(),
+      display: result,
+      waitingForOperand: true,
+      completed: { expression, result },
+      repeat: repeatFor(expression, options),
+    };
+  });
+};
+
+// Puts a stored value on the display as a complete operand; its operand text keeps an operator key after it
+// from only replacing the pending operator: 2 + MR + adds the recalled value
+const recall = (state: CalculatorState, value: string, options: EngineOptions): CalculatorState =>
+  attempt(value, () => {
+    const display = formatted(value, options);
+    return {
+      ...state,
+      display,
+      operandText: operand({ ...state, display, operandText: null }),
+      waitingForOperand: true,
+    };
+  });
+
+// Inserts a stored expression as a parenthesized operand
+const recallExpression = (state: CalculatorState, expression: string, options: EngineOptions): CalculatorState =>
+  attempt(expression, () => ({
+    ...state,
+    display: evaluateFormatted(expression, options),
+    operandText: `(${expression})`,
+    waitingForOperand: true,
+  }));
+
+export function transition(
+  state: CalculatorState,
+  event: CalculatorEvent,
+  options: EngineOptions = defaultOptions
+): CalculatorState {
+  let current = state.completed ? { ...state, completed: null } : state;
+  if (current.error) {
+    if (!unlockingEvents.includes(event.type)) return current;
+    current = initialState();
+  }
+
+  switch (event.type) {
+    case 'digit':
+      return inputDigit(current, event.digit, options);
+    case 'dot':
+      return inputDot(current, options);
+    case 'operator':
+      return options.evaluation === 'expression'
+        ? appendOperator(current, event.operator)
+        : performOperation(current, event.operator, options);
+    case 'equals':
+      return options.evaluation === 'expression'
+        ? evaluateExpression(current, options)
+        : handleEquals(current, options);
+    case 'open':
+      return options.evaluation === 'expression' ? openParenthesis(current) : current;
+    case 'close':
+      return options.evaluation === 'expression' ? closeParenthesis(current, options) : current;
+    case 'backspace':
+      return backspace(current, options);
+    case 'clearEntry':
+      return clearEntry(current, options);
+    case 'evaluate':
+      return evaluateText(current, event.expression, options);
+    case 'function':
+      return applyFunction(current, event.name, options);
+    case 'constant':
+      return inputConstant(current, event.name, options);
+    case 'imaginary':
+      return inputImaginary(current, options);
+    case 'fraction':
+      return inputFraction(current, options);
+    case 'recall':
+      return recall(current, event.value, options);
+    case 'recallExpression':
+      return recallExpression(current, event.expression, options);
+    case 'clear':
+      return initialState();
+    case 'sign':
+      return toggleSign(current, options);
+    case 'percent':
+      return inputPercent(current, options);
+    default:
+      return current;
+  }
+}
@@ -0,0 +1,149 @@
+import { createMemo, createSignal, For, Show } from 'solid-js';
+import Button from './button';
+import {
+  amortizationSchedule,
+  maxScheduleRows,
+  periodsPerYearOptions,
+  tvmKeys,
+  tvmLabels,
+  type Tvm,
+  type TvmKey,
+} from './financial';
+
+export default function FinancialKeypad(props: {
+  tvm: Tvm;
+  // Message of the last failed CPT, e.g. when no rate fits the values
+  error: string | null;
+  format: (value: string) => string;
+  onStore: (key: TvmKey) => void;
+  onCompute: (key: TvmKey) => void;
+  onChange: (updates: Partial<Tvm>) => void;
+  onEffectiveRate: () => void;
+}) {
+  // CPT makes the next TVM key solve its value instead of storing the display
+  const [compute, setCompute] = createSignal(false);
+
+  const press = (key: TvmKey) => {
+    if (compute()) props.onCompute(key);
+    else props.onStore(key);
+    setCompute(false);
+  };
+
+  // The schedule needs whole periods and a loan amount
+  const schedule = createMemo(() => {
+    const n = Number(props.tvm.n);
+    return n >= 1 && Number(props.tvm.pv) !== 0 ? amortizationSchedule(props.tvm) : [];
+  });
+
+  return (
+    <div class="mb-2">
+      <div class="grid grid-cols-5 gap-1 mb-1 text-[0.6rem] font-mono opacity-70">
+        <For each={tvmKeys}>
+          {(key) => (
+            <span class="truncate" title={`${tvmLabels[key]} = ${props.tvm[key]}`}>
+              {props.format(props.tvm[key])}
+            </span>
+          )}
+        </For>
+      </div>
+      <div class="grid grid-cols-5 gap-1 mb-2">
+        <For each={tvmKeys}>
+          {(key) => (
+            <Button
+              label={tvmLabels[key]}
+              onClick={() => press(key)}
+              class="btn-scientific"
+              title={compute() ? `Compute ${tvmLabels[key]}` : `Store the display as ${tvmLabels[key]}`}
+            />
+          )}
+        </For>
+      </div>
+
+      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+        <Button
+          label="CPT"
+          onClick={() => setCompute(!compute())}
+          class={`btn-scientific ${compute() ? 'btn-active ring-2 ring-primary' : ''}`}
+          title="Compute the next TVM value from the others"
+        />
+        <Button
+          label={props.tvm.due ? 'BGN' : 'END'}
+          onClick={() => props.onChange({ due: !props.tvm.due })}
+          class="btn-scientific"
+          title="Payments at the beginning or the end of each period"
+        />
+        <Button
+          label="EFF"
+          onClick={props.onEffectiveRate}
+          class="btn-scientific"
+          title="Effective annual rate of I/Y compounded P/Y times a year"
+        />
+        <Button
+          label="CLR"
+          onClick={() => props.onChange({ n: '0', rate: '0', pv: '0', pmt: '0', fv: '0' })}
+          class="btn-scientific"
+          title="Clear the TVM values"
+        />
+      </div>
+
+      <div class="flex justify-between items-center mb-2 text-xs">
+        <label class="flex items-center gap-2">
+          P/Y
+          <select
+            class="select select-xs w-20"
+            value={props.tvm.periodsPerYear}
+            onChange={(e) => props.onChange({ periodsPerYear: Number(e.currentTarget.value) })}
+            title="Payments per year"
+          >
+            <For each={periodsPerYearOptions}>{(periods) => <option value={periods}>{periods}</option>}</For>
+          </select>
+        </label>
+        <Show when={props.error}>
+          <span class="text-error" role="alert">
+            {props.error}
+          </span>
+        </Show>
+      </div>
+
+      <details class="collapse collapse-arrow bg-base-100 border text-left text-sm">
+        <summary class="collapse-title min-h-0 py-2">Amortization schedule</summary>
+        <div class="collapse-content">
+          <Show
+            when={schedule().length > 0}
+            fallback={<p class="text-xs opacity-60">Enter N, I/Y, PV and PMT of a loan to see its schedule.</p>}
+          >
+            <div class="max-h-64 overflow-auto">
+              <table class="table table-xs table-pin-rows font-mono">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th class="text-right">Payment</th>
+                    <th class="text-right">Interest</th>
+                    <th class="text-right">Principal</th>
+                    <th class="text-right">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <For each={schedule()}>
+                    {(row) => (
+                      <tr>
+                        <td>{row.period}</td>
+                        <td class="text-right">{props.format(row.payment)}</td>
+                        <td class="text-right">{props.format(row.interest)}</td>
+                        <td class="text-right">{props.format(row.principal)}</td>
+                        <td class="text-right">{props.format(row.balance)}</td>
+                      </tr>
+                    )}
+                  </For>
+                </tbody>
+              </table>
+            </div>
+            <Show when={Number(props.tvm.n) > maxScheduleRows}>
+              <p class="text-xs opacity-60 mt-1">Only the first {maxScheduleRows} periods are shown.</p>
+            </Show>
+          </Show>
+        </div>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+// financial.test.ts
+// Time value of money: solving each register from the others and amortizing a loan.
+import { describe, expect, it } from 'vitest';
+import { errorMessages } from './arithmetic';
+import {
+  amortizationSchedule,
+  computeTvm,
+  defaultTvm,
+  describeTvm,
+  effectiveRate,
+  formatTvm,
+  type Tvm,
+  type TvmKey,
+} from './financial';
+
+// 30 years of monthly payments on 200 000 at 6 %, with the payment at full precision
+const loan: Tvm = { ...defaultTvm, n: '360', rate: '6', pv: '200000' };
+const mortgage: Tvm = { ...loan, pmt: computeTvm('pmt', loan) };
+
+const solved = (key: TvmKey, tvm: Tvm, digits = 8) => formatTvm(computeTvm(key, tvm), digits);
+
+describe('computeTvm', () => {
+  it('solves every register of a mortgage', () => {
+    expect(solved('pmt', loan)).toBe('-1199.1011');
+    expect(solved('n', mortgage)).toBe('360');
+    expect(solved('rate', mortgage)).toBe('6');
+    expect(solved('pv', mortgage)).toBe('200000');
+    expect(solved('fv', mortgage)).toBe('0');
+  });
+
+  it('compounds interest without payments', () => {
+    const savings: Tvm = { ...defaultTvm, n: '10', rate: '5', pv: '-1000', periodsPerYear: 1 };
+    expect(solved('fv', savings, 6)).toBe('1628.89');
+  });
+
+  it('pays less with payments at the beginning of each period', () => {
+    expect(solved('pmt', { ...loan, due: true })).toBe('-1193.1354');
+  });
+
+  it('divides evenly without interest', () => {
+    expect(computeTvm('pmt', { ...defaultTvm, n: '10', pv: '1000' })).toBe('-100');
+    expect(computeTvm('n', { ...defaultTvm, pv: '1000', pmt: '-100' })).toBe('10');
+  });
+
+  it('reports values without a solution', () => {
+    expect(() => computeTvm('pmt', { ...defaultTvm, pv: '1000' })).toThrow(errorMessages['divide-by-zero']);
+    expect(() => computeTvm('rate', { ...defaultTvm, n: '10', pv: '1000', pmt: '100' })).toThrow(errorMessages.invalid);
+    expect(() => computeTvm('fv', { ...mortgage, pv: 'abc' })).toThrow(errorMessages.invalid);
+  });
+});
+
+describe('effectiveRate', () => {
+  it('compounds the nominal rate over a year', () => {
+    expect(effectiveRate({ ...defaultTvm, rate: '12' }, 6)).toBe('12.6825');
+    expect(effectiveRate({ ...defaultTvm, rate: '12', periodsPerYear: 1 })).toBe('12');
+  });
+});
+
+describe('amortizationSchedule', () => {
+  it('splits each payment into interest and principal', () => {
+    const rows = amortizationSchedule(mortgage, 8);
+    expect(rows).toHaveLength(360);
+    expect(rows[0]).toEqual({
+      period: 1,
+      payment: '1199.1011',
+      interest: '1000',
+      principal: '199.10105',
+      balance: '199800.9',
+    });
+    expect(rows[359].balance).toBe('0');
+  });
+
+  it('takes a payment at the beginning of the period before interest accrues', () => {
+    const early: Tvm = { ...defaultTvm, n: '2', rate: '10', pv: '210', periodsPerYear: 1, due: true };
+    const rows = amortizationSchedule({ ...early, pmt: computeTvm('pmt', early) });
+    expect(rows.map((row) => row.payment)).toEqual(['110', '110']);
+    expect(rows.map((row) => row.interest)).toEqual(['10', '0']);
+    expect(rows[1].balance).toBe('0');
+  });
+});
+
+describe('describeTvm', () => {
+  it('lists the other registers for the log', () => {
+    expect(describeTvm('pmt', loan)).toBe('PMT(N=360, I/Y=6, PV=200000, FV=0, P/Y=12, END)');
+  });
+});
@@ -0,0 +1,171 @@
+// financial.ts
+// Time value of money (TVM) for the financial keypad: any one of N, I/Y, PV, PMT and FV is solved from the others,
+// and a loan is broken down into an amortization schedule. Money paid out is negative, money received positive,
+// so a loan has a positive PV and a negative PMT. Computed in floating point like a financial calculator.
+import { ArithmeticError, formatResult } from './arithmetic';
+
+export type TvmKey = 'n' | 'rate' | 'pv' | 'pmt' | 'fv';
+
+export interface Tvm {
+  // Number of payment periods
+  n: string;
+  // Nominal annual interest rate in percent (I/Y)
+  rate: string;
+  pv: string;
+  pmt: string;
+  fv: string;
+  periodsPerYear: number;
+  // Payments at the beginning of each period (BGN) instead of the end (END)
+  due: boolean;
+}
+
+export interface AmortizationRow {
+  period: number;
+  payment: string;
+  interest: string;
+  principal: string;
+  balance: string;
+}
+
+export const tvmKeys: TvmKey[] = ['n', 'rate', 'pv', 'pmt', 'fv'];
+
+export const tvmLabels: Record<TvmKey, string> = {
+  n: 'N',
+  rate: 'I/Y',
+  pv: 'PV',
+  pmt: 'PMT',
+  fv: 'FV',
+};
+
+export const periodsPerYearOptions = [1, 2, 4, 12, 26, 52, 365];
+
+export const defaultTvm: Tvm = {
+  n: '0',
+  rate: '0',
+  pv: '0',
+  pmt: '0',
+  fv: '0',
+  periodsPerYear: 12,
+  due: false,
+};
+
+// Schedules longer than this, e.g. 100 years of daily payments, are cut off
+export const maxScheduleRows = 1200;
+
+// Rates are solved to this relative accuracy per period
+const rateTolerance = 1e-12;
+
+// Powers and the rate iteration lose the last digits of a double, so values are shown with at most 12
+const maxDigits = 12;
+
+// Leftovers below a billionth of the amounts involved, e.g. an FV of 1e-8 after paying off a loan, are 0
+const clean = (value: number, scale: number): number => (Math.abs(value) < 1e-9 * scale ? 0 : value);
+
+// Registers keep full precision so solving for another value does not add rounding errors; this is what is shown
+export const formatTvm = (value: string, precision = maxDigits): string =>
+  formatResult(Number(value), Math.min(precision, maxDigits));
+
+const read = (value: string): number => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new ArithmeticError('invalid');
+  return number;
+};
+
+// Interest rate per period as a fraction
+const periodicRate = (tvm: Tvm): number => read(tvm.rate) / 100 / tvm.periodsPerYear;
+
+// PV + PMT·(1 + i·due)·(1 − (1 + i)^−n)/i + FV·(1 + i)^−n, zero for consistent values
+function balance(n: number, i: number, pv: number, pmt: number, fv: number, due: boolean): number {
+  if (i === 0) return pv + pmt * n + fv;
+  const discount = Math.pow(1 + i, -n);
+  return pv + (pmt * (1 + i * (due ? 1 : 0)) * (1 - discount)) / i + fv * discount;
+}
+
+// Newton's method on the periodic rate, starting at 1 % per period
+function solveRate(n: number, pv: number, pmt: number, fv: number, due: boolean): number {
+  let i = 0.01;
+  for (let step = 0; step < 100; step++) {
+    const value = balance(n, i, pv, pmt, fv, due);
+    const h = Math.max(Math.abs(i) * 1e-6, 1e-10);
+    const slope = (balance(n, i + h, pv, pmt, fv, due) - value) / h;
+    if (!Number.isFinite(slope) || slope === 0) break;
+    const next = i - value / slope;
+    if (next <= -1) break;
+    if (Math.abs(next - i) < rateTolerance * Math.max(1, Math.abs(next))) return next;
+    i = next;
+  }
+  throw new ArithmeticError('invalid');
+}
+
+function solve(key: TvmKey, tvm: Tvm): number {
+  const n = read(tvm.n);
+  const pv = read(tvm.pv);
+  const pmt = read(tvm.pmt);
+  const fv = read(tvm.fv);
+  const i = periodicRate(tvm);
+  const timing = 1 + i * (tvm.due ? 1 : 0);
+  const growth = Math.pow(1 + i, n);
+
+  switch (key) {
+    case 'fv':
+      return i === 0 ? -(pv + pmt * n) : -(pv * growth + (pmt * timing * (growth - 1)) / i);
+    case 'pv':
+      return i === 0 ? -(fv + pmt * n) : -(fv / growth + (pmt * timing * (1 - 1 / growth)) / i);
+    case 'pmt':
+      if (n === 0) throw new ArithmeticError('divide-by-zero');
+      return i === 0 ? -(pv + fv) / n : (-(pv * growth + fv) * i) / (timing * (growth - 1));
+    case 'n':
+      if (i === 0) {
+        if (pmt === 0) throw new ArithmeticError('divide-by-zero');
+        return -(pv + fv) / pmt;
+      }
+      return Math.log((pmt * timing - fv * i) / (pmt * timing + pv * i)) / Math.log(1 + i);
+    case 'rate':
+      return solveRate(n, pv, pmt, fv, tvm.due) * tvm.periodsPerYear * 100;
+  }
+}
+
+// Solves one value from the others at full precision; throws an ArithmeticError when there is no solution
+export function computeTvm(key: TvmKey, tvm: Tvm): string {
+  const value = solve(key, tvm);
+  if (Number.isNaN(value)) throw new ArithmeticError('invalid');
+  if (!Number.isFinite(value)) throw new ArithmeticError('overflow');
+  const amounts = Math.max(...[tvm.pv, tvm.pmt, tvm.fv].map((amount) => Math.abs(read(amount))));
+  return String(clean(value, key === 'n' || key === 'rate' ? 0 : amounts));
+}
+
+// Effective annual rate in percent of the nominal rate I/Y, i.e. compound interest over one year
+export function effectiveRate(tvm: Tvm, precision?: number): string {
+  return formatTvm(String((Math.pow(1 + periodicRate(tvm), tvm.periodsPerYear) - 1) * 100), precision);
+}
+
+// Interest and principal of each payment, with the balance left after it; the balance starts at PV
+export function amortizationSchedule(tvm: Tvm, precision?: number): AmortizationRow[] {
+  const n = Math.min(Math.round(read(tvm.n)), maxScheduleRows);
+  const i = periodicRate(tvm);
+  const payment = -read(tvm.pmt);
+  const rows: AmortizationRow[] = [];
+  let remaining = read(tvm.pv);
+  const scale = Math.abs(remaining);
+  for (let period = 1; period <= n; period++) {
+    // A payment at the beginning of the period is made before interest accrues
+    const interest = (tvm.due ? remaining - payment : remaining) * i;
+    const principal = payment - interest;
+    remaining -= principal;
+    rows.push({
+      period,
+      payment: formatTvm(String(payment), precision),
+      interest: formatTvm(String(clean(interest, scale)), precision),
+      principal: formatTvm(String(principal), precision),
+      balance: formatTvm(String(clean(remaining, scale)), precision),
+    });
+  }
+  return rows;
+}
+
+// Summary of a TVM calculation for the `/log` entry, e.g. 'PMT(N=360, I/Y=6, PV=200000, FV=0, P/Y=12, END)'
+export const describeTvm = (key: TvmKey, tvm: Tvm): string =>
+  `${tvmLabels[key]}(${tvmKeys
+    .filter((k) => k !== key)
+    .map((k) => `${tvmLabels[k]}=${formatTvm(tvm[k])}`)
+    .join(', ')}, P/Y=${tvm.periodsPerYear}, ${tvm.due ? 'BGN' : 'END'})`;
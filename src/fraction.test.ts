@@ -0,0 +1,73 @@
+// fraction.test.ts
+// Exact fractions: normalization, arithmetic and the ways of showing them.
+import { describe, expect, it } from 'vitest';
+import { defaultArithmeticSettings, errorMessages, floatArithmetic } from './arithmetic';
+import { formatFraction, fractionArithmetic, parseFraction } from './fraction';
+
+const fractions = fractionArithmetic(defaultArithmeticSettings);
+
+describe('parseFraction', () => {
+  it('reduces with a positive denominator', () => {
+    expect(parseFraction('6/8')).toEqual({ numerator: 3n, denominator: 4n });
+    expect(parseFraction('-4/2')).toEqual({ numerator: -2n, denominator: 1n });
+    expect(parseFraction('0/5')).toEqual({ numerator: 0n, denominator: 1n });
+  });
+
+  it('reads mixed numbers and decimals exactly', () => {
+    expect(parseFraction('-2 1/3')).toEqual({ numerator: -7n, denominator: 3n });
+    expect(parseFraction('0.25')).toEqual({ numerator: 1n, denominator: 4n });
+    expect(parseFraction('1.5e2')).toEqual({ numerator: 150n, denominator: 1n });
+  });
+
+  it('refuses a zero denominator and text that is not a number', () => {
+    expect(() => parseFraction('1/0')).toThrow(errorMessages['divide-by-zero']);
+    expect(() => parseFraction('1/2/3')).toThrow(SyntaxError);
+    expect(() => parseFraction('3+4i')).toThrow(SyntaxError);
+  });
+});
+
+describe('formatFraction', () => {
+  it('shows values as improper fractions, mixed numbers or decimals', () => {
+    expect(formatFraction('7/3', 'improper', 14)).toBe('7/3');
+    expect(formatFraction('-7/3', 'mixed', 14)).toBe('-2 1/3');
+    expect(formatFraction('1/3', 'mixed', 14)).toBe('1/3');
+    expect(formatFraction('7/3', 'decimal', 14)).toBe('2.3333333333333');
+  });
+
+  it('shows fractions too long for the display as decimals', () => {
+    expect(formatFraction('1/12345678', 'improper', 6)).toBe('8.1e-8');
+  });
+});
+
+describe('fractionArithmetic', () => {
+  it('calculates exactly', () => {
+    expect(fractions.calculate('1/3', '1/6', '+')).toBe('1/2');
+    expect(fractions.calculate('0.1', '0.2', '+')).toBe('3/10');
+    expect(fractions.calculate('2/3', '3/4', '/')).toBe('8/9');
+    expect(fractions.calculate('2/3', '-2', '^')).toBe('9/4');
+  });
+
+  it('takes exact roots where they exist', () => {
+    expect(fractions.apply('sqrt', '9/16')).toBe('3/4');
+    expect(fractions.calculate('8/27', '1/3', '^')).toBe('2/3');
+  });
+
+  it('reads an approximated function value back at display precision', () => {
+    expect(fractions.apply('sin', '30')).toBe('1/2');
+  });
+
+  it('reports division by zero', () => {
+    expect(() => fractions.calculate('1/2', '0', '/')).toThrow(errorMessages['divide-by-zero']);
+  });
+
+  it("formats values it cannot read as 'NaN'", () => {
+    expect(fractions.format('14/6')).toBe('7/3');
+    expect(fractions.format('3+4i')).toBe('NaN');
+  });
+});
+
+describe('fractions outside fractions mode', () => {
+  it('are not read as their numerator', () => {
+    expect(floatArithmetic().format('7/3')).toBe('NaN');
+  });
+});
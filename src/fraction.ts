@@ -0,0 +1,252 @@
+// fraction.ts
+// Exact rational arithmetic for the fractions mode, backed by BigInt. Values travel as reduced improper fractions
+// such as '7/3' or as integers; typed mixed numbers such as '2 1/3' and decimals such as '0.25' are read as well.
+// Mixed numbers and decimals are only ways of showing a value, see `formatFraction`.
+import {
+  ArithmeticError,
+  formatResult,
+  maxExponent,
+  type Arithmetic,
+  type ArithmeticSettings,
+  type Operator,
+} from './arithmetic';
+import { Decimal } from './decimal';
+import { applyFunction, constants, power, root, type UnaryFunction } from './scientific';
+
+export type FractionDisplay = 'improper' | 'mixed' | 'decimal';
+
+export interface FractionSettings {
+  fractions: boolean;
+  fractionDisplay: FractionDisplay;
+}
+
+// Reduced, with a positive denominator
+export interface Fraction {
+  numerator: bigint;
+  denominator: bigint;
+}
+
+export const fractionDisplays: FractionDisplay[] = ['improper', 'mixed', 'decimal'];
+
+export const defaultFractionSettings: FractionSettings = {
+  fractions: false,
+  fractionDisplay: 'improper',
+};
+
+// Picks the valid fraction settings out of a loaded config, falling back to the defaults
+export function parseFractionSettings(data: Record<string, unknown>): FractionSettings {
+  const settings = { ...defaultFractionSettings };
+  if (typeof data.fractions === 'boolean') settings.fractions = data.fractions;
+  if (fractionDisplays.includes(data.fractionDisplay as FractionDisplay)) {
+    settings.fractionDisplay = data.fractionDisplay as FractionDisplay;
+  }
+  return settings;
+}
+
+const abs = (n: bigint) => (n < 0n ? -n : n);
+
+const gcd = (a: bigint, b: bigint): bigint => (b === 0n ? abs(a) : gcd(b, a % b));
+
+const digits = (n: bigint): number => abs(n).toString().length;
+
+function reduce(numerator: bigint, denominator: bigint): Fraction {
+  if (denominator === 0n) throw new ArithmeticError('divide-by-zero');
+  const sign = denominator < 0n ? -1n : 1n;
+  const divisor = gcd(numerator, denominator) || 1n;
+  return { numerator: (sign * numerator) / divisor, denominator: (sign * denominator) / divisor };
+}
+
+const fromDecimal = ({ coefficient, scale }: Decimal): Fraction =>
+  scale > 0
+    ? reduce(coefficient, 10n ** BigInt(scale))
+    : { numerator: coefficient * 10n ** BigInt(-scale), denominator: 1n };
+
+const toDecimal = ({ numerator, denominator }: Fraction, precision: number): Decimal =>
+  Decimal.parse(String(numerator))
+    .divide(Decimal.parse(String(denominator)), precision + digits(denominator), 'half-even')
+    .roundSignificant(precision, 'half-even');
+
+const fractionPattern = /^([+-]?)(?:(\d+) )?(\d+)\/(\d+)$/;
+
+// Reads '7/3', '-2 1/3', '5' or a decimal such as '0.25'; throws a SyntaxError for anything else
+// and an ArithmeticError for a zero denominator
+export function parseFraction(text: string): Fraction {
+  const match = fractionPattern.exec(text.trim());
+  if (!match) return fromDecimal(Decimal.parse(text));
+  const [, sign, whole = '0', numerator, denominator] = match;
+  const value = BigInt(whole) * BigInt(denominator) + BigInt(numerator);
+  return reduce(sign === '-' ? -value : value, BigInt(denominator));
+}
+
+const toText = ({ numerator, denominator }: Fraction): string =>
+  denominator === 1n ? String(numerator) : `${numerator}/${denominator}`;
+
+// A value as improper fraction '7/3', mixed number '2 1/3' or decimal '2.3333333333333'. Fractions with more
+// digits than the display precision, such as the exact value of a rounded sqrt(2), are shown as decimals.
+export function formatFraction(value: string, display: FractionDisplay, precision: number): string {
+  let fraction: Fraction;
+  try {
+    fraction = parseFraction(value);
+  } catch {
+    return value;
+  }
+  const { numerator, denominator } = fraction;
+  if (display === 'decimal' || digits(numerator) + digits(denominator) > precision) {
+    return toDecimal(fraction, precision).toPrecision(precision, 'half-even');
+  }
+  if (display === 'improper' || denominator === 1n || abs(numerator) < denominator) return toText(fraction);
+  const whole = numerator / denominator;
+  return `${whole} ${abs(numerator % denominator)}/${denominator}`;
+}
+
+const add = (a: Fraction, b: Fraction): Fraction =>
+  reduce(a.numerator * b.denominator + b.numerator * a.denominator, a.denominator * b.denominator);
+
+const subtract = (a: Fraction, b: Fraction): Fraction =>
+  add(a, { numerator: -b.numerator, denominator: b.denominator });
+
+const multiply = (a: Fraction, b: Fraction): Fraction =>
+  reduce(a.numerator * b.numerator, a.denominator * b.denominator);
+
+const divide = (a: Fraction, b: Fraction): Fraction => reduce(a.numerator * b.denominator, a.denominator * b.numerator);
+
+const isInteger = (f: Fraction): boolean => f.denominator === 1n;
+
+const toNumber = (f: Fraction): number => Number(f.numerator) / Number(f.denominator);
+
+const integer = (n: number | bigint): Fraction => ({ numerator: BigInt(n), denominator: 1n });
+
+const hundred = integer(100);
+
+// Integer powers are exact; larger exponents could only give results beyond the range anyway
+const maxExactExponent = 1000n;
+
+function powInteger(base: Fraction, exponent: bigint): Fraction {
+  if (exponent < 0n) return divide(integer(1), powInteger(base, -exponent));
+  return { numerator: base.numerator ** exponent, denominator: base.denominator ** exponent };
+}
+
+// The k-th root of an integer when it is a whole number, e.g. 27 for k = 3 gives 3; otherwise null
+function integerRoot(n: bigint, k: number): bigint | null {
+  if (n < 0n && k % 2 === 0) return null;
+  const estimate = Math.round(Math.abs(Number(n)) ** (1 / k));
+  if (!Number.isFinite(estimate)) return null;
+  const guess = BigInt(estimate);
+  const candidate = n < 0n ? -guess : guess;
+  return candidate ** BigInt(k) === n ? candidate : null;
+}
+
+// The k-th root when numerator and denominator are perfect powers, e.g. 4/9 for k = 2 gives 2/3; otherwise null
+function exactRoot(f: Fraction, k: bigint): Fraction | null {
+  if (k <= 0n || k > 64n) return null;
+  const numerator = integerRoot(f.numerator, Number(k));
+  const denominator = integerRoot(f.denominator, Number(k));
+  return numerator != null && denominator != null ? { numerator, denominator } : null;
+}
+
+export function fractionArithmetic(settings: ArithmeticSettings): Arithmetic {
+  const { precision, angleUnit } = settings;
+
+  const parse = (text: string): Fraction => {
+    try {
+      return parseFraction(text);
+    } catch (err) {
+      throw err instanceof ArithmeticError ? err : new ArithmeticError('invalid');
+    }
+  };
+
+  // Functions without an exact rational result are evaluated in floating point and read back at display
+  // precision, so sin(30°) is exactly 1/2 again
+  const approximate = (value: number): Fraction => {
+    if (Number.isNaN(value)) throw new ArithmeticError('invalid');
+    if (!Number.isFinite(value)) throw new ArithmeticError('overflow');
+    return fromDecimal(Decimal.parse(formatResult(value, precision)));
+  };
+
+  // Results share the range of the float backend; exact values longer than that, e.g. (1/3)^1000, are rounded
+  const result = (f: Fraction): string => {
+    if (digits(f.numerator) - digits(f.denominator) > maxExponent) throw new ArithmeticError('overflow');
+    if (Math.max(digits(f.numerator), digits(f.denominator)) > maxExponent) {
+      return toText(fromDecimal(toDecimal(f, precision)));
+    }
+    return toText(f);
+  };
+
+  // a^(p/q) is exact when a has an exact q-th root
+  const raise = (base: Fraction, exponent: Fraction): Fraction => {
+    if (isInteger(exponent) && abs(exponent.numerator) <= maxExactExponent) {
+      return powInteger(base, exponent.numerator);
+    }
+    const rooted = exactRoot(base, exponent.denominator);
+    if (rooted && abs(exponent.numerator) <= maxExactExponent) return powInteger(rooted, exponent.numerator);
+    return approximate(power(toNumber(base), toNumber(exponent)));
+  };
+
+  const calculate = (first: Fraction, second: Fraction, op: Operator): Fraction => {
+    switch (op) {
+      case '+':
+        return add(first, second);
+      case '-':
+        return subtract(first, second);
+      case '*':
+        return multiply(first, second);
+      case '/':
+        return divide(first, second);
+      case '^':
+        return raise(first, second);
+      case 'yroot':
+        return (
+          (isInteger(second) ? exactRoot(first, second.numerator) : null) ??
+          approximate(root(toNumber(first), toNumber(second)))
+        );
+      case 'markup':
+        return add(first, divide(multiply(first, second), hundred));
+      case 'margin':
+        return divide(multiply(first, hundred), subtract(hundred, second));
+      case 'delta':
+        return divide(multiply(subtract(second, first), hundred), first);
+      case 'share':
+        return divide(multiply(second, hundred), first);
+      default:
+        throw new ArithmeticError('invalid');
+    }
+  };
+
+  const apply = (fn: UnaryFunction, value: Fraction): Fraction => {
+    switch (fn) {
+      case 'sqr':
+        return multiply(value, value);
+      case 'sqrt':
+        return raise(value, { numerator: 1n, denominator: 2n });
+      case 'recip':
+        return divide(integer(1), value);
+      case 'abs':
+        return { ...value, numerator: abs(value.numerator) };
+      case 'pow10':
+        return raise(integer(10), value);
+      case 'conj':
+        return value;
+      default:
+        return approximate(applyFunction(fn, toNumber(value), angleUnit));
+    }
+  };
+
+  return {
+    precision,
+    radix: 10,
+    integer: false,
+    complex: false,
+    fraction: true,
+    calculate: (first, second, op) => result(calculate(parse(first), parse(second), op)),
+    percent: (value) => result(divide(parse(value), hundred)),
+    apply: (fn, value) => result(apply(fn, parse(value))),
+    constant: (name) => result(approximate(constants[name])),
+    format: (value) => {
+      try {
+        return toText(parseFraction(value));
+      } catch {
+        return 'NaN';
+      }
+    },
+  };
+}
@@ -0,0 +1,472 @@
+import { createMemo, createSignal, For, Index, onMount, Show } from 'solid-js';
+import { floatArithmetic, formatResult } from './arithmetic';
+import { defaultDefinitions } from './definitions';
+import {
+  compileFunction,
+  defaultViewport,
+  findIntersections,
+  findRoots,
+  gridLines,
+  gridStep,
+  pan,
+  sampleCurve,
+  tableRows,
+  zoom,
+  type PlotFunction,
+  type Point,
+} from './graph';
+import { createLocalizer } from './locale';
+import { angleUnits, type AngleUnit } from './scientific';
+import { defaultSettings, loadConfig } from './settings';
+import './index.css';
+
+// Size of the plot in SVG units; the SVG scales to the card width
+const width = 600;
+const height = 450;
+
+const maxFunctions = 6;
+
+// Theme colors, so curves stay readable in the light and the dark theme
+const curveColors = [
+  'stroke-primary',
+  'stroke-secondary',
+  'stroke-accent',
+  'stroke-info',
+  'stroke-success',
+  'stroke-warning',
+];
+const markerColors = ['fill-primary', 'fill-secondary', 'fill-accent', 'fill-info', 'fill-success', 'fill-warning'];
+
+type GraphTab = 'plot' | 'table';
+
+interface Curve {
+  index: number;
+  f: PlotFunction;
+}
+
+// A found root or intersection, labelled like 'f1' or 'f1 ∩ f2'
+interface Finding {
+  label: string;
+  point: Point;
+}
+
+export default function GraphView() {
+  const [settings, setSettings] = createSignal(defaultSettings);
+  const [sources, setSources] = createSignal(['x^2 - 2', 'x / 2']);
+  // Graphs of trigonometric functions are usually drawn in radians
+  const [angleUnit, setAngleUnit] = createSignal<AngleUnit>('rad');
+  const [view, setView] = createSignal(defaultViewport);
+  const [traceX, setTraceX] = createSignal<number | null>(null);
+  // The traced position as an object, so that x = 0 is traced like any other x
+  const trace = () => {
+    const x = traceX();
+    return x == null ? null : { x };
+  };
+  const [findings, setFindings] = createSignal<Finding[] | null>(null);
+  const [tab, setTab] = createSignal<GraphTab>('plot');
+  const [tableStart, setTableStart] = createSignal(-5);
+  const [tableStep, setTableStep] = createSignal(1);
+
+  onMount(async () => {
+    const loaded = await loadConfig();
+    if (loaded) {
+      setSettings(loaded);
+      document.documentElement.setAttribute('data-theme', loaded.theme);
+    }
+  });
+
+  const localizer = createMemo(() => createLocalizer(settings(), settings().precision));
+  const format = (value: number, precision = 6) =>
+    Number.isFinite(value) ? localizer().number(formatResult(value, precision)) : '—';
+
+  // Each function compiled, or the message why it does not parse; empty inputs are skipped
+  const compiled = createMemo(() => {
+    const arithmetic = floatArithmetic(settings().precision, angleUnit());
+    const definitions = { ...defaultDefinitions, variables: settings().variables, functions: settings().functions };
+    return sources().map((source) => {
+      if (source.trim() === '') return null;
+      try {
+        return compileFunction(source, arithmetic, definitions);
+      } catch (err) {
+        return err instanceof Error ? err.message : 'Invalid function';
+      }
+    });
+  });
+
+  const curves = createMemo(() =>
+    compiled().flatMap((f, index): Curve[] => (typeof f === 'function' ? [{ index, f }] : []))
+  );
+
+  // Graph coordinates to SVG units and back
+  const toX = (x: number) => ((x - view().xMin) / (view().xMax - view().xMin)) * width;
+  const toY = (y: number) => ((view().yMax - y) / (view().yMax - view().yMin)) * height;
+  const fromPixels = (px: number, py: number): Point => ({
+    x: view().xMin + (px / width) * (view().xMax - view().xMin),
+    y: view().yMax - (py / height) * (view().yMax - view().yMin),
+  });
+
+  // Points far outside the view are clamped so the SVG coordinates stay small
+  const clampY = (y: number) => Math.min(Math.max(toY(y), -height), 2 * height);
+
+  const paths = createMemo(() =>
+    curves().map(({ index, f }) => ({
+      index,
+      d: sampleCurve(f, view(), width)
+        .map((run) =>
+          run.map((p, i) => `${i === 0 ? 'M' : 'L'}${toX(p.x).toFixed(1)},${clampY(p.y).toFixed(1)}`).join('')
+        )
+        .join(''),
+    }))
+  );
+
+  const grid = createMemo(() => {
+    const step = gridStep(Math.max(view().xMax - view().xMin, view().yMax - view().yMin));
+    return { xs: gridLines(view().xMin, view().xMax, step), ys: gridLines(view().yMin, view().yMax, step) };
+  });
+
+  const changeSource = (index: number, source: string) => {
+    setSources(sources().map((s, i) => (i === index ? source : s)));
+    setFindings(null);
+  };
+
+  const removeSource = (index: number) => {
+    setSources(sources().filter((_, i) => i !== index));
+    setFindings(null);
+  };
+
+  const changeView = (next: typeof defaultViewport) => {
+    setView(next);
+    setFindings(null);
+  };
+
+  const zoomBy = (factor: number) =>
+    changeView(zoom(view(), factor, { x: (view().xMin + view().xMax) / 2, y: (view().yMin + view().yMax) / 2 }));
+
+  // Roots of every curve and intersections of every pair within the visible x range
+  const findPoints = () => {
+    const { xMin, xMax } = view();
+    const list = curves();
+    const roots = list.flatMap(({ index, f }) =>
+      findRoots(f, xMin, xMax).map((x) => ({ label: `f${index + 1}`, point: { x, y: 0 } }))
+    );
+    const intersections = list.flatMap((a, i) =>
+      list.slice(i + 1).flatMap((b) =>
+        findIntersections(a.f, b.f, xMin, xMax).map((point) => ({
+          label: `f${a.index + 1} ∩ f${b.index + 1}`,
+          point,
+        }))
+      )
+    );
+    setFindings([...roots, ...intersections]);
+  };
+
+  let svg: SVGSVGElement | undefined;
+  // Where a drag started, in client pixels, with the view at that moment
+  let drag: { clientX: number; clientY: number; view: typeof defaultViewport } | null = null;
+
+  // Pointer position in SVG units, which differ from client pixels when the SVG is scaled
+  const pointer = (e: MouseEvent) => {
+    const rect = svg?.getBoundingClientRect();
+    if (!rect) return { px: 0, py: 0 };
+    return { px: ((e.clientX - rect.left) / rect.width) * width, py: ((e.clientY - rect.top) / rect.height) * height };
+  };
+
+  const handlePointerDown = (e: PointerEvent) => {
+    svg?.setPointerCapture(e.pointerId);
+    drag = { clientX: e.clientX, clientY: e.clientY, view: view() };
+  };
+
+  const handlePointerMove = (e: PointerEvent) => {
+    const rect = svg?.getBoundingClientRect();
+    if (drag && rect) {
+      const start = drag.view;
+      const dx = ((drag.clientX - e.clientX) / rect.width) * (start.xMax - start.xMin);
+      const dy = ((e.clientY - drag.clientY) / rect.height) * (start.yMax - start.yMin);
+      changeView(pan(start, dx, dy));
+    } else {
+      const { px, py } = pointer(e);
+      setTraceX(fromPixels(px, py).x);
+    }
+  };
+
+  const handleWheel = (e: WheelEvent) => {
+    e.preventDefault();
+    const { px, py } = pointer(e);
+    changeView(zoom(view(), e.deltaY > 0 ? 1.2 : 1 / 1.2, fromPixels(px, py)));
+  };
+
+  return (
+    <div class="flex justify-center items-center min-h-screen bg-base-200">
+      <div class="card w-full max-w-3xl shadow-xl bg-base-100 relative">
+        <div class="card-body">
+          <h2 class="text-2xl font-bold text-base-content text-opacity-70">Graph</h2>
+
+          <ul class="flex flex-col gap-2">
+            <Index each={sources()}>
+              {(source, index) => (
+                <li class="flex items-center gap-2">
+                  <svg viewBox="0 0 20 4" class="w-6 h-2 shrink-0" aria-hidden="true">
+                    <line
+                      x1="0"
+                      y1="2"
+                      x2="20"
+                      y2="2"
+                      stroke-width="4"
+                      class={curveColors[index % curveColors.length]}
+                    />
+                  </svg>
+                  <label class="font-mono text-sm shrink-0" for={`function-${index}`}>
+                    f{index + 1}(x) =
+                  </label>
+                  <input
+                    id={`function-${index}`}
+                    type="text"
+                    class="input input-sm input-bordered flex-1 font-mono"
+                    classList={{ 'input-error': typeof compiled()[index] === 'string' }}
+                    value={source()}
+                    placeholder="sin(x) * x"
+                    onChange={(e) => changeSource(index, e.currentTarget.value)}
+                    title={typeof compiled()[index] === 'string' ? (compiled()[index] as string) : undefined}
+                  />
+                  <button
+                    class="btn btn-ghost btn-sm opacity-50"
+                    onClick={() => removeSource(index)}
+                    aria-label={`Remove f${index + 1}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              )}
+            </Index>
+          </ul>
+          <div class="flex flex-wrap gap-2 items-center">
+            <button
+              class="btn btn-sm btn-outline"
+              onClick={() => setSources([...sources(), ''])}
+              disabled={sources().length >= maxFunctions}
+            >
+              + Function
+            </button>
+            <select
+              class="select select-sm w-24"
+              value={angleUnit()}
+              onChange={(e) => setAngleUnit(e.currentTarget.value as AngleUnit)}
+              title="Angle unit of trigonometric functions"
+            >
+              <For each={angleUnits}>{(unit) => <option value={unit}>{unit.toUpperCase()}</option>}</For>
+            </select>
+            <div role="tablist" class="tabs tabs-box tabs-sm ml-auto">
+              <button
+                role="tab"
+                class="tab"
+                classList={{ 'tab-active': tab() === 'plot' }}
+                onClick={() => setTab('plot')}
+              >
+                Plot
+              </button>
+              <button
+                role="tab"
+                class="tab"
+                classList={{ 'tab-active': tab() === 'table' }}
+                onClick={() => setTab('table')}
+              >
+                Table
+              </button>
+            </div>
+          </div>
+
+          <Show when={tab() === 'plot'}>
+            <svg
+              ref={svg}
+              viewBox={`0 0 ${width} ${height}`}
+              class="w-full bg-base-200 rounded-box touch-none cursor-crosshair select-none"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={() => (drag = null)}
+              onPointerLeave={() => drag == null && setTraceX(null)}
+              onWheel={handleWheel}
+              role="img"
+              aria-label="Plot of the functions"
+            >
+              <g class="stroke-base-content/10" stroke-width="1">
+                <For each={grid().xs}>{(x) => <line x1={toX(x)} y1="0" x2={toX(x)} y2={height} />}</For>
+                <For each={grid().ys}>{(y) => <line x1="0" y1={toY(y)} x2={width} y2={toY(y)} />}</For>
+              </g>
+              <g class="stroke-base-content/50" stroke-width="1.5">
+                <line x1="0" y1={toY(0)} x2={width} y2={toY(0)} />
+                <line x1={toX(0)} y1="0" x2={toX(0)} y2={height} />
+              </g>
+              <g class="fill-base-content/60 text-[10px] font-mono">
+                <For each={grid().xs.filter((x) => Math.abs(x) > 1e-12)}>
+                  {(x) => (
+                    <text x={toX(x) + 2} y={Math.min(Math.max(toY(0) + 12, 12), height - 4)}>
+                      {format(x, 4)}
+                    </text>
+                  )}
+                </For>
+                <For each={grid().ys.filter((y) => Math.abs(y) > 1e-12)}>
+                  {(y) => (
+                    <text x={Math.min(Math.max(toX(0) + 3, 3), width - 40)} y={toY(y) - 2}>
+                      {format(y, 4)}
+                    </text>
+                  )}
+                </For>
+              </g>
+              <For each={paths()}>
+                {(path) => (
+                  <path
+                    d={path.d}
+                    fill="none"
+                    stroke-width="2"
+                    stroke-linejoin="round"
+                    class={curveColors[path.index % curveColors.length]}
+                  />
+                )}
+              </For>
+              <For each={findings() ?? []}>
+                {(finding) => (
+                  <circle
+                    cx={toX(finding.point.x)}
+                    cy={toY(finding.point.y)}
+                    r="4"
+                    class="fill-base-100 stroke-base-content"
+                    stroke-width="1.5"
+                  >
+                    <title>
+                      {finding.label}: ({format(finding.point.x)}, {format(finding.point.y)})
+                    </title>
+                  </circle>
+                )}
+              </For>
+              <Show when={trace()}>
+                {(point) => (
+                  <>
+                    <line
+                      x1={toX(point().x)}
+                      y1="0"
+                      x2={toX(point().x)}
+                      y2={height}
+                      class="stroke-base-content/40"
+                      stroke-dasharray="4 4"
+                    />
+                    <For each={curves()}>
+                      {({ index, f }) => (
+                        <Show when={Number.isFinite(f(point().x))}>
+                          <circle
+                            cx={toX(point().x)}
+                            cy={clampY(f(point().x))}
+                            r="4"
+                            class={markerColors[index % markerColors.length]}
+                          />
+                        </Show>
+                      )}
+                    </For>
+                  </>
+                )}
+              </Show>
+            </svg>
+
+            <div class="flex flex-wrap gap-2 items-center text-sm">
+              <div class="join">
+                <button class="btn btn-sm join-item" onClick={() => zoomBy(1 / 1.5)} aria-label="Zoom in">
+                  +
+                </button>
+                <button class="btn btn-sm join-item" onClick={() => zoomBy(1.5)} aria-label="Zoom out">
+                  −
+                </button>
+                <button class="btn btn-sm join-item" onClick={() => changeView(defaultViewport)}>
+                  Reset
+                </button>
+              </div>
+              <button class="btn btn-sm btn-outline" onClick={findPoints} disabled={curves().length === 0}>
+                Roots & intersections
+              </button>
+              <span class="ml-auto font-mono text-xs opacity-70" aria-live="polite">
+                <Show when={trace()} fallback="Drag to pan, scroll to zoom">
+                  {(point) => (
+                    <>
+                      x = {format(point().x)}
+                      <For each={curves()}>{({ index, f }) => ` · f${index + 1} = ${format(f(point().x))}`}</For>
+                    </>
+                  )}
+                </Show>
+              </span>
+            </div>
+
+            <Show when={findings()}>
+              {(list) => (
+                <Show
+                  when={list().length > 0}
+                  fallback={<p class="text-sm opacity-60">No roots or intersections in view.</p>}
+                >
+                  <ul class="text-sm font-mono grid grid-cols-2 gap-x-4">
+                    <For each={list()}>
+                      {(finding) => (
+                        <li>
+                          <button class="link link-hover" onClick={() => setTraceX(finding.point.x)}>
+                            {finding.label}: ({format(finding.point.x, 10)}, {format(finding.point.y, 10)})
+                          </button>
+                        </li>
+                      )}
+                    </For>
+                  </ul>
+                </Show>
+              )}
+            </Show>
+          </Show>
+
+          <Show when={tab() === 'table'}>
+            <div class="flex gap-3">
+              <label class="form-control">
+                <span class="label-text mb-1">Start</span>
+                <input
+                  type="number"
+                  class="input input-sm input-bordered w-28"
+                  value={tableStart()}
+                  onInput={(e) =>
+                    Number.isFinite(e.currentTarget.valueAsNumber) && setTableStart(e.currentTarget.valueAsNumber)
+                  }
+                />
+              </label>
+              <label class="form-control">
+                <span class="label-text mb-1">Step</span>
+                <input
+                  type="number"
+                  class="input input-sm input-bordered w-28"
+                  value={tableStep()}
+                  onInput={(e) => e.currentTarget.valueAsNumber > 0 && setTableStep(e.currentTarget.valueAsNumber)}
+                />
+              </label>
+            </div>
+            <div class="max-h-96 overflow-auto">
+              <table class="table table-xs table-pin-rows font-mono">
+                <thead>
+                  <tr>
+                    <th class="text-right">x</th>
+                    <For each={curves()}>{({ index }) => <th class="text-right">f{index + 1}(x)</th>}</For>
+                  </tr>
+                </thead>
+                <tbody>
+                  <For each={tableRows(tableStart(), tableStep(), 21)}>
+                    {(x) => (
+                      <tr>
+                        <td class="text-right">{format(x, 10)}</td>
+                        <For each={curves()}>{({ f }) => <td class="text-right">{format(f(x), 10)}</td>}</For>
+                      </tr>
+                    )}
+                  </For>
+                </tbody>
+              </table>
+            </div>
+          </Show>
+
+          <div class="flex justify-between items-center mt-4">
+            <a href="/" class="btn btn-outline btn-sm">
+              Back to Solid Calculator
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
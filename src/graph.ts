@@ -0,0 +1,156 @@
+// graph.ts
+// Plotting math for the graphing view at `/graph`: functions of x are evaluated through the expression parser,
+// so they may use the calculator's variables and user-defined functions. Works on plain numbers in a viewport
+// of graph coordinates; the view maps them to pixels.
+import type { Arithmetic } from './arithmetic';
+import { defaultDefinitions, type Definitions } from './definitions';
+import { evaluateNode, parse } from './parser';
+
+export interface Viewport {
+  xMin: number;
+  xMax: number;
+  yMin: number;
+  yMax: number;
+}
+
+export type PlotFunction = (x: number) => number;
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+export const defaultViewport: Viewport = { xMin: -10, xMax: 10, yMin: -7.5, yMax: 7.5 };
+
+// Views narrower than this lose the precision of a double, wider ones are of no use
+const minSpan = 1e-9;
+const maxSpan = 1e9;
+
+// Compiles an expression in x; throws a SyntaxError when it does not parse or uses unknown names.
+// Values of x without a result, e.g. sqrt(-1), give NaN.
+export function compileFunction(
+  source: string,
+  arithmetic: Arithmetic,
+  definitions: Definitions = defaultDefinitions
+): PlotFunction {
+  const tree = parse(source, arithmetic.radix, arithmetic.complex);
+  const plot = (x: number) =>
+    Number(evaluateNode(tree, arithmetic, definitions, { ...definitions.variables, x: String(x) }));
+  // Unknown names only show when evaluating; arithmetic errors at the trial value are fine
+  try {
+    plot(1);
+  } catch (err) {
+    if (err instanceof SyntaxError) throw err;
+  }
+  return (x) => {
+    try {
+      return plot(x);
+    } catch {
+      return NaN;
+    }
+  };
+}
+
+// Zooms by `factor` (< 1 zooms in) around the given point, which stays in place
+export function zoom(view: Viewport, factor: number, center: Point): Viewport {
+  const span = (view.xMax - view.xMin) * factor;
+  if (span < minSpan || span > maxSpan) return view;
+  return {
+    xMin: center.x - (center.x - view.xMin) * factor,
+    xMax: center.x + (view.xMax - center.x) * factor,
+    yMin: center.y - (center.y - view.yMin) * factor,
+    yMax: center.y + (view.yMax - center.y) * factor,
+  };
+}
+
+export const pan = (view: Viewport, dx: number, dy: number): Viewport => ({
+  xMin: view.xMin + dx,
+  xMax: view.xMax + dx,
+  yMin: view.yMin + dy,
+  yMax: view.yMax + dy,
+});
+
+// Distance of grid lines: 1, 2 or 5 times a power of ten, giving about `lines` lines over the span
+export function gridStep(span: number, lines = 10): number {
+  const raw = span / lines;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const fraction = raw / power;
+  return (fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10) * power;
+}
+
+// Multiples of `step` within [min, max]
+export function gridLines(min: number, max: number, step: number): number[] {
+  const lines: number[] = [];
+  for (let i = Math.ceil(min / step); i * step <= max; i++) lines.push(i * step);
+  return lines;
+}
+
+// Points of the curve at `count` evenly spaced x, split into runs wherever it has no value or jumps across
+// the view as at the pole of tan(x), so no line is drawn through such gaps
+export function sampleCurve(f: PlotFunction, view: Viewport, count: number): Point[][] {
+  const height = view.yMax - view.yMin;
+  const side = (y: number) => (y > view.yMax ? 1 : y < view.yMin ? -1 : 0);
+  const runs: Point[][] = [];
+  let run: Point[] = [];
+  let previous: Point | null = null;
+  for (let i = 0; i <= count; i++) {
+    const x = view.xMin + ((view.xMax - view.xMin) * i) / count;
+    const y = f(x);
+    const jump = previous != null && Math.abs(y - previous.y) > height && side(y) * side(previous.y) < 0;
+    if (!Number.isFinite(y) || jump) {
+      if (run.length > 1) runs.push(run);
+      run = [];
+    }
+    previous = Number.isFinite(y) ? { x, y } : null;
+    if (previous) run.push(previous);
+  }
+  if (run.length > 1) runs.push(run);
+  return runs;
+}
+
+// Roots in [xMin, xMax] found by sign changes between `samples` points, refined by bisection. Sign changes at
+// poles such as tan(90°) are no roots; roots where the curve only touches the axis are found when a sample hits them.
+export function findRoots(f: PlotFunction, xMin: number, xMax: number, samples = 500): number[] {
+  const roots: number[] = [];
+  const step = (xMax - xMin) / samples;
+  const add = (x: number) => {
+    if (!roots.some((root) => Math.abs(root - x) < step / 1000)) roots.push(x);
+  };
+  let a = xMin;
+  let fa = f(a);
+  for (let i = 1; i <= samples; i++) {
+    const b = xMin + step * i;
+    const fb = f(b);
+    if (fa === 0) add(a);
+    else if (Number.isFinite(fa) && Number.isFinite(fb) && fa * fb < 0) {
+      let low = a;
+      let high = b;
+      let fLow = fa;
+      // Halving the interval 60 times reaches the precision of a double
+      for (let n = 0; n < 60; n++) {
+        const middle = (low + high) / 2;
+        const fMiddle = f(middle);
+        if (fMiddle * fLow > 0) {
+          low = middle;
+          fLow = fMiddle;
+        } else {
+          high = middle;
+        }
+      }
+      const root = (low + high) / 2;
+      if (Math.abs(f(root)) <= 1e-6 * Math.max(1, Math.abs(fa), Math.abs(fb))) add(root);
+    }
+    a = b;
+    fa = fb;
+  }
+  if (fa === 0) add(a);
+  return roots;
+}
+
+// Points where two curves meet, the roots of their difference
+export const findIntersections = (f: PlotFunction, g: PlotFunction, xMin: number, xMax: number): Point[] =>
+  findRoots((x) => f(x) - g(x), xMin, xMax).map((x) => ({ x, y: f(x) }));
+
+// x values of the table of values, starting at `start` with `rows` rows
+export const tableRows = (start: number, step: number, rows: number): number[] =>
+  Array.from({ length: rows }, (_, i) => start + step * i);
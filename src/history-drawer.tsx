@@ -0,0 +1,58 @@
+import { For, Show } from 'solid-js';
+import type { HistoryEntry } from './history';
+
+export default function HistoryDrawer(props: {
+  entries: HistoryEntry[];
+  // Presentation of the stored locale-neutral expressions and results
+  format: (text: string) => string;
+  onRecallResult: (entry: HistoryEntry) => void;
+  onRecallExpression: (entry: HistoryEntry) => void;
+  onDelete: (entry: HistoryEntry) => void;
+  onClear: () => void;
+}) {
+  return (
+    <div class="bg-base-200 min-h-full w-80 p-4 flex flex-col">
+      <div class="flex justify-between items-center mb-2">
+        <h2 class="text-lg font-bold">History</h2>
+        <button class="btn btn-xs btn-outline" onClick={() => props.onClear()} disabled={props.entries.length === 0}>
+          Clear
+        </button>
+      </div>
+      <Show when={props.entries.length > 0} fallback={<p class="text-sm opacity-60">No calculations yet.</p>}>
+        <ul class="flex-1 overflow-y-auto space-y-2">
+          <For each={props.entries}>
+            {(entry) => (
+              <li class="bg-base-100 rounded-box p-2 font-mono text-right">
+                <button
+                  class="block w-full text-right text-xs opacity-60 hover:opacity-100 truncate"
+                  title="Recall expression"
+                  onClick={() => props.onRecallExpression(entry)}
+                >
+                  {props.format(entry.expression)} =
+                </button>
+                <div class="flex justify-between items-center">
+                  <button
+                    class="btn btn-ghost btn-xs opacity-50"
+                    title="Delete entry"
+                    aria-label="Delete entry"
+                    onClick={() => props.onDelete(entry)}
+                  >
+                    ✕
+                  </button>
+                  <button
+                    class="text-xl hover:text-primary"
+                    title="Recall result"
+                    onClick={() => props.onRecallResult(entry)}
+                  >
+                    {props.format(entry.result)}
+                  </button>
+                </div>
+                <div class="text-[0.6rem] opacity-40">{new Date(entry.timestamp).toLocaleString()}</div>
+              </li>
+            )}
+          </For>
+        </ul>
+      </Show>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+// history.ts
+// Client for the calculation history served by the mock server under `/api/history`.
+import type { Calculation } from './engine';
+
+export interface HistoryEntry extends Calculation {
+  id: string;
+  timestamp: string;
+}
+
+export const fetchHistory = async (): Promise<HistoryEntry[]> => {
+  try {
+    const res = await fetch('/api/history');
+    return await res.json();
+  } catch (err) {
+    console.warn('Failed to load history:', err);
+    return [];
+  }
+};
+
+export const addHistoryEntry = async (calculation: Calculation): Promise<HistoryEntry | null> => {
+  try {
+    const res = await fetch('/api/history', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...calculation, timestamp: new Date().toISOString() }),
+    });
+    return res.ok ? await res.json() : null;
+  } catch (err) {
+    console.warn('Failed to save history entry:', err);
+    return null;
+  }
+};
+
+export const deleteHistoryEntry = async (id: string) => {
+  try {
+    await fetch(`/api/history/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  } catch (err) {
+    console.warn('Failed to delete history entry:', err);
+  }
+};
+
+export const clearHistory = async () => {
+  try {
+    await fetch('/api/history', { method: 'DELETE' });
+  } catch (err) {
+    console.warn('Failed to clear history:', err);
+  }
+};
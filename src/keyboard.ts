@@ -0,0 +1,114 @@
+// keyboard.ts
+// Maps keyboard keys (KeyboardEvent.key) to calculator actions. Actions are plain strings such as 'digit:7',
+// 'operator:*' or 'memory:M+' so that bindings can be stored in the `/config` settings.
+import { businessOperators } from './arithmetic';
+import type { CalculatorEvent, Operator } from './engine';
+import type { MemoryKey } from './memory';
+import { constantSymbols, unaryFunctions, type Constant, type UnaryFunction } from './scientific';
+
+export type KeyBindings = Record<string, string>;
+
+const simpleActions = [
+  'dot',
+  'equals',
+  'clear',
+  'clearEntry',
+  'sign',
+  'percent',
+  'open',
+  'close',
+  'backspace',
+  'imaginary',
+  'fraction',
+] as const;
+const operators: Operator[] = [
+  '+',
+  '-',
+  '*',
+  '/',
+  '^',
+  'yroot',
+  ...businessOperators,
+  'mod',
+  '&',
+  '|',
+  'xor',
+  '<<',
+  '>>',
+  'rol',
+  'ror',
+];
+const memoryKeys: MemoryKey[] = ['MC', 'M+', 'M-', 'MS'];
+
+export const defaultKeyBindings: KeyBindings = {
+  ...Object.fromEntries([...'0123456789'].map((digit) => [digit, `digit:${digit}`])),
+  // Hexadecimal digits of the programmer keypad
+  ...Object.fromEntries([...'abcdef'].map((key) => [key, `digit:${key.toUpperCase()}`])),
+  '.': 'dot',
+  ',': 'dot',
+  '+': 'operator:+',
+  '-': 'operator:-',
+  '*': 'operator:*',
+  x: 'operator:*',
+  '/': 'operator:/',
+  '^': 'operator:^',
+  Enter: 'equals',
+  '=': 'equals',
+  Escape: 'clear',
+  Backspace: 'backspace',
+  Delete: 'clearEntry',
+  '%': 'percent',
+  F9: 'sign',
+  '(': 'open',
+  ')': 'close',
+  '&': 'operator:&',
+  '|': 'operator:|',
+  '<': 'operator:<<',
+  '>': 'operator:>>',
+  '~': 'function:not',
+  // Imaginary unit of complex numbers; engineers write j
+  i: 'imaginary',
+  j: 'imaginary',
+};
+
+// Translates an action into an engine event; memory actions and unknown actions yield null
+export function actionToEvent(action: string): CalculatorEvent | null {
+  const [kind, arg = ''] = action.split(/:(.*)/);
+  switch (kind) {
+    case 'digit':
+      return /^[\dA-F]$/.test(arg) ? { type: 'digit', digit: arg } : null;
+    case 'operator':
+      return operators.includes(arg as Operator) ? { type: 'operator', operator: arg as Operator } : null;
+    case 'function':
+      return unaryFunctions.includes(arg as UnaryFunction) ? { type: 'function', name: arg as UnaryFunction } : null;
+    case 'constant':
+      return arg in constantSymbols ? { type: 'constant', name: arg as Constant } : null;
+    default:
+      return (simpleActions as readonly string[]).includes(action) ? ({ type: action } as CalculatorEvent) : null;
+  }
+}
+
+export const memoryAction = (action: string): MemoryKey | 'MR' | null => {
+  const key = action.startsWith('memory:') ? action.slice('memory:'.length) : null;
+  return key === 'MR' || memoryKeys.includes(key as MemoryKey) ? (key as MemoryKey | 'MR') : null;
+};
+
+export const isValidAction = (action: string): boolean => actionToEvent(action) != null || memoryAction(action) != null;
+
+// Picks the valid overrides out of a loaded config; an empty action removes a default binding
+export function parseKeyBindings(data: unknown): KeyBindings {
+  if (data == null || typeof data !== 'object' || Array.isArray(data)) return {};
+  return Object.fromEntries(
+    Object.entries(data).filter(([, action]) => typeof action === 'string' && (action === '' || isValidAction(action)))
+  );
+}
+
+// The decimal separator of the display locale is bound to the decimal point as well
+export function resolveKeyBindings(overrides: KeyBindings, decimalSeparator = '.'): KeyBindings {
+  const bindings = { ...defaultKeyBindings, [decimalSeparator]: 'dot', ...overrides };
+  return Object.fromEntries(Object.entries(bindings).filter(([, action]) => action !== ''));
+}
+
+// Looks up the action for a key, falling back to the lower-case key so 'X' works like 'x'
+export const actionForKey = (bindings: KeyBindings, key: string): string | null =>
+  bindings[key] ?? bindings[key.toLowerCase()] ?? null;
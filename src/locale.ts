@@ -0,0 +1,78 @@
+// locale.ts
+// Locale-aware presentation of numbers with Intl.NumberFormat. Only what is shown is localized: the engine,
+// the history and the `/log` entries keep locale-neutral values such as '1234.5'.
+
+export type Notation = 'standard' | 'scientific' | 'engineering';
+
+export interface LocaleSettings {
+  // BCP 47 language tag such as 'de-DE'; '' follows the browser language
+  locale: string;
+  notation: Notation;
+}
+
+export interface Localizer {
+  decimalSeparator: string;
+  // Formats a single value, e.g. '-1234.50' as '-1.234,50' in German
+  number: (value: string) => string;
+  // Formats the numbers in an expression such as '1234.5 * sqrt(2)', always in standard notation
+  text: (expression: string) => string;
+}
+
+export const notations: Notation[] = ['standard', 'scientific', 'engineering'];
+
+export const defaultLocaleSettings: LocaleSettings = {
+  locale: '',
+  notation: 'standard',
+};
+
+export function isValidLocale(locale: string): boolean {
+  try {
+    return locale === '' || Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// Picks the valid locale settings out of a loaded config, falling back to the defaults
+export function parseLocaleSettings(data: Record<string, unknown>): LocaleSettings {
+  const settings = { ...defaultLocaleSettings };
+  if (typeof data.locale === 'string' && isValidLocale(data.locale)) settings.locale = data.locale;
+  if (notations.includes(data.notation as Notation)) settings.notation = data.notation as Notation;
+  return settings;
+}
+
+// Sign, integer digits, fraction with its point and exponent of a locale-neutral number
+const numberPattern = /^(-?)(\d+)(\.\d*)?(e[+-]?\d+)?$/i;
+
+// Numbers inside an expression; digits that are part of a name such as 'pow10' are left alone
+const embeddedNumberPattern = /(?<![a-z\d.])\d+(?:\.\d*)?(?:e[+-]?\d+)?/gi;
+
+export function createLocalizer(settings: LocaleSettings, precision: number): Localizer {
+  const locale = settings.locale || undefined;
+  // Latin digits match the fraction digits, which are shown as typed
+  const grouping = new Intl.NumberFormat(locale, { numberingSystem: 'latn', maximumFractionDigits: 0 });
+  const exponential = new Intl.NumberFormat(locale, {
+    numberingSystem: 'latn',
+    notation: settings.notation === 'standard' ? 'scientific' : settings.notation,
+    maximumSignificantDigits: Math.min(precision, 21),
+  });
+  const decimalSeparator =
+    new Intl.NumberFormat(locale).formatToParts(1.5).find((part) => part.type === 'decimal')?.value ?? '.';
+
+  const standard = (value: string): string => {
+    const match = numberPattern.exec(value);
+    if (!match) return value;
+    const [, sign, integer, fraction = '', exponent = ''] = match;
+    return sign + grouping.format(BigInt(integer)) + fraction.replace('.', decimalSeparator) + exponent;
+  };
+
+  return {
+    decimalSeparator,
+    // A number still being typed with a trailing point stays in standard notation
+    number: (value) =>
+      settings.notation === 'standard' || !numberPattern.test(value) || value.endsWith('.')
+        ? standard(value)
+        : exponential.format(Number(value)),
+    text: (expression) => expression.replace(embeddedNumberPattern, standard),
+  };
+}
@@ -0,0 +1,80 @@
+import { For, Show } from 'solid-js';
+import Button from './button';
+import { activeSlot, maxMemorySlots, type Memory } from './memory';
+
+export default function MemoryPanel(props: {
+  memory: Memory;
+  format: (value: string) => string;
+  // Why the memory was not saved, if it was not
+  error?: string | null;
+  onSelect: (index: number) => void;
+  onAdd: () => void;
+  onRemove: (index: number) => void;
+  onRename: (index: number, name: string) => void;
+}) {
+  return (
+    <>
+      <div class="grid grid-cols-5 gap-1 mb-2">
+        <Button label="MC" action="memory:MC" class="btn-memory" title="Memory clear" />
+        <Button label="MR" action="memory:MR" class="btn-memory" title="Memory recall" />
+        <Button label="M+" action="memory:M+" class="btn-memory" title="Add to memory" />
+        <Button label="M−" action="memory:M-" class="btn-memory" title="Subtract from memory" />
+        <Button label="MS" action="memory:MS" class="btn-memory" title="Memory store" />
+      </div>
+
+      <details class="collapse collapse-arrow bg-base-100 border mb-2 text-left text-sm">
+        <summary class="collapse-title min-h-0 py-2 font-mono">
+          {activeSlot(props.memory).name} = {props.format(activeSlot(props.memory).value)}
+        </summary>
+        <div class="collapse-content">
+          <ul class="space-y-1">
+            <For each={props.memory.slots}>
+              {(slot, index) => (
+                <li class="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name="memory-slot"
+                    class="radio radio-xs"
+                    checked={index() === props.memory.active}
+                    onChange={() => props.onSelect(index())}
+                    aria-label={`Use ${slot.name}`}
+                  />
+                  <input
+                    type="text"
+                    class="input input-xs w-20"
+                    value={slot.name}
+                    maxLength={32}
+                    onChange={(e) => props.onRename(index(), e.currentTarget.value)}
+                    aria-label="Slot name"
+                  />
+                  <span class="flex-1 text-right font-mono truncate">{props.format(slot.value)}</span>
+                  <Show when={props.memory.slots.length > 1}>
+                    <button
+                      class="btn btn-ghost btn-xs opacity-50"
+                      onClick={() => props.onRemove(index())}
+                      aria-label={`Remove ${slot.name}`}
+                    >
+                      ✕
+                    </button>
+                  </Show>
+                </li>
+              )}
+            </For>
+          </ul>
+          <button
+            class="btn btn-xs btn-outline mt-2"
+            onClick={() => props.onAdd()}
+            disabled={props.memory.slots.length >= maxMemorySlots}
+          >
+            + Add slot
+          </button>
+        </div>
+      </details>
+      <Show when={props.error}>
+        <p class="text-xs text-error mb-2" role="alert">
+          {props.error}
+        </p>
+      </Show>
+    </>
+  );
+}
@@ -0,0 +1,122 @@
+// memory.ts
+// Memory registers (MC, MR, M+, M−, MS) with named slots, persisted by the mock server under `/api/memory`.
+// Slot values are radix-neutral: the programmer keypad stores its integers in decimal, so that BIN 101 is still 5
+// after a switch to DEC.
+import type { Arithmetic } from './arithmetic';
+import { formatInteger, readInteger, type ProgrammerSettings } from './programmer';
+
+export interface MemorySlot {
+  name: string;
+  value: string;
+}
+
+export interface Memory {
+  slots: MemorySlot[];
+  // Index of the slot the memory keys work on
+  active: number;
+}
+
+export type MemoryKey = 'MC' | 'M+' | 'M-' | 'MS';
+
+export const maxMemorySlots = 20;
+
+export const defaultMemory: Memory = {
+  slots: [{ name: 'M1', value: '0' }],
+  active: 0,
+};
+
+export const activeSlot = (memory: Memory): MemorySlot => memory.slots[memory.active] ?? memory.slots[0];
+
+// The value on the display as stored in a slot; `programmer` is null outside the programmer keypad
+export function storedValue(display: string, programmer: ProgrammerSettings | null): string {
+  if (!programmer) return display;
+  return readInteger(display, programmer)?.toString() ?? display;
+}
+
+// A slot value in the radix and word size of the programmer keypad, or as stored outside of it
+export function recalledValue(value: string, programmer: ProgrammerSettings | null): string {
+  if (!programmer) return value;
+  const integer = readInteger(value, { ...programmer, radix: 10 });
+  return integer == null ? value : formatInteger(integer, programmer);
+}
+
+const updateActive = (memory: Memory, value: string): Memory => ({
+  ...memory,
+  slots: memory.slots.map((slot, index) => (index === memory.active ? { ...slot, value } : slot)),
+});
+
+// Applies a memory key to the active slot; MR is a plain recall and handled by the engine
+export function applyMemoryKey(
+  memory: Memory,
+  key: MemoryKey,
+  display: string,
+  arithmetic: Arithmetic,
+  programmer: ProgrammerSettings | null = null
+): Memory {
+  const current = recalledValue(activeSlot(memory).value, programmer);
+  // A failed calculation, e.g. an overflow, leaves the slot unchanged
+  const stored = (calculate: () => string) => {
+    try {
+      return updateActive(memory, storedValue(calculate(), programmer));
+    } catch {
+      return memory;
+    }
+  };
+
+  switch (key) {
+    case 'MC':
+      return updateActive(memory, '0');
+    case 'MS':
+      return updateActive(memory, storedValue(display, programmer));
+    case 'M+':
+      return stored(() => arithmetic.calculate(current, display, '+'));
+    case 'M-':
+      return stored(() => arithmetic.calculate(current, display, '-'));
+  }
+}
+
+export function addMemorySlot(memory: Memory): Memory {
+  if (memory.slots.length >= maxMemorySlots) return memory;
+  const names = new Set(memory.slots.map((slot) => slot.name));
+  let n = memory.slots.length + 1;
+  while (names.has(`M${n}`)) n++;
+  return { slots: [...memory.slots, { name: `M${n}`, value: '0' }], active: memory.slots.length };
+}
+
+export function removeMemorySlot(memory: Memory, index: number): Memory {
+  if (memory.slots.length <= 1) return memory;
+  const slots = memory.slots.filter((_, i) => i !== index);
+  const active = memory.active > index ? memory.active - 1 : Math.min(memory.active, slots.length - 1);
+  return { slots, active };
+}
+
+export function renameMemorySlot(memory: Memory, index: number, name: string): Memory {
+  const trimmed = name.trim().slice(0, 32);
+  if (!trimmed) return memory;
+  return { ...memory, slots: memory.slots.map((slot, i) => (i === index ? { ...slot, name: trimmed } : slot)) };
+}
+
+export const loadMemory = async (): Promise<Memory | null> => {
+  try {
+    const res = await fetch('/api/memory');
+    return res.ok ? await res.json() : null;
+  } catch (err) {
+    console.warn('Failed to load memory:', err);
+    return null;
+  }
+};
+
+// Resolves to false when the memory was not saved
+export const saveMemory = async (memory: Memory): Promise<boolean> => {
+  try {
+    const res = await fetch('/api/memory', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(memory),
+    });
+    return res.ok;
+  } catch (err) {
+    console.warn('Failed to save memory:', err);
+    return false;
+  }
+};
@@ -0,0 +1,133 @@
+// parser.test.ts
+// Expressions through `evaluate()`: precedence, grouping, names and the errors of unreadable input.
+import { describe, expect, it } from 'vitest';
+import { ArithmeticError, decimalArithmetic, floatArithmetic } from './arithmetic';
+import type { Definitions } from './definitions';
+import { evaluate, lastOperation, parse, referencedNames, tokenize } from './parser';
+import { programmerArithmetic } from './programmer';
+
+const float = floatArithmetic();
+const calc = (source: string, definitions?: Definitions) => float.format(evaluate(source, float, definitions));
+
+describe('precedence', () => {
+  it('multiplies before adding', () => {
+    expect(calc('2 + 3 * 4')).toBe('14');
+    expect(calc('10 - 4 / 2')).toBe('8');
+  });
+
+  it('evaluates left-associative operators from the left', () => {
+    expect(calc('10 - 4 - 3')).toBe('3');
+    expect(calc('100 / 10 / 5')).toBe('2');
+  });
+
+  it('raises to powers from the right', () => {
+    expect(calc('2 ^ 3 ^ 2')).toBe('512');
+  });
+
+  it('binds unary minus looser than powers', () => {
+    expect(calc('-2 ^ 2')).toBe('-4');
+    expect(calc('(-2) ^ 2')).toBe('4');
+    expect(calc('2 * -3')).toBe('-6');
+    expect(calc('4 - -1')).toBe('5');
+  });
+
+  it('evaluates nested parentheses first', () => {
+    expect(calc('2 * (3 + (4 - 1))')).toBe('12');
+  });
+
+  it('gives bitwise operators the precedence of C', () => {
+    const hex = programmerArithmetic({ radix: 16, wordSize: 8, signed: false });
+    expect(evaluate('FF & 0F', hex)).toBe('F');
+    expect(evaluate('1 + 2 << 3 & F', hex)).toBe('8');
+  });
+});
+
+describe('operands', () => {
+  it('accepts the display symbols of the operators', () => {
+    expect(calc('6 × 7 − 2 ÷ 2')).toBe('41');
+  });
+
+  it('reads constants and functions', () => {
+    expect(calc('sqrt(9) + 1')).toBe('4');
+    expect(calc('2 * pi')).toBe(float.format(String(2 * Math.PI)));
+  });
+
+  it('takes a percentage of the first operand for + and −', () => {
+    expect(calc('200 + 10%')).toBe('220');
+    expect(calc('200 * 10%')).toBe('20');
+  });
+
+  it('calculates with the active backend', () => {
+    expect(evaluate('0.1 + 0.2', decimalArithmetic())).toBe('0.3');
+  });
+});
+
+describe('definitions', () => {
+  const definitions: Definitions = {
+    variables: { rate: '0.19' },
+    functions: {
+      net: { parameters: ['x'], body: 'x / (1 + rate)' },
+      loop: { parameters: ['x'], body: 'loop(x)' },
+    },
+  };
+
+  it('looks up variables and user-defined functions', () => {
+    expect(calc('net(119)', definitions)).toBe('100');
+  });
+
+  it('refuses unknown names and wrong argument counts', () => {
+    expect(() => calc('tax * 2', definitions)).toThrow(SyntaxError);
+    expect(() => calc('net(1, 2)', definitions)).toThrow(SyntaxError);
+  });
+
+  it('stops endless recursion', () => {
+    expect(() => calc('loop(1)', definitions)).toThrow(ArithmeticError);
+  });
+
+  it('lists the names an expression refers to', () => {
+    const names = referencedNames(parse('net(rate) + sqrt(x)'));
+    expect([...names.variables]).toEqual(['rate', 'x']);
+    expect([...names.functions]).toEqual(['net']);
+  });
+});
+
+describe('errors', () => {
+  it('refuses expressions it cannot read', () => {
+    for (const source of ['', '2 +', '(2 + 3', '2 + 3)', '2 $ 3', '2 3']) {
+      expect(() => parse(source), source).toThrow(SyntaxError);
+    }
+  });
+
+  it('refuses names that are built-in properties of objects', () => {
+    expect(() => calc('toString')).toThrow(SyntaxError);
+  });
+});
+
+describe('lastOperation', () => {
+  it('splits off the operator and operand that equals repeats', () => {
+    expect(lastOperation('2 + 5 * (3 + 1)')).toEqual({ operator: '*', operand: '(3 + 1)' });
+    expect(lastOperation('sqrt(9) + sqrt(16)')).toEqual({ operator: '+', operand: 'sqrt(16)' });
+  });
+
+  it('keeps a sign and a percentage with the operand', () => {
+    expect(lastOperation('2 * -3')).toEqual({ operator: '*', operand: '-3' });
+    expect(lastOperation('50 + 10%')).toEqual({ operator: '+', operand: '10%' });
+  });
+
+  it('gives null without a binary operation', () => {
+    expect(lastOperation('7')).toBeNull();
+    expect(lastOperation('-3')).toBeNull();
+  });
+});
+
+describe('tokenize', () => {
+  it('reads hexadecimal digits before names', () => {
+    expect(tokenize('BAD', 16)).toEqual([{ type: 'number', value: 'BAD', position: 0 }]);
+    expect(tokenize('BAD', 10)).toEqual([{ type: 'identifier', value: 'BAD', position: 0 }]);
+  });
+
+  it('reads imaginary numbers only when asked to', () => {
+    expect(tokenize('4i', 10, true)).toEqual([{ type: 'number', value: '4i', position: 0 }]);
+    expect(tokenize('4i').map((token) => token.type)).toEqual(['number', 'identifier']);
+  });
+});
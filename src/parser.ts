@@ -0,0 +1,335 @@
+// parser.ts
+// Tokenizer and precedence-climbing parser for calculator expressions such as '2 + 3 * (4 - -1)'.
+// Evaluation goes through the active arithmetic backend so expressions honour float, decimal or programmer mode;
+// in programmer mode numbers are read in the backend's radix, e.g. 'FF & 0F' in hexadecimal, and a complex
+// backend also reads imaginary numbers such as '4i' or a lone 'i'. Other names are variables and user-defined
+// functions, which are looked up in the definitions when the expression is evaluated.
+import { ArithmeticError, percentOperand, type Arithmetic, type Operator } from './arithmetic';
+import type { Definitions } from './definitions';
+import { unaryFunctions, type Constant, type UnaryFunction } from './scientific';
+
+export type Token =
+  | { type: 'number'; value: string; position: number }
+  | { type: 'operator'; value: Operator; position: number }
+  | { type: 'paren'; value: '(' | ')'; position: number }
+  | { type: 'percent'; value: '%'; position: number }
+  | { type: 'identifier'; value: string; position: number }
+  | { type: 'comma'; value: ','; position: number };
+
+export type ExpressionNode =
+  | { type: 'number'; value: string }
+  | { type: 'constant'; name: Constant }
+  | { type: 'unary'; operator: '+' | '-'; operand: ExpressionNode }
+  | { type: 'percent'; operand: ExpressionNode }
+  | { type: 'binary'; operator: Operator; left: ExpressionNode; right: ExpressionNode }
+  | { type: 'call'; name: UnaryFunction; argument: ExpressionNode }
+  | { type: 'variable'; name: string }
+  | { type: 'userCall'; name: string; arguments: ExpressionNode[] };
+
+interface OperatorInfo {
+  precedence: number;
+  associativity: 'left' | 'right';
+}
+
+// Bitwise operators bind looser than arithmetic ones, in the order of C: '1 + 2 << 3 & 15' is '((1 + 2) << 3) & 15'
+const binaryOperators: Record<Operator, OperatorInfo> = {
+  '|': { precedence: 1, associativity: 'left' },
+  xor: { precedence: 2, associativity: 'left' },
+  '&': { precedence: 3, associativity: 'left' },
+  '<<': { precedence: 4, associativity: 'left' },
+  '>>': { precedence: 4, associativity: 'left' },
+  rol: { precedence: 4, associativity: 'left' },
+  ror: { precedence: 4, associativity: 'left' },
+  '+': { precedence: 5, associativity: 'left' },
+  '-': { precedence: 5, associativity: 'left' },
+  '*': { precedence: 6, associativity: 'left' },
+  '/': { precedence: 6, associativity: 'left' },
+  mod: { precedence: 6, associativity: 'left' },
+  markup: { precedence: 6, associativity: 'left' },
+  margin: { precedence: 6, associativity: 'left' },
+  delta: { precedence: 6, associativity: 'left' },
+  share: { precedence: 6, associativity: 'left' },
+  '^': { precedence: 8, associativity: 'right' },
+  yroot: { precedence: 8, associativity: 'right' },
+};
+
+// Unary minus binds tighter than * and / but looser than powers: -2 ^ 2 = -4
+const unaryPrecedence = 7;
+
+// Display symbols are accepted as aliases so typed or pasted expressions parse as well
+const operatorAliases: Record<string, Operator> = {
+  '+': '+',
+  '-': '-',
+  '−': '-',
+  '*': '*',
+  '×': '*',
+  '/': '/',
+  '÷': '/',
+  '^': '^',
+  '&': '&',
+  '|': '|',
+  '<<': '<<',
+  '>>': '>>',
+};
+
+// Operators written as words; they are not valid function names
+const wordOperators: Operator[] = ['yroot', 'markup', 'margin', 'delta', 'share', 'mod', 'xor', 'rol', 'ror'];
+
+const constantNames: Record<string, Constant> = {
+  π: 'pi',
+  pi: 'pi',
+  e: 'e',
+};
+
+// Names with a meaning of their own, which cannot be used for variables or functions
+export const reservedNames: string[] = [...unaryFunctions, ...wordOperators, ...Object.keys(constantNames), 'i', 'j'];
+
+// User-defined functions calling each other deeper than this are taken for endless recursion
+const maxCallDepth = 32;
+
+const noDefinitions: Definitions = { variables: {}, functions: {} };
+
+const decimalPattern = /(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/iy;
+const identifierPattern = /[a-zπ][a-z0-9]*/iy;
+
+// Integers in other radixes have no fraction or exponent; hexadecimal digits take precedence over identifiers
+const integerPatterns: Record<number, RegExp> = {
+  2: /[01]+/y,
+  8: /[0-7]+/y,
+  16: /[0-9a-f]+/iy,
+};
+
+// An 'i' right after a number makes it imaginary, unless it starts a name such as in '2 in'
+const imaginaryPattern = /i(?![a-z0-9])/iy;
+
+export function tokenize(source: string, radix = 10, imaginary = false): Token[] {
+  const numberPattern = integerPatterns[radix] ?? decimalPattern;
+  const tokens: Token[] = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+    const pair = source.slice(position, position + 2);
+    const symbol = pair in operatorAliases ? pair : char;
+    if (/\s/.test(char)) {
+      position++;
+    } else if (symbol in operatorAliases) {
+      tokens.push({ type: 'operator', value: operatorAliases[symbol], position });
+      position += symbol.length;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char, position });
+      position++;
+    } else if (char === '%') {
+      tokens.push({ type: 'percent', value: char, position });
+      position++;
+    } else if (char === ',') {
+      tokens.push({ type: 'comma', value: char, position });
+      position++;
+    } else {
+      numberPattern.lastIndex = position;
+      identifierPattern.lastIndex = position;
+      const number = numberPattern.exec(source);
+      const match = number ?? identifierPattern.exec(source);
+      if (!match) throw new SyntaxError(`Unexpected character '${char}' at position ${position}`);
+      let text = match[0];
+      imaginaryPattern.lastIndex = position + text.length;
+      if (imaginary && number && imaginaryPattern.test(source)) text += 'i';
+      const word = text as Operator;
+      if (number || (imaginary && text === 'i')) tokens.push({ type: 'number', value: text, position });
+      else if (wordOperators.includes(word)) tokens.push({ type: 'operator', value: word, position });
+      else tokens.push({ type: 'identifier', value: text, position });
+      position += text.length;
+    }
+  }
+  return tokens;
+}
+
+export function parse(source: string, radix = 10, imaginary = false): ExpressionNode {
+  const tokens = tokenize(source, radix, imaginary);
+  let index = 0;
+
+  const peek = (): Token | undefined => tokens[index];
+
+  const unexpected = (token: Token | undefined): SyntaxError =>
+    new SyntaxError(
+      token ? `Unexpected '${token.value}' at position ${token.position}` : 'Unexpected end of expression'
+    );
+
+  const parsePrimary = (): ExpressionNode => {
+    const token = tokens[index++];
+    if (token?.type === 'number') return { type: 'number', value: token.value };
+    if (token?.type === 'operator' && (token.value === '-' || token.value === '+')) {
+      return { type: 'unary', operator: token.value, operand: parseExpression(unaryPrecedence) };
+    }
+    if (token?.type === 'paren' && token.value === '(') return parseGroup();
+    if (token?.type === 'identifier') {
+      if (Object.hasOwn(constantNames, token.value)) return { type: 'constant', name: constantNames[token.value] };
+      const opening = peek();
+      const isCall = opening?.type === 'paren' && opening.value === '(';
+      if (!unaryFunctions.includes(token.value as UnaryFunction)) {
+        if (!isCall) return { type: 'variable', name: token.value };
+        index++;
+        return { type: 'userCall', name: token.value, arguments: parseArguments() };
+      }
+      if (!isCall) throw unexpected(opening);
+      index++;
+      return { type: 'call', name: token.value as UnaryFunction, argument: parseGroup() };
+    }
+    throw unexpected(token);
+  };
+
+  // Parses the rest of a parenthesized group whose '(' has been consumed
+  const parseGroup = (): ExpressionNode => {
+    const inner = parseExpression(0);
+    const closing = tokens[index++];
+    if (closing?.type !== 'paren' || closing.value !== ')') throw unexpected(closing);
+    return inner;
+  };
+
+  // Parses the comma-separated arguments of a user-defined function whose '(' has been consumed
+  const parseArguments = (): ExpressionNode[] => {
+    const args = [parseExpression(0)];
+    while (peek()?.type === 'comma') {
+      index++;
+      args.push(parseExpression(0));
+    }
+    const closing = tokens[index++];
+    if (closing?.type !== 'paren' || closing.value !== ')') throw unexpected(closing);
+    return args;
+  };
+
+  // A postfix '%' binds to the operand before it: '200 + 10%'
+  const parsePercent = (operand: ExpressionNode): ExpressionNode => {
+    while (peek()?.type === 'percent') {
+      index++;
+      operand = { type: 'percent', operand };
+    }
+    return operand;
+  };
+
+  const parseExpression = (minPrecedence: number): ExpressionNode => {
+    let left = parsePercent(parsePrimary());
+    for (let token = peek(); token?.type === 'operator'; token = peek()) {
+      const { precedence, associativity } = binaryOperators[token.value];
+      if (precedence < minPrecedence) break;
+      index++;
+      const right = parseExpression(associativity === 'left' ? precedence + 1 : precedence);
+      left = { type: 'binary', operator: token.value, left, right };
+    }
+    return left;
+  };
+
+  const tree = parseExpression(0);
+  if (index < tokens.length) throw unexpected(tokens[index]);
+  return tree;
+}
+
+// Splits off the last binary operation of an expression: '*' and '(3 + 1)' for '2 + 5 * (3 + 1)',
+// '*' and '-3' for '2 * -3'. Returns null when the expression has no binary operator at its end.
+export function lastOperation(
+  source: string,
+  radix = 10,
+  imaginary = false
+): { operator: Operator; operand: string } | null {
+  const tokens = tokenize(source, radix, imaginary);
+  let index = tokens.length - 1;
+  while (tokens[index]?.type === 'percent') index--;
+  if (tokens[index]?.type === 'paren' && tokens[index].value === ')') {
+    for (let depth = 0; index >= 0; index--) {
+      if (tokens[index].value === ')') depth++;
+      else if (tokens[index].value === '(' && --depth === 0) break;
+    }
+  }
+  // A function name before the group, or a sign before the operand, belongs to the operand
+  if (tokens[index - 1]?.type === 'identifier') index--;
+  const isOperand = (token: Token | undefined) => token != null && token.type !== 'operator' && token.value !== '(';
+  if (tokens[index - 1]?.type === 'operator' && !isOperand(tokens[index - 2])) index--;
+
+  const operator = tokens[index - 1];
+  if (index <= 0 || operator?.type !== 'operator' || !isOperand(tokens[index - 2])) return null;
+  return { operator: operator.value, operand: source.slice(tokens[index].position).trim() };
+}
+
+// Evaluates a parsed expression; `variables` holds the parameters of a user-defined function being called.
+// Variables keep values as the backend wrote them, e.g. '7/3' in fractions mode, and are read like expressions.
+export function evaluateNode(
+  node: ExpressionNode,
+  arithmetic: Arithmetic,
+  definitions: Definitions = noDefinitions,
+  variables: Record<string, string> = definitions.variables,
+  depth = 0
+): string {
+  const visit = (child: ExpressionNode) => evaluateNode(child, arithmetic, definitions, variables, depth);
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'constant':
+      return arithmetic.constant(node.name);
+    case 'call':
+      return arithmetic.apply(node.name, visit(node.argument));
+    case 'unary': {
+      const operand = visit(node.operand);
+      return node.operator === '-' ? arithmetic.calculate('0', operand, '-') : operand;
+    }
+    case 'percent':
+      return arithmetic.percent(visit(node.operand));
+    case 'binary': {
+      // A percentage as second operand depends on the operator, see `percentOperand`
+      const left = visit(node.left);
+      const right =
+        node.right.type === 'percent'
+          ? percentOperand(arithmetic, left, visit(node.right.operand), node.operator)
+          : visit(node.right);
+      return arithmetic.calculate(left, right, node.operator);
+    }
+    case 'variable': {
+      if (!Object.hasOwn(variables, node.name)) throw new SyntaxError(`Unknown variable '${node.name}'`);
+      return evaluateNode(parse(variables[node.name], arithmetic.radix, arithmetic.complex), arithmetic);
+    }
+    case 'userCall': {
+      if (!Object.hasOwn(definitions.functions, node.name)) throw new SyntaxError(`Unknown function '${node.name}'`);
+      const fn = definitions.functions[node.name];
+      if (fn.parameters.length !== node.arguments.length) {
+        const count = fn.parameters.length;
+        throw new SyntaxError(`'${node.name}' takes ${count} argument${count === 1 ? '' : 's'}`);
+      }
+      if (depth >= maxCallDepth) throw new ArithmeticError('overflow');
+      const args = Object.fromEntries(fn.parameters.map((name, i) => [name, visit(node.arguments[i])]));
+      const body = parse(fn.body, arithmetic.radix, arithmetic.complex);
+      return evaluateNode(body, arithmetic, definitions, { ...definitions.variables, ...args }, depth + 1);
+    }
+  }
+}
+
+// The variables and user-defined functions an expression refers to; built-in functions and constants are not names
+export function referencedNames(
+  node: ExpressionNode,
+  names: { variables: Set<string>; functions: Set<string> } = { variables: new Set(), functions: new Set() }
+): { variables: Set<string>; functions: Set<string> } {
+  switch (node.type) {
+    case 'variable':
+      names.variables.add(node.name);
+      break;
+    case 'userCall':
+      names.functions.add(node.name);
+      node.arguments.forEach((argument) => referencedNames(argument, names));
+      break;
+    case 'unary':
+    case 'percent':
+      referencedNames(node.operand, names);
+      break;
+    case 'call':
+      referencedNames(node.argument, names);
+      break;
+    case 'binary':
+      referencedNames(node.left, names);
+      referencedNames(node.right, names);
+      break;
+  }
+  return names;
+}
+
+// Evaluates an expression string; throws a SyntaxError when it cannot be parsed or uses unknown names
+export function evaluate(source: string, arithmetic: Arithmetic, definitions?: Definitions): string {
+  return evaluateNode(parse(source, arithmetic.radix, arithmetic.complex), arithmetic, definitions);
+}
@@ -0,0 +1,134 @@
+import { For } from 'solid-js';
+import Button from './button';
+import {
+  bits,
+  formatInteger,
+  radixes,
+  radixNames,
+  readInteger,
+  wordSizes,
+  type ProgrammerSettings,
+  type Radix,
+} from './programmer';
+
+const wordSizeNames: Record<number, string> = {
+  8: 'BYTE',
+  16: 'WORD',
+  32: 'DWORD',
+  64: 'QWORD',
+};
+
+// Bits shown per row of the bit view
+const rowBits = 16;
+
+export default function ProgrammerKeypad(props: {
+  settings: ProgrammerSettings;
+  value: string;
+  onChange: (updates: Partial<ProgrammerSettings>) => void;
+  onToggleBit: (bit: number) => void;
+}) {
+  const word = () => readInteger(props.value, props.settings);
+
+  const inRadix = (radix: Radix) => {
+    const value = word();
+    return value == null ? '—' : formatInteger(value, { ...props.settings, radix });
+  };
+
+  const nextWordSize = () => wordSizes[(wordSizes.indexOf(props.settings.wordSize) + 1) % wordSizes.length];
+
+  // Bit positions from the most significant one down, grouped into rows
+  const rows = () => {
+    const size = props.settings.wordSize;
+    return Array.from({ length: Math.ceil(size / rowBits) }, (_, row) =>
+      Array.from({ length: Math.min(rowBits, size) }, (_, i) => size - 1 - row * rowBits - i)
+    );
+  };
+
+  const bitSet = (bit: number) => {
+    const value = word();
+    return value != null && ((bits(value, props.settings) >> BigInt(bit)) & 1n) === 1n;
+  };
+
+  const hexDigit = (digit: string) => (
+    <Button label={digit} action={`digit:${digit}`} class="btn-scientific" disabled={props.settings.radix !== 16} />
+  );
+
+  return (
+    <div class="mb-2">
+      <div class="grid grid-cols-[auto_1fr] gap-x-2 mb-2 text-xs font-mono text-left">
+        <For each={radixes}>
+          {(radix) => (
+            <>
+              <button
+                class="btn btn-xs"
+                classList={{ 'btn-primary': props.settings.radix === radix }}
+                onClick={() => props.onChange({ radix })}
+              >
+                {radixNames[radix]}
+              </button>
+              <span class="self-center break-all">{inRadix(radix)}</span>
+            </>
+          )}
+        </For>
+      </div>
+
+      <div class="flex gap-2 mb-2">
+        <button
+          class="btn btn-xs flex-1"
+          onClick={() => props.onChange({ wordSize: nextWordSize() })}
+          title="Word size"
+        >
+          {wordSizeNames[props.settings.wordSize]}
+        </button>
+        <button
+          class="btn btn-xs flex-1"
+          onClick={() => props.onChange({ signed: !props.settings.signed })}
+          title="Two's complement or unsigned words"
+        >
+          {props.settings.signed ? 'Signed' : 'Unsigned'}
+        </button>
+      </div>
+
+      <div class="mb-2 font-mono text-[0.6rem] leading-tight" aria-label="Bits of the current value">
+        <For each={rows()}>
+          {(row) => (
+            <div class="flex justify-between items-center">
+              <span class="opacity-50 w-5 text-left">{row[0]}</span>
+              <For each={row}>
+                {(bit) => (
+                  <button
+                    class="px-px hover:text-primary"
+                    classList={{ 'ml-1': bit % 4 === 3, 'opacity-40': !bitSet(bit) }}
+                    title={`Bit ${bit}`}
+                    onClick={() => props.onToggleBit(bit)}
+                  >
+                    {bitSet(bit) ? '1' : '0'}
+                  </button>
+                )}
+              </For>
+            </div>
+          )}
+        </For>
+      </div>
+
+      <div class="grid grid-cols-4 gap-2 auto-rows-fr">
+        {hexDigit('A')}
+        {hexDigit('B')}
+        {hexDigit('C')}
+        {hexDigit('D')}
+        {hexDigit('E')}
+        {hexDigit('F')}
+        <Button label="AND" action="operator:&" class="btn-scientific" />
+        <Button label="OR" action="operator:|" class="btn-scientific" />
+
+        <Button label="XOR" action="operator:xor" class="btn-scientific" />
+        <Button label="NOT" action="function:not" class="btn-scientific" />
+        <Button label="<<" action="operator:<<" class="btn-scientific" title="Shift left" />
+        <Button label=">>" action="operator:>>" class="btn-scientific" title="Shift right" />
+        <Button label="RoL" action="operator:rol" class="btn-scientific" title="Rotate left" />
+        <Button label="RoR" action="operator:ror" class="btn-scientific" title="Rotate right" />
+        <Button label="Mod" action="operator:mod" class="btn-scientific col-span-2" title="Remainder" />
+      </div>
+    </div>
+  );
+}
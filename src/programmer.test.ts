@@ -0,0 +1,104 @@
+// programmer.test.ts
+// Integer words of the programmer keypad: radix conversion and wrapping to the word size.
+import { describe, expect, it } from 'vitest';
+import { errorMessages } from './arithmetic';
+import {
+  formatInteger,
+  maxDigits,
+  parseInteger,
+  parseProgrammerSettings,
+  programmerArithmetic,
+  readInteger,
+  wrap,
+  type ProgrammerSettings,
+} from './programmer';
+
+const signed8: ProgrammerSettings = { radix: 16, wordSize: 8, signed: true };
+const unsigned8: ProgrammerSettings = { radix: 10, wordSize: 8, signed: false };
+
+describe('wrap', () => {
+  it('reads the top bit as the sign in signed mode', () => {
+    expect(wrap(127n, signed8)).toBe(127n);
+    expect(wrap(128n, signed8)).toBe(-128n);
+    expect(wrap(-1n, signed8)).toBe(-1n);
+  });
+
+  it('keeps the low bits in unsigned mode', () => {
+    expect(wrap(256n, unsigned8)).toBe(0n);
+    expect(wrap(-5n, unsigned8)).toBe(251n);
+  });
+});
+
+describe('parseInteger', () => {
+  it('reads digits of the radix', () => {
+    expect(parseInteger('ff', 16)).toBe(255n);
+    expect(parseInteger('-101', 2)).toBe(-5n);
+  });
+
+  it('refuses digits of another radix and prefixes', () => {
+    expect(() => parseInteger('12', 2)).toThrow(SyntaxError);
+    expect(() => parseInteger('0x10', 10)).toThrow(SyntaxError);
+  });
+});
+
+describe('formatInteger', () => {
+  it('shows negative words as their bit pattern outside decimal', () => {
+    expect(formatInteger(-1n, signed8)).toBe('FF');
+    expect(formatInteger(-1n, { ...signed8, radix: 2 })).toBe('11111111');
+    expect(formatInteger(-1n, { ...signed8, radix: 10 })).toBe('-1');
+  });
+});
+
+describe('readInteger', () => {
+  it('reads a display value as a word', () => {
+    expect(readInteger('FF', signed8)).toBe(-1n);
+    expect(readInteger('FF', { ...signed8, signed: false })).toBe(255n);
+  });
+
+  it('gives null for values that are not an integer in the radix', () => {
+    expect(readInteger('1.5', unsigned8)).toBeNull();
+    expect(readInteger('F', unsigned8)).toBeNull();
+  });
+});
+
+describe('maxDigits', () => {
+  it('fits the largest word', () => {
+    expect(maxDigits(signed8)).toBe(2);
+    expect(maxDigits({ radix: 10, wordSize: 64, signed: true })).toBe(20);
+  });
+});
+
+describe('programmerArithmetic', () => {
+  it('wraps results to the word size', () => {
+    expect(programmerArithmetic(signed8).calculate('7F', '1', '+')).toBe('80');
+    expect(programmerArithmetic(unsigned8).calculate('0', '5', '-')).toBe('251');
+    expect(programmerArithmetic(unsigned8).calculate('16', '16', '*')).toBe('0');
+  });
+
+  it('truncates division toward zero', () => {
+    expect(programmerArithmetic({ ...signed8, radix: 10 }).calculate('-7', '2', '/')).toBe('-3');
+  });
+
+  it('rotates and shifts within the word', () => {
+    const arithmetic = programmerArithmetic({ radix: 2, wordSize: 8, signed: false });
+    expect(arithmetic.calculate('10000001', '1', 'rol')).toBe('11');
+    expect(arithmetic.calculate('1', '1000', '<<')).toBe('0');
+  });
+
+  it('reports division by zero and refuses functions without an integer result', () => {
+    const arithmetic = programmerArithmetic(unsigned8);
+    expect(() => arithmetic.calculate('1', '0', '/')).toThrow(errorMessages['divide-by-zero']);
+    expect(() => arithmetic.apply('sqrt', '4')).toThrow(errorMessages.invalid);
+    expect(() => arithmetic.percent('4')).toThrow(errorMessages.invalid);
+  });
+});
+
+describe('parseProgrammerSettings', () => {
+  it('keeps valid settings and falls back for the others', () => {
+    expect(parseProgrammerSettings({ radix: 2, wordSize: 12, signed: false })).toEqual({
+      radix: 2,
+      wordSize: 64,
+      signed: false,
+    });
+  });
+});
@@ -0,0 +1,191 @@
+// programmer.ts
+// Integer arithmetic of the programmer keypad on BigInt, wrapped to a fixed word size.
+// Values are written in the selected radix; outside decimal, negative values show their two's complement bits.
+import { ArithmeticError, type Arithmetic, type Operator } from './arithmetic';
+import type { UnaryFunction } from './scientific';
+
+export type Radix = 2 | 8 | 10 | 16;
+
+export type WordSize = 8 | 16 | 32 | 64;
+
+export interface ProgrammerSettings {
+  radix: Radix;
+  wordSize: WordSize;
+  signed: boolean;
+}
+
+export const radixes: Radix[] = [16, 10, 8, 2];
+
+export const wordSizes: WordSize[] = [8, 16, 32, 64];
+
+export const radixNames: Record<Radix, string> = {
+  16: 'HEX',
+  10: 'DEC',
+  8: 'OCT',
+  2: 'BIN',
+};
+
+export const defaultProgrammerSettings: ProgrammerSettings = {
+  radix: 10,
+  wordSize: 64,
+  signed: true,
+};
+
+// Picks the valid programmer settings out of a loaded config, falling back to the defaults
+export function parseProgrammerSettings(data: Record<string, unknown>): ProgrammerSettings {
+  const settings = { ...defaultProgrammerSettings };
+  if (radixes.includes(data.radix as Radix)) settings.radix = data.radix as Radix;
+  if (wordSizes.includes(data.wordSize as WordSize)) settings.wordSize = data.wordSize as WordSize;
+  if (typeof data.signed === 'boolean') settings.signed = data.signed;
+  return settings;
+}
+
+// Truncates a value to the word size, reading the top bit as the sign in signed mode
+export const wrap = (value: bigint, { wordSize, signed }: ProgrammerSettings): bigint =>
+  signed ? BigInt.asIntN(wordSize, value) : BigInt.asUintN(wordSize, value);
+
+// The word as an unsigned bit pattern
+export const bits = (value: bigint, { wordSize }: ProgrammerSettings): bigint => BigInt.asUintN(wordSize, value);
+
+const digitPatterns: Record<Radix, RegExp> = {
+  16: /^[0-9a-f]+$/i,
+  10: /^\d+$/,
+  8: /^[0-7]+$/,
+  2: /^[01]+$/,
+};
+
+const radixPrefixes: Record<Radix, string> = {
+  16: '0x',
+  10: '',
+  8: '0o',
+  2: '0b',
+};
+
+// Parses an integer written in the given radix; throws a SyntaxError for anything else
+export function parseInteger(text: string, radix: Radix): bigint {
+  const negative = text.startsWith('-');
+  const digits = negative ? text.slice(1) : text;
+  if (!digitPatterns[radix].test(digits)) throw new SyntaxError(`Invalid base-${radix} integer: '${text}'`);
+  const value = BigInt(radixPrefixes[radix] + digits);
+  return negative ? -value : value;
+}
+
+export function formatInteger(value: bigint, settings: ProgrammerSettings): string {
+  const wrapped = wrap(value, settings);
+  return (settings.radix === 10 ? wrapped : bits(wrapped, settings)).toString(settings.radix).toUpperCase();
+}
+
+// Digits needed to write any word of the given size, i.e. the input digit limit
+export const maxDigits = ({ radix, wordSize }: ProgrammerSettings): number =>
+  ((1n << BigInt(wordSize)) - 1n).toString(radix).length;
+
+// Rotates the bits of the word; `count` may be negative to rotate the other way
+function rotate(value: bigint, count: bigint, settings: ProgrammerSettings): bigint {
+  const size = BigInt(settings.wordSize);
+  const shift = ((count % size) + size) % size;
+  const pattern = bits(value, settings);
+  return (pattern << shift) | (pattern >> (size - shift));
+}
+
+// Power modulo 2^wordSize, so large exponents stay cheap
+function power(base: bigint, exponent: bigint, settings: ProgrammerSettings): bigint {
+  if (exponent < 0n) throw new RangeError(`Negative exponent: ${exponent}`);
+  let result = 1n;
+  for (let n = exponent; n > 0n; n >>= 1n) {
+    if (n & 1n) result = bits(result * base, settings);
+    base = bits(base * base, settings);
+  }
+  return result;
+}
+
+function calculate(a: bigint, b: bigint, op: Operator, settings: ProgrammerSettings): bigint {
+  switch (op) {
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    case '/':
+      // BigInt division truncates toward zero
+      if (b === 0n) throw new ArithmeticError('divide-by-zero');
+      return a / b;
+    case 'mod':
+      if (b === 0n) throw new ArithmeticError('divide-by-zero');
+      return a % b;
+    case '^':
+      return power(a, b, settings);
+    case '&':
+      return a & b;
+    case '|':
+      return a | b;
+    case 'xor':
+      return a ^ b;
+    case '<<':
+      if (b < 0n) throw new RangeError(`Negative shift: ${b}`);
+      return b >= BigInt(settings.wordSize) ? 0n : a << b;
+    case '>>':
+      if (b < 0n) throw new RangeError(`Negative shift: ${b}`);
+      return b >= BigInt(settings.wordSize) ? (a < 0n ? -1n : 0n) : a >> b;
+    case 'rol':
+      return rotate(a, b, settings);
+    case 'ror':
+      return rotate(a, -b, settings);
+    default:
+      throw new RangeError(`Operator '${op}' is not available for integers`);
+  }
+}
+
+function apply(fn: UnaryFunction, value: bigint): bigint {
+  switch (fn) {
+    case 'not':
+      return ~value;
+    case 'sqr':
+      return value * value;
+    case 'abs':
+      return value < 0n ? -value : value;
+    default:
+      throw new RangeError(`Function '${fn}' is not available for integers`);
+  }
+}
+
+export function programmerArithmetic(settings = defaultProgrammerSettings): Arithmetic {
+  const parse = (text: string): bigint => wrap(parseInteger(text, settings.radix), settings);
+
+  // Results wrap around instead of overflowing; operators and functions without an integer counterpart are invalid
+  const guarded = (fn: () => bigint): string => {
+    try {
+      return formatInteger(fn(), settings);
+    } catch (err) {
+      throw err instanceof ArithmeticError ? err : new ArithmeticError('invalid');
+    }
+  };
+  const invalid = (): string => {
+    throw new ArithmeticError('invalid');
+  };
+
+  return {
+    precision: maxDigits(settings),
+    radix: settings.radix,
+    integer: true,
+    complex: false,
+    fraction: false,
+    calculate: (first, second, op) => guarded(() => calculate(parse(first), parse(second), op, settings)),
+    percent: invalid,
+    apply: (fn, value) => guarded(() => apply(fn, parse(value))),
+    constant: invalid,
+    format: (value) => {
+      const word = readInteger(value, settings);
+      return word == null ? 'NaN' : formatInteger(word, settings);
+    },
+  };
+}
+
+// The value on the display as a word, or null when it is not an integer in the selected radix
+export function readInteger(text: string, settings: ProgrammerSettings): bigint | null {
+  try {
+    return wrap(parseInteger(text, settings.radix), settings);
+  } catch {
+    return null;
+  }
+}
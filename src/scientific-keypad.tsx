@@ -0,0 +1,80 @@
+import { createSignal, useContext } from 'solid-js';
+import Button, { KeypadContext } from './button';
+import { angleUnits, type AngleUnit, type UnaryFunction } from './scientific';
+
+export default function ScientificKeypad(props: {
+  angleUnit: AngleUnit;
+  onAngleUnitChange: (unit: AngleUnit) => void;
+}) {
+  const keypad = useContext(KeypadContext);
+  // '2nd' switches sin/cos/tan, ln and log to their inverses for the next function key
+  const [inverse, setInverse] = createSignal(false);
+
+  const action = (fn: UnaryFunction, inverseFn: UnaryFunction) => `function:${inverse() ? inverseFn : fn}`;
+
+  const apply = (fn: UnaryFunction, inverseFn: UnaryFunction) => {
+    keypad.runAction(action(fn, inverseFn));
+    setInverse(false);
+  };
+
+  const nextAngleUnit = () => angleUnits[(angleUnits.indexOf(props.angleUnit) + 1) % angleUnits.length];
+
+  return (
+    <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+      <Button
+        label="2nd"
+        onClick={() => setInverse(!inverse())}
+        class={`btn-scientific ${inverse() ? 'btn-active ring-2 ring-primary' : ''}`}
+        title="Inverse functions"
+      />
+      <Button
+        label={props.angleUnit.toUpperCase()}
+        onClick={() => props.onAngleUnitChange(nextAngleUnit())}
+        class="btn-scientific"
+        title="Angle unit"
+      />
+      <Button label="π" action="constant:pi" class="btn-scientific" />
+      <Button label="e" action="constant:e" class="btn-scientific" />
+
+      <Button
+        label={inverse() ? 'sin⁻¹' : 'sin'}
+        action={action('sin', 'asin')}
+        onClick={() => apply('sin', 'asin')}
+        class="btn-scientific"
+      />
+      <Button
+        label={inverse() ? 'cos⁻¹' : 'cos'}
+        action={action('cos', 'acos')}
+        onClick={() => apply('cos', 'acos')}
+        class="btn-scientific"
+      />
+      <Button
+        label={inverse() ? 'tan⁻¹' : 'tan'}
+        action={action('tan', 'atan')}
+        onClick={() => apply('tan', 'atan')}
+        class="btn-scientific"
+      />
+      <Button label="n!" action="function:fact" class="btn-scientific" />
+
+      <Button
+        label={inverse() ? 'eˣ' : 'ln'}
+        action={action('ln', 'exp')}
+        onClick={() => apply('ln', 'exp')}
+        class="btn-scientific"
+      />
+      <Button
+        label={inverse() ? '10ˣ' : 'log'}
+        action={action('log', 'pow10')}
+        onClick={() => apply('log', 'pow10')}
+        class="btn-scientific"
+      />
+      <Button label="1/x" action="function:recip" class="btn-scientific" />
+      <Button label="|x|" action="function:abs" class="btn-scientific" />
+
+      <Button label="x²" action="function:sqr" class="btn-scientific" />
+      <Button label="√" action="function:sqrt" class="btn-scientific" />
+      <Button label="xʸ" action="operator:^" class="btn-scientific" title="x to the power of y" />
+      <Button label="ʸ√x" action="operator:yroot" class="btn-scientific" title="y-th root of x" />
+    </div>
+  );
+}
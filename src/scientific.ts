@@ -0,0 +1,141 @@
+// scientific.ts
+// Unary functions and constants of the scientific keypad, evaluated in floating point.
+// The names double as the function names used in expression strings, e.g. 'sqrt(2) + sin(30)'.
+// 'not' is the bitwise complement of the programmer keypad and has no floating-point value; 'arg' and 'conj'
+// are the argument and conjugate of complex numbers, which for real numbers are 0 or 180° and the number itself.
+
+export type UnaryFunction =
+  | 'sin'
+  | 'cos'
+  | 'tan'
+  | 'asin'
+  | 'acos'
+  | 'atan'
+  | 'ln'
+  | 'log'
+  | 'exp'
+  | 'pow10'
+  | 'sqr'
+  | 'sqrt'
+  | 'recip'
+  | 'fact'
+  | 'abs'
+  | 'arg'
+  | 'conj'
+  | 'not';
+
+export type Constant = 'pi' | 'e';
+
+export type AngleUnit = 'deg' | 'rad' | 'grad';
+
+export const unaryFunctions: UnaryFunction[] = [
+  'sin',
+  'cos',
+  'tan',
+  'asin',
+  'acos',
+  'atan',
+  'ln',
+  'log',
+  'exp',
+  'pow10',
+  'sqr',
+  'sqrt',
+  'recip',
+  'fact',
+  'abs',
+  'arg',
+  'conj',
+  'not',
+];
+
+export const angleUnits: AngleUnit[] = ['deg', 'rad', 'grad'];
+
+export const constants: Record<Constant, number> = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+// Symbols used for constants in expression strings
+export const constantSymbols: Record<Constant, string> = {
+  pi: 'π',
+  e: 'e',
+};
+
+// Largest n whose factorial is a finite double
+export const maxFactorial = 170;
+
+const radiansPerUnit: Record<AngleUnit, number> = {
+  deg: Math.PI / 180,
+  rad: 1,
+  grad: Math.PI / 200,
+};
+
+// Drops the last binary digits of noise so that e.g. sin(30°) is 0.5 and cos(90°) is 0
+const clean = (value: number): number => (Math.abs(value) < 1e-15 ? 0 : parseFloat(value.toPrecision(15)));
+
+// Factorials beyond maxFactorial overflow to Infinity
+export function factorial(n: number): number {
+  if (!Number.isInteger(n) || n < 0) return NaN;
+  if (n > maxFactorial) return Infinity;
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+export function applyFunction(fn: UnaryFunction, x: number, angleUnit: AngleUnit): number {
+  const toRadians = (angle: number) => angle * radiansPerUnit[angleUnit];
+  const fromRadians = (angle: number) => clean(angle / radiansPerUnit[angleUnit]);
+
+  switch (fn) {
+    case 'sin':
+      return clean(Math.sin(toRadians(x)));
+    case 'cos':
+      return clean(Math.cos(toRadians(x)));
+    case 'tan': {
+      const cos = clean(Math.cos(toRadians(x)));
+      return cos === 0 ? NaN : clean(Math.sin(toRadians(x)) / cos);
+    }
+    case 'asin':
+      return fromRadians(Math.asin(x));
+    case 'acos':
+      return fromRadians(Math.acos(x));
+    case 'atan':
+      return fromRadians(Math.atan(x));
+    case 'ln':
+      return x > 0 ? clean(Math.log(x)) : NaN;
+    case 'log':
+      return x > 0 ? clean(Math.log10(x)) : NaN;
+    case 'exp':
+      return clean(Math.exp(x));
+    case 'pow10':
+      return clean(10 ** x);
+    case 'sqr':
+      return x * x;
+    case 'sqrt':
+      return clean(Math.sqrt(x));
+    case 'recip':
+      return x !== 0 ? 1 / x : NaN;
+    case 'fact':
+      return factorial(x);
+    case 'abs':
+      return Math.abs(x);
+    case 'arg':
+      return x < 0 ? fromRadians(Math.PI) : 0;
+    case 'conj':
+      return x;
+    case 'not':
+      return NaN;
+  }
+}
+
+export function power(base: number, exponent: number): number {
+  return clean(base ** exponent);
+}
+
+// The `degree`-th root of x; odd roots of negative numbers stay real
+export function root(x: number, degree: number): number {
+  if (degree === 0) return NaN;
+  if (x < 0 && Number.isInteger(degree) && Math.abs(degree) % 2 === 1) return -clean((-x) ** (1 / degree));
+  return clean(x ** (1 / degree));
+}
@@ -0,0 +1,96 @@
+// settings.ts
+// User settings persisted through the mock server's `/config` endpoint.
+import { parseArithmeticSettings, type ArithmeticSettings } from './arithmetic';
+import { parseClipboardSettings, type ClipboardSettings } from './clipboard';
+import { parseComplexSettings, type ComplexSettings } from './complex';
+import { parseDefinitions, type Definitions } from './definitions';
+import type { EvaluationMode } from './engine';
+import { parseFractionSettings, type FractionSettings } from './fraction';
+import { parseKeyBindings, type KeyBindings } from './keyboard';
+import { parseLocaleSettings, type LocaleSettings } from './locale';
+import { parseProgrammerSettings, type ProgrammerSettings } from './programmer';
+import { parseTapeSettings, type TapeSettings } from './tape';
+
+export type Theme = 'light' | 'dark';
+
+export type KeypadMode = 'basic' | 'scientific' | 'programmer' | 'statistics' | 'financial';
+
+export const keypadModes: KeypadMode[] = ['basic', 'scientific', 'programmer', 'statistics', 'financial'];
+
+export interface Settings
+  extends
+    ArithmeticSettings,
+    ProgrammerSettings,
+    LocaleSettings,
+    ComplexSettings,
+    FractionSettings,
+    TapeSettings,
+    ClipboardSettings,
+    Definitions {
+  theme: Theme;
+  evaluation: EvaluationMode;
+  keypad: KeypadMode;
+  // Shows the MU, MGN, Δ% and %T keys on keypads other than the financial one, which always has them
+  businessKeys: boolean;
+  // Overrides of the default key bindings, e.g. { "r": "function:sqrt", "x": "" }
+  keyBindings: KeyBindings;
+}
+
+export const defaultSettings: Settings = {
+  ...parseArithmeticSettings({}),
+  ...parseProgrammerSettings({}),
+  ...parseLocaleSettings({}),
+  ...parseComplexSettings({}),
+  ...parseFractionSettings({}),
+  ...parseTapeSettings({}),
+  ...parseClipboardSettings({}),
+  ...parseDefinitions({}),
+  theme: 'light',
+  evaluation: 'expression',
+  keypad: 'basic',
+  businessKeys: false,
+  keyBindings: {},
+};
+
+// Picks the valid settings out of a loaded config, falling back to the defaults
+export function parseSettings(data: Record<string, unknown>): Settings {
+  const settings = {
+    ...defaultSettings,
+    ...parseArithmeticSettings(data),
+    ...parseProgrammerSettings(data),
+    ...parseLocaleSettings(data),
+    ...parseComplexSettings(data),
+    ...parseFractionSettings(data),
+    ...parseTapeSettings(data),
+    ...parseClipboardSettings(data),
+    ...parseDefinitions(data),
+  };
+  if (data.theme === 'light' || data.theme === 'dark') settings.theme = data.theme;
+  if (data.evaluation === 'expression' || data.evaluation === 'immediate') settings.evaluation = data.evaluation;
+  if (keypadModes.includes(data.keypad as KeypadMode)) settings.keypad = data.keypad as KeypadMode;
+  if (typeof data.businessKeys === 'boolean') settings.businessKeys = data.businessKeys;
+  settings.keyBindings = parseKeyBindings(data.keyBindings);
+  return settings;
+}
+
+export const loadConfig = async (): Promise<Settings | null> => {
+  try {
+    const res = await fetch('/config');
+    return parseSettings(await res.json());
+  } catch (err) {
+    console.warn('Failed to load config:', err);
+    return null;
+  }
+};
+
+export const saveConfig = async (updates: Partial<Settings>) => {
+  try {
+    await fetch('/config', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+  } catch (err) {
+    console.warn('Failed to save config:', err);
+  }
+};
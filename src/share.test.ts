@@ -0,0 +1,128 @@
+// share.test.ts
+// Shared links: what a link carries and what opening it restores.
+import { describe, expect, it } from 'vitest';
+import { initialState, type CalculatorState } from './engine';
+import {
+  calculationToShare,
+  leftToRight,
+  maxSharedLength,
+  parseShareParams,
+  shareLink,
+  type ShareParams,
+} from './share';
+import { defaultSettings, type Settings } from './settings';
+
+const origin = 'https://calc.example';
+
+// Opens a link the way the calculator reads its query
+const open = (link: string) => parseShareParams(Object.fromEntries(new URL(link).searchParams) as ShareParams);
+
+describe('shareLink', () => {
+  it('round-trips the calculation and the arithmetic settings', () => {
+    const settings: Settings = {
+      ...defaultSettings,
+      keypad: 'scientific',
+      angleUnit: 'rad',
+      arithmetic: 'decimal',
+      precision: 20,
+      scale: 4,
+      roundingMode: 'half-even',
+    };
+    expect(open(shareLink(origin, { expression: '2 * (3 + 1)', result: '8' }, settings))).toEqual({
+      expression: '2 * (3 + 1)',
+      result: '8',
+      settings: {
+        keypad: 'scientific',
+        angleUnit: 'rad',
+        arithmetic: 'decimal',
+        precision: 20,
+        scale: 4,
+        roundingMode: 'half-even',
+      },
+    });
+  });
+
+  it('includes the angle unit on every keypad', () => {
+    const link = shareLink(origin, { expression: 'sin(90)', result: '' }, { ...defaultSettings, angleUnit: 'grad' });
+    expect(open(link)?.settings.angleUnit).toBe('grad');
+  });
+
+  it('round-trips the word of the programmer keypad', () => {
+    const settings: Settings = { ...defaultSettings, keypad: 'programmer', radix: 16, wordSize: 8, signed: false };
+    const link = shareLink(origin, { expression: 'F - 10', result: 'FF' }, settings);
+    expect(open(link)?.settings).toEqual({
+      keypad: 'programmer',
+      angleUnit: defaultSettings.angleUnit,
+      radix: 16,
+      wordSize: 8,
+      signed: false,
+    });
+  });
+
+  it('round-trips fractions and complex numbers', () => {
+    const fractions = shareLink(
+      origin,
+      { expression: '1/3 + 1/6', result: '1/2' },
+      { ...defaultSettings, fractions: true }
+    );
+    expect(open(fractions)?.settings.fractions).toBe(true);
+    const complex = shareLink(origin, { expression: 'sqrt(-4)', result: '2i' }, { ...defaultSettings, complex: true });
+    expect(open(complex)?.settings.complex).toBe(true);
+  });
+
+  it('leaves out an empty result', () => {
+    expect(
+      new URL(shareLink(origin, { expression: '1 + 2', result: '' }, defaultSettings)).searchParams.has('result')
+    ).toBe(false);
+  });
+});
+
+describe('parseShareParams', () => {
+  it('needs an expression of usable length', () => {
+    expect(parseShareParams({})).toBeNull();
+    expect(parseShareParams({ expr: '  ' })).toBeNull();
+    expect(parseShareParams({ expr: '1+'.repeat(maxSharedLength) + '1' })).toBeNull();
+  });
+
+  it('ignores unknown values', () => {
+    expect(
+      parseShareParams({
+        expr: '1',
+        mode: 'graph',
+        angle: 'turn',
+        radix: '7',
+        word: '12',
+        signed: 'yes',
+        arith: 'bigint',
+        precision: '0',
+        scale: '1.5',
+        rounding: 'nearest',
+      })
+    ).toEqual({ expression: '1', result: null, settings: {} });
+  });
+});
+
+describe('leftToRight', () => {
+  it('parenthesizes each step of an immediate-mode calculation', () => {
+    expect(leftToRight('2 + 3 * 4')).toBe('(2 + 3) * 4');
+    expect(leftToRight('2 + 3 * 4 - 1')).toBe('((2 + 3) * 4) - 1');
+  });
+
+  it('keeps parenthesized operands together', () => {
+    expect(leftToRight('(-3) ^ 2 + 1')).toBe('((-3) ^ 2) + 1');
+  });
+});
+
+describe('calculationToShare', () => {
+  const last = { expression: '2 + 3 * 4', result: '14' };
+  const showing = (display: string): CalculatorState => ({ ...initialState(), display, waitingForOperand: true });
+
+  it('shares the last calculation while its result is shown', () => {
+    expect(calculationToShare(showing('14'), last, 'expression')).toEqual(last);
+    expect(calculationToShare(showing('14'), last, 'immediate').expression).toBe('(2 + 3) * 4');
+  });
+
+  it('shares the value on the display otherwise in immediate mode', () => {
+    expect(calculationToShare(showing('5'), last, 'immediate')).toEqual({ expression: '5', result: '' });
+  });
+});
@@ -0,0 +1,154 @@
+// share.ts
+// Shareable links to a calculation: `/?expr=2*(3%2B1)&result=8&mode=scientific&angle=rad&arith=float&precision=14`
+// restores the expression with the keypad and the settings its result depends on. Values in links are
+// locale-neutral like the history.
+import { roundingModes, type RoundingMode } from './decimal';
+import {
+  openParentheses,
+  pendingExpression,
+  type Calculation,
+  type CalculatorState,
+  type EvaluationMode,
+} from './engine';
+import { radixes, wordSizes, type Radix, type WordSize } from './programmer';
+import { angleUnits, type AngleUnit } from './scientific';
+import { keypadModes, type KeypadMode, type Settings } from './settings';
+
+export interface SharedCalculation {
+  expression: string;
+  // Result the sender saw, shown when the expression fails here, e.g. for a variable only the sender defined
+  result: string | null;
+  settings: Partial<Settings>;
+}
+
+// Query parameters of a shared link
+export type ShareParams = Partial<
+  Record<
+    | 'expr'
+    | 'result'
+    | 'mode'
+    | 'angle'
+    | 'radix'
+    | 'word'
+    | 'signed'
+    | 'complex'
+    | 'fractions'
+    | 'arith'
+    | 'precision'
+    | 'scale'
+    | 'rounding',
+    string
+  >
+>;
+
+export const shareParamNames: (keyof ShareParams)[] = [
+  'expr',
+  'result',
+  'mode',
+  'angle',
+  'radix',
+  'word',
+  'signed',
+  'complex',
+  'fractions',
+  'arith',
+  'precision',
+  'scale',
+  'rounding',
+];
+
+// Longer expressions are not restored, so a link cannot flood the history
+export const maxSharedLength = 1000;
+
+// Writes the left-to-right order of an immediate-mode calculation with parentheses, so that it gives the same
+// result with operator precedence: '2 + 3 * 4' becomes '(2 + 3) * 4'. Operands never contain spaces outside
+// parentheses, so the tokens are the parts between spaces at the top level.
+export function leftToRight(expression: string): string {
+  const tokens: string[] = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i <= expression.length; i++) {
+    if (expression[i] === '(') depth++;
+    else if (expression[i] === ')') depth--;
+    else if (depth === 0 && (expression[i] === ' ' || i === expression.length)) {
+      if (i > start) tokens.push(expression.slice(start, i));
+      start = i + 1;
+    }
+  }
+  let text = tokens[0] ?? '';
+  for (let i = 1; i + 1 < tokens.length; i += 2) {
+    text = `${i === 1 ? text : `(${text})`} ${tokens[i]} ${tokens[i + 1]}`;
+  }
+  return text;
+}
+
+// The calculation a link shares: the last one while its result is on the display, otherwise the pending input
+// with open groups closed. Pending input of the immediate mode is shared as the value on the display.
+export function calculationToShare(
+  state: CalculatorState,
+  last: Calculation | null,
+  evaluation: EvaluationMode
+): Calculation {
+  if (last && !last.error && state.expression === '' && state.waitingForOperand && state.display === last.result) {
+    return evaluation === 'immediate' ? { ...last, expression: leftToRight(last.expression) } : last;
+  }
+  if (evaluation === 'immediate') return { expression: state.display, result: '' };
+  const pending = pendingExpression(state);
+  return { expression: pending + ')'.repeat(Math.max(0, openParentheses(pending))), result: '' };
+}
+
+// Link to a calculation; without a result it restores the pending expression. Only the settings that change
+// the result are included: the angle unit, which typed expressions use on any keypad, the word of the
+// programmer keypad, and otherwise the number type and the arithmetic with its precision and rounding.
+export function shareLink(origin: string, calculation: Calculation, settings: Settings): string {
+  const params = new URLSearchParams({ expr: calculation.expression });
+  if (calculation.result) params.set('result', calculation.result);
+  params.set('mode', settings.keypad);
+  params.set('angle', settings.angleUnit);
+  if (settings.keypad === 'programmer') {
+    params.set('radix', String(settings.radix));
+    params.set('word', String(settings.wordSize));
+    params.set('signed', settings.signed ? '1' : '0');
+  } else {
+    if (settings.complex) params.set('complex', '1');
+    else if (settings.fractions) params.set('fractions', '1');
+    params.set('arith', settings.arithmetic);
+    params.set('precision', String(settings.precision));
+    if (settings.arithmetic === 'decimal') {
+      params.set('scale', String(settings.scale));
+      params.set('rounding', settings.roundingMode);
+    }
+  }
+  return `${origin}/?${params}`;
+}
+
+// A whole number within the bounds of its setting, or null
+const readBounded = (text: string | undefined, min: number, max: number): number | null => {
+  const value = Number(text);
+  return text && Number.isInteger(value) && value >= min && value <= max ? value : null;
+};
+
+// Reads the query of a shared link; null without a usable expression. Unknown values are ignored.
+export function parseShareParams(params: ShareParams): SharedCalculation | null {
+  const expression = params.expr?.trim() ?? '';
+  if (expression === '' || expression.length > maxSharedLength) return null;
+  const settings: Partial<Settings> = {};
+  if (keypadModes.includes(params.mode as KeypadMode)) settings.keypad = params.mode as KeypadMode;
+  if (angleUnits.includes(params.angle as AngleUnit)) settings.angleUnit = params.angle as AngleUnit;
+  if (radixes.includes(Number(params.radix) as Radix)) settings.radix = Number(params.radix) as Radix;
+  if (wordSizes.includes(Number(params.word) as WordSize)) settings.wordSize = Number(params.word) as WordSize;
+  if (params.signed === '1' || params.signed === '0') settings.signed = params.signed === '1';
+  if (params.complex === '1') settings.complex = true;
+  if (params.fractions === '1') settings.fractions = true;
+  if (params.arith === 'float' || params.arith === 'decimal') settings.arithmetic = params.arith;
+  const precision = readBounded(params.precision, 1, 100);
+  if (precision != null) settings.precision = precision;
+  const scale = readBounded(params.scale, 0, 100);
+  if (scale != null) settings.scale = scale;
+  if (roundingModes.includes(params.rounding as RoundingMode)) settings.roundingMode = params.rounding as RoundingMode;
+  return {
+    expression,
+    result: params.result && params.result.length <= maxSharedLength ? params.result : null,
+    settings,
+  };
+}
@@ -0,0 +1,57 @@
+import Button from './button';
+
+// Digits, the four basic operators and equals, shared by the calculator and the converter
+export default function StandardKeypad(props: {
+  decimalSeparator: string;
+  // Digits at or above the radix are disabled
+  radix: number;
+  // Integer arithmetic has no decimal point or percent key
+  integer: boolean;
+}) {
+  const digit = (value: number, span = '') => (
+    <Button
+      label={String(value)}
+      action={`digit:${value}`}
+      class={`btn-digit ${span}`}
+      disabled={value >= props.radix}
+    />
+  );
+
+  return (
+    <>
+      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+        <Button label="AC" action="clear" class="btn-function" />
+        <Button label="+/-" action="sign" class="btn-function" />
+        <Button label="%" action="percent" class="btn-function" disabled={props.integer} />
+        <Button label="÷" action="operator:/" class="btn-operator" />
+      </div>
+
+      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+        {digit(7)}
+        {digit(8)}
+        {digit(9)}
+        <Button label="×" action="operator:*" class="btn-operator" />
+      </div>
+
+      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+        {digit(4)}
+        {digit(5)}
+        {digit(6)}
+        <Button label="−" action="operator:-" class="btn-operator" />
+      </div>
+
+      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+        {digit(1)}
+        {digit(2)}
+        {digit(3)}
+        <Button label="+" action="operator:+" class="btn-operator" />
+      </div>
+
+      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+        {digit(0, 'col-span-2')}
+        <Button label={props.decimalSeparator} action="dot" class="btn-digit" disabled={props.integer} />
+        <Button label="=" action="equals" class="btn-operator" />
+      </div>
+    </>
+  );
+}
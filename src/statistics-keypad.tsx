@@ -0,0 +1,186 @@
+import { createMemo, For, Show } from 'solid-js';
+import { ArithmeticError, errorMessages, type Arithmetic, type ArithmeticErrorKind } from './arithmetic';
+import Button from './button';
+import { regression, summarize, type DataPoint, type Summary } from './statistics';
+
+const summaryLabels: [keyof Omit<Summary, 'mode'>, string, string][] = [
+  ['count', 'n', 'Count'],
+  ['sum', 'Σx', 'Sum'],
+  ['mean', 'x̄', 'Mean'],
+  ['median', 'Med', 'Median'],
+  ['min', 'Min', 'Minimum'],
+  ['max', 'Max', 'Maximum'],
+  ['populationVariance', 'σ²', 'Population variance'],
+  ['sampleVariance', 's²', 'Sample variance'],
+  ['populationDeviation', 'σ', 'Population standard deviation'],
+  ['sampleDeviation', 's', 'Sample standard deviation'],
+];
+
+export default function StatisticsKeypad(props: {
+  points: DataPoint[];
+  // x of a pair waiting for its y, stored with the x,y key
+  pendingX: string | null;
+  arithmetic: Arithmetic;
+  format: (value: string) => string;
+  onAdd: () => void;
+  onRemove: () => void;
+  onStoreX: () => void;
+  onChange: (points: DataPoint[]) => void;
+  onRecall: (value: string) => void;
+}) {
+  // A sum beyond the range of the backend, e.g. Σ+ of 1e308 twice, leaves the statistics undefined; the error
+  // is shown in their place like on the display
+  const outcome = createMemo((): { summary: Summary | null; error: ArithmeticErrorKind | null } => {
+    try {
+      return {
+        summary: summarize(
+          props.points.map((point) => point.x),
+          props.arithmetic
+        ),
+        error: null,
+      };
+    } catch (err) {
+      if (err instanceof ArithmeticError) return { summary: null, error: err.kind };
+      if (err instanceof SyntaxError) return { summary: null, error: 'invalid' };
+      throw err;
+    }
+  });
+  const line = createMemo(() => regression(props.points, props.arithmetic));
+
+  // Edits that the active backend cannot read, e.g. 'abc' or '0x10', are dropped and the input shows the
+  // stored value again
+  const edit = (index: number, field: 'x' | 'y', input: HTMLInputElement) => {
+    const value = input.value.trim();
+    if (field === 'y' && value === '') {
+      props.onChange(props.points.map((point, i) => (i === index ? { ...point, y: null } : point)));
+    } else if (value !== '' && props.arithmetic.format(value) !== 'NaN') {
+      props.onChange(props.points.map((point, i) => (i === index ? { ...point, [field]: value } : point)));
+    } else {
+      input.value = props.points[index][field] ?? '';
+    }
+  };
+
+  // A statistic that is recalled to the display on click; `text` shows more than the recalled value, e.g. all modes
+  const result = (value: () => string | null, label: string, title: string, text?: () => string) => (
+    <button
+      class="flex justify-between gap-2 px-1 rounded hover:bg-base-200 disabled:opacity-40"
+      disabled={value() == null}
+      title={`${title}; click to recall`}
+      onClick={() => {
+        const recalled = value();
+        if (recalled != null) props.onRecall(recalled);
+      }}
+    >
+      <span class="opacity-60">{label}</span>
+      <span class="truncate">{value() == null ? '—' : (text?.() ?? props.format(value() ?? ''))}</span>
+    </button>
+  );
+
+  return (
+    <div class="mb-2">
+      <div class="grid grid-cols-4 gap-2 mb-2 auto-rows-fr">
+        <Button
+          label="x,y"
+          onClick={props.onStoreX}
+          class={`btn-scientific ${props.pendingX != null ? 'btn-active ring-2 ring-primary' : ''}`}
+          title="Use the display as x of a pair; Σ+ then adds the pair with the display as y"
+        />
+        <Button label="Σ+" onClick={props.onAdd} class="btn-scientific" title="Add the display to the data list" />
+        <Button
+          label="Σ−"
+          onClick={props.onRemove}
+          class="btn-scientific"
+          title="Remove the display from the data list"
+        />
+        <Button label="CLΣ" onClick={() => props.onChange([])} class="btn-scientific" title="Clear the data list" />
+      </div>
+
+      <div class="grid grid-cols-2 gap-x-3 mb-2 bg-base-100 border rounded-box p-2 text-xs font-mono text-left">
+        <Show
+          when={outcome().summary}
+          fallback={
+            <p class="col-span-2 text-error" role="alert">
+              {errorMessages[outcome().error ?? 'invalid']}
+            </p>
+          }
+        >
+          {(summary) => (
+            <>
+              <For each={summaryLabels}>
+                {([key, label, title]) => {
+                  const value = () => {
+                    const stat = summary()[key];
+                    return typeof stat === 'number' ? String(stat) : stat;
+                  };
+                  return result(value, label, title);
+                }}
+              </For>
+              <div class="col-span-2">
+                {result(
+                  () => summary().mode[0] ?? null,
+                  'Mode',
+                  'Most frequent values',
+                  () => summary().mode.map(props.format).join('; ')
+                )}
+              </div>
+            </>
+          )}
+        </Show>
+        <Show when={line()}>
+          {(fit) => (
+            <>
+              <div class="col-span-2 mt-1 opacity-60">y = a·x + b</div>
+              {result(() => fit().slope, 'a', 'Slope')}
+              {result(() => fit().intercept, 'b', 'Intercept')}
+              <div class="col-span-2">{result(() => fit().correlation, 'r', 'Correlation coefficient')}</div>
+            </>
+          )}
+        </Show>
+      </div>
+
+      <details class="collapse collapse-arrow bg-base-100 border text-left text-sm">
+        <summary class="collapse-title min-h-0 py-2">
+          Data ({props.points.length}){props.pendingX != null ? ` · x = ${props.format(props.pendingX)}` : ''}
+        </summary>
+        <div class="collapse-content">
+          <ol class="space-y-1 max-h-48 overflow-y-auto">
+            <For each={props.points}>
+              {(point, index) => (
+                <li class="flex items-center gap-1">
+                  <span class="opacity-50 w-6 text-right text-xs">{index() + 1}</span>
+                  <input
+                    type="text"
+                    inputmode="decimal"
+                    class="input input-xs w-0 flex-1 font-mono"
+                    value={point.x}
+                    onChange={(e) => edit(index(), 'x', e.currentTarget)}
+                    aria-label={`x${index() + 1}`}
+                  />
+                  <input
+                    type="text"
+                    inputmode="decimal"
+                    class="input input-xs w-0 flex-1 font-mono"
+                    value={point.y ?? ''}
+                    placeholder="y"
+                    onChange={(e) => edit(index(), 'y', e.currentTarget)}
+                    aria-label={`y${index() + 1}`}
+                  />
+                  <button
+                    class="btn btn-ghost btn-xs opacity-50"
+                    onClick={() => props.onChange(props.points.filter((_, i) => i !== index()))}
+                    aria-label={`Remove point ${index() + 1}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              )}
+            </For>
+          </ol>
+          <a href="/api/statistics/csv" download="statistics.csv" class="btn btn-xs btn-outline mt-2 w-full">
+            Export CSV
+          </a>
+        </div>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+// statistics.test.ts
+// Summary statistics and regression of the data list in the float, decimal and fraction backends.
+import { describe, expect, it } from 'vitest';
+import { ArithmeticError, decimalArithmetic, defaultArithmeticSettings, floatArithmetic } from './arithmetic';
+import { fractionArithmetic } from './fraction';
+import { regression, removeDataPoint, summarize, type DataPoint } from './statistics';
+
+const float = floatArithmetic();
+const points = (...xs: string[]): DataPoint[] => xs.map((x) => ({ x, y: null }));
+
+describe('summarize', () => {
+  it('calculates the summary statistics', () => {
+    const summary = summarize(['2', '4', '4', '4', '5', '5', '7', '9'], float);
+    expect(summary).toMatchObject({ count: 8, sum: '40', mean: '5', median: '4.5', mode: ['4'], min: '2', max: '9' });
+    expect(summary.populationVariance).toBe('4');
+    expect(summary.populationDeviation).toBe('2');
+    expect(float.format(summary.sampleVariance ?? '')).toBe('4.5714285714286');
+  });
+
+  it('leaves statistics that need more values undefined', () => {
+    expect(summarize([], float)).toMatchObject({ count: 0, sum: '0', mean: null, median: null, min: null, max: null });
+    expect(summarize(['3'], float)).toMatchObject({ mean: '3', sampleVariance: null, sampleDeviation: null });
+  });
+
+  it('lists every most frequent value and none when no value repeats', () => {
+    expect(summarize(['1', '2', '2', '3', '3'], float).mode).toEqual(['2', '3']);
+    expect(summarize(['1', '2', '3'], float).mode).toEqual([]);
+    expect(summarize(['2', '2.0'], float).mode).toEqual(['2']);
+  });
+
+  it('orders fractions exactly', () => {
+    const summary = summarize(['5/2', '-1/3', '2'], fractionArithmetic(defaultArithmeticSettings));
+    expect(summary).toMatchObject({ median: '2', min: '-1/3', max: '5/2', sum: '25/6' });
+  });
+
+  it('keeps decimal sums exact', () => {
+    expect(summarize(['0.1', '0.2'], decimalArithmetic()).sum).toBe('0.3');
+  });
+
+  it('throws when the sum overflows', () => {
+    expect(() => summarize(['1e308', '1e308'], float)).toThrow(ArithmeticError);
+  });
+});
+
+describe('regression', () => {
+  it('fits a line through the x,y pairs', () => {
+    const pairs = [
+      { x: '1', y: '3' },
+      { x: '2', y: '5' },
+      { x: '3', y: '7' },
+    ];
+    expect(regression(pairs, float)).toEqual({ slope: '2', intercept: '1', correlation: '1' });
+  });
+
+  it('needs two pairs with different x', () => {
+    expect(regression([{ x: '1', y: '2' }, ...points('3')], float)).toBeNull();
+    expect(
+      regression(
+        [
+          { x: '1', y: '2' },
+          { x: '1', y: '3' },
+        ],
+        float
+      )
+    ).toBeNull();
+  });
+
+  it('leaves the correlation undefined when all y are equal', () => {
+    const pairs = [
+      { x: '1', y: '4' },
+      { x: '2', y: '4' },
+    ];
+    expect(regression(pairs, float)).toEqual({ slope: '0', intercept: '4', correlation: null });
+  });
+});
+
+describe('removeDataPoint', () => {
+  it('removes the last equal point', () => {
+    expect(removeDataPoint(points('1', '2', '1', '3'), { x: '1.0', y: null }, float)).toEqual(points('1', '2', '3'));
+  });
+
+  it('leaves the list unchanged without an equal point', () => {
+    const list = [{ x: '1', y: '2' }];
+    expect(removeDataPoint(list, { x: '1', y: null }, float)).toBe(list);
+  });
+});
@@ -0,0 +1,161 @@
+// statistics.ts
+// Data list of the statistics keypad (Σ+ / Σ−) with its summary statistics and linear regression,
+// persisted by the mock server under `/api/statistics`.
+import type { Arithmetic } from './arithmetic';
+
+// A single value, or an x,y pair when `y` is set
+export interface DataPoint {
+  x: string;
+  y: string | null;
+}
+
+// Statistics that are undefined for the data, e.g. the sample variance of one value, are null
+export interface Summary {
+  count: number;
+  sum: string;
+  mean: string | null;
+  median: string | null;
+  // All values that occur most often; empty when no value repeats
+  mode: string[];
+  populationVariance: string | null;
+  sampleVariance: string | null;
+  populationDeviation: string | null;
+  sampleDeviation: string | null;
+  min: string | null;
+  max: string | null;
+}
+
+// Least-squares line y = slope · x + intercept with the correlation coefficient r
+export interface Regression {
+  slope: string;
+  intercept: string;
+  correlation: string | null;
+}
+
+export const maxDataPoints = 1000;
+
+// Runs a calculation that may fail, e.g. a division by zero, yielding null instead
+function attempt(calculate: () => string): string | null {
+  try {
+    return calculate();
+  } catch {
+    return null;
+  }
+}
+
+// Orders values by the sign of their difference in the active backend, so that fractions such as '7/3' and
+// decimals beyond the range of doubles sort exactly
+const byValue =
+  ({ calculate }: Arithmetic) =>
+  (a: string, b: string): number => {
+    const difference = attempt(() => calculate(a, b, '-'));
+    if (difference == null || !/[1-9]/.test(difference)) return 0;
+    return difference.startsWith('-') ? -1 : 1;
+  };
+
+function sum(values: string[], { calculate }: Arithmetic): string {
+  return values.reduce((total, value) => calculate(total, value, '+'), '0');
+}
+
+// Σ(a − ā)(b − b̄) of two equally long series
+function sumOfProducts(a: string[], meanA: string, b: string[], meanB: string, { calculate }: Arithmetic): string {
+  return a.reduce(
+    (total, value, i) =>
+      calculate(total, calculate(calculate(value, meanA, '-'), calculate(b[i], meanB, '-'), '*'), '+'),
+    '0'
+  );
+}
+
+export function summarize(values: string[], arithmetic: Arithmetic): Summary {
+  const { calculate, apply, format } = arithmetic;
+  const count = values.length;
+  const total = sum(values, arithmetic);
+  const sorted = [...values].sort(byValue(arithmetic));
+  const mean = count > 0 ? attempt(() => calculate(total, String(count), '/')) : null;
+  const squares = mean != null ? attempt(() => sumOfProducts(values, mean, values, mean, arithmetic)) : null;
+  const populationVariance = squares != null ? attempt(() => calculate(squares, String(count), '/')) : null;
+  const sampleVariance =
+    squares != null && count > 1 ? attempt(() => calculate(squares, String(count - 1), '/')) : null;
+
+  const middle = Math.floor(count / 2);
+  const median =
+    count === 0
+      ? null
+      : count % 2 === 1
+        ? sorted[middle]
+        : attempt(() => calculate(calculate(sorted[middle - 1], sorted[middle], '+'), '2', '/'));
+
+  // Values are counted by their formatted form, so '2' and '2.0' are the same value
+  const frequencies = new Map<string, number>();
+  for (const value of values) frequencies.set(format(value), (frequencies.get(format(value)) ?? 0) + 1);
+  const highest = Math.max(0, ...frequencies.values());
+  const mode = highest > 1 ? [...frequencies].filter(([, n]) => n === highest).map(([value]) => value) : [];
+
+  return {
+    count,
+    sum: total,
+    mean,
+    median,
+    mode: mode.sort(byValue(arithmetic)),
+    populationVariance,
+    sampleVariance,
+    populationDeviation: populationVariance != null ? attempt(() => apply('sqrt', populationVariance)) : null,
+    sampleDeviation: sampleVariance != null ? attempt(() => apply('sqrt', sampleVariance)) : null,
+    min: sorted[0] ?? null,
+    max: sorted[count - 1] ?? null,
+  };
+}
+
+// Linear regression of the x,y pairs in the list; null with fewer than two pairs or all x equal
+export function regression(points: DataPoint[], arithmetic: Arithmetic): Regression | null {
+  const { calculate, apply } = arithmetic;
+  const pairs = points.filter((point) => point.y != null);
+  if (pairs.length < 2) return null;
+  const xs = pairs.map((point) => point.x);
+  const ys = pairs.map((point) => point.y as string);
+  const n = String(pairs.length);
+
+  try {
+    const meanX = calculate(sum(xs, arithmetic), n, '/');
+    const meanY = calculate(sum(ys, arithmetic), n, '/');
+    const sxx = sumOfProducts(xs, meanX, xs, meanX, arithmetic);
+    const sxy = sumOfProducts(xs, meanX, ys, meanY, arithmetic);
+    const syy = sumOfProducts(ys, meanY, ys, meanY, arithmetic);
+    const slope = calculate(sxy, sxx, '/');
+    const intercept = calculate(meanY, calculate(slope, meanX, '*'), '-');
+    // r is undefined when all y are equal
+    const correlation = attempt(() => calculate(sxy, apply('sqrt', calculate(sxx, syy, '*')), '/'));
+    return { slope, intercept, correlation };
+  } catch {
+    return null;
+  }
+}
+
+// Removes the last point equal to the given one (Σ−); the list is unchanged when there is none
+export function removeDataPoint(points: DataPoint[], point: DataPoint, { format }: Arithmetic): DataPoint[] {
+  const same = (a: string | null, b: string | null) => (a == null || b == null ? a === b : format(a) === format(b));
+  const index = points.findLastIndex((p) => same(p.x, point.x) && same(p.y, point.y));
+  return index < 0 ? points : points.filter((_, i) => i !== index);
+}
+
+export const loadStatistics = async (): Promise<DataPoint[] | null> => {
+  try {
+    const res = await fetch('/api/statistics');
+    return res.ok ? await res.json() : null;
+  } catch (err) {
+    console.warn('Failed to load statistics:', err);
+    return null;
+  }
+};
+
+export const saveStatistics = async (points: DataPoint[]) => {
+  try {
+    await fetch('/api/statistics', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(points),
+    });
+  } catch (err) {
+    console.warn('Failed to save statistics:', err);
+  }
+};
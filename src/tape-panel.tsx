@@ -0,0 +1,110 @@
+import { createEffect, createSignal, For, on, Show } from 'solid-js';
+import { parseTapeCsv, tapeSymbol, tapeToCsv, tapeToHtml, tapeToText, type TapeLine } from './tape';
+
+// Offers text as a file download
+function download(filename: string, type: string, text: string) {
+  const url = window.URL.createObjectURL(new window.Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+}
+
+export default function TapePanel(props: {
+  lines: TapeLine[];
+  // Presentation of a line's locale-neutral value
+  format: (line: TapeLine) => string;
+  onClear: () => void;
+  // Replays the lines of a loaded tape file
+  onReplay: (lines: TapeLine[]) => void;
+}) {
+  const [loadError, setLoadError] = createSignal<string | null>(null);
+  let list: HTMLOListElement | undefined;
+
+  // Like a paper roll the tape keeps its last line in view
+  createEffect(
+    on(
+      () => props.lines,
+      () => list && (list.scrollTop = list.scrollHeight)
+    )
+  );
+
+  // The print view opens in a new tab; the object URL is kept as long as that tab may load it
+  const openPrintView = () => {
+    const html = tapeToHtml(props.lines, props.format);
+    window.open(window.URL.createObjectURL(new window.Blob([html], { type: 'text/html' })), '_blank');
+  };
+
+  const load = async (input: HTMLInputElement) => {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+    try {
+      props.onReplay(parseTapeCsv(await file.text()));
+      setLoadError(null);
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      setLoadError(err.message);
+    }
+  };
+
+  return (
+    <div class="mb-4 bg-base-100 rounded-box border text-left">
+      <ol ref={list} class="font-mono text-sm max-h-40 min-h-16 overflow-y-auto px-3 py-2" aria-label="Paper tape">
+        <For each={props.lines} fallback={<li class="text-xs opacity-60 font-sans">The tape is empty.</li>}>
+          {(line) => (
+            <li
+              class="flex justify-end gap-2"
+              classList={{
+                'font-bold border-b border-dashed border-base-content/30 pb-1 mb-1':
+                  line.kind === 'total' || line.kind === 'grandTotal',
+                italic: line.kind === 'subtotal',
+                'text-error': line.kind === 'error',
+              }}
+            >
+              <span class="truncate">{props.format(line)}</span>
+              <span class="w-4 shrink-0 text-center opacity-70">{tapeSymbol(line)}</span>
+            </li>
+          )}
+        </For>
+      </ol>
+      <div class="flex flex-wrap gap-1 border-t p-1">
+        <button
+          class="btn btn-xs btn-ghost"
+          disabled={props.lines.length === 0}
+          onClick={() => download('tape.txt', 'text/plain', tapeToText(props.lines, props.format))}
+        >
+          TXT
+        </button>
+        <button
+          class="btn btn-xs btn-ghost"
+          disabled={props.lines.length === 0}
+          title="Locale-neutral values that can be replayed"
+          onClick={() => download('tape.csv', 'text/csv', tapeToCsv(props.lines))}
+        >
+          CSV
+        </button>
+        <button class="btn btn-xs btn-ghost" disabled={props.lines.length === 0} onClick={openPrintView}>
+          Print
+        </button>
+        <label class="btn btn-xs btn-ghost" title="Replay a saved CSV tape">
+          Replay…
+          <input type="file" accept=".csv,text/csv" class="hidden" onChange={(e) => load(e.currentTarget)} />
+        </label>
+        <button
+          class="btn btn-xs btn-ghost ml-auto"
+          disabled={props.lines.length === 0}
+          onClick={() => props.onClear()}
+        >
+          Clear
+        </button>
+      </div>
+      <Show when={loadError()}>
+        <p class="text-xs text-error px-3 pb-2" role="alert">
+          {loadError()}
+        </p>
+      </Show>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+// tape.test.ts
+// The paper tape as key sequences print it, its exports, and replaying a saved tape.
+import { describe, expect, it } from 'vitest';
+import { defaultOptions, initialState, transition, type CalculatorEvent, type CalculatorState } from './engine';
+import {
+  emptyTape,
+  grandTotal,
+  parseTapeCsv,
+  recordTape,
+  subtotal,
+  tapeSteps,
+  tapeSymbol,
+  tapeToCsv,
+  tapeToText,
+  type Tape,
+  type TapeStep,
+} from './tape';
+
+interface Machine {
+  state: CalculatorState;
+  tape: Tape;
+}
+
+const start: Machine = { state: initialState(), tape: emptyTape };
+
+// Runs a step through the engine and prints it, as the calculator does
+function step({ state, tape }: Machine, event: TapeStep): Machine {
+  if (event.type === 'subtotal') return { state, tape: subtotal(tape, state, defaultOptions) };
+  if (event.type === 'grandTotal') return { state, tape: grandTotal(tape) };
+  const next = transition(state, event, defaultOptions);
+  return { state: next, tape: recordTape(tape, state, event, next, defaultOptions) };
+}
+
+const keyEvents: Record<string, TapeStep> = {
+  '=': { type: 'equals' },
+  '(': { type: 'open' },
+  ')': { type: 'close' },
+  C: { type: 'clear' },
+  '◇': { type: 'subtotal' },
+  GT: { type: 'grandTotal' },
+  '+': { type: 'operator', operator: '+' },
+  '-': { type: 'operator', operator: '-' },
+  '×': { type: 'operator', operator: '*' },
+};
+
+// Presses the keys of a sequence such as '12 + 3 ='; numbers are typed digit by digit
+const press = (keys: string, machine = start): Machine =>
+  keys
+    .split(' ')
+    .flatMap((key): TapeStep[] =>
+      key in keyEvents
+        ? [keyEvents[key]]
+        : [...key].map((char): CalculatorEvent => (char === '.' ? { type: 'dot' } : { type: 'digit', digit: char }))
+    )
+    .reduce(step, machine);
+
+const printed = (tape: Tape) => tape.lines.map((line) => `${line.value} ${tapeSymbol(line)}`.trim());
+
+describe('recordTape', () => {
+  it('prints every operand with its key and marks the total', () => {
+    expect(printed(press('12 + 3 - 5 =').tape)).toEqual(['12 +', '3 −', '5 =', '10 *']);
+  });
+
+  it('prints only the last of several operator keys', () => {
+    expect(printed(press('12 + × 3 =').tape)).toEqual(['12 ×', '3 =', '36 *']);
+  });
+
+  it('leaves no line for keys the engine ignores', () => {
+    expect(press('= =').tape.lines).toEqual([]);
+  });
+
+  it('prints a group as the operand of the key after it', () => {
+    expect(printed(press('2 × ( 3 + 4 ) =').tape)).toEqual(['2 ×', '(', '3 +', '4 )', '=', '14 *']);
+  });
+});
+
+describe('subtotal and grand total', () => {
+  it('prints the running total without ending the calculation', () => {
+    const machine = press('12 + 3 + ◇ 5 =');
+    expect(printed(machine.tape)).toEqual(['12 +', '3 +', '15 ◇', '5 =', '20 *']);
+  });
+
+  it('sums the totals since the last grand total', () => {
+    const machine = press('2 + 3 = 4 × 5 = GT');
+    expect(printed(machine.tape).slice(-1)).toEqual(['25 G']);
+    expect(machine.tape.grandTotal).toBe('0');
+  });
+});
+
+describe('exports', () => {
+  const { tape } = press('1000 + 234.5 =');
+
+  it('aligns the text export and leaves a blank line after a total', () => {
+    expect(tapeToText(tape.lines, (line) => line.value)).toBe('  1000 +\n 234.5 =\n1234.5 *\n\n');
+  });
+
+  it('round-trips the CSV export', () => {
+    const csv = tapeToCsv(tape.lines);
+    expect(csv.split('\r\n')[0]).toBe('kind,value,key');
+    expect(parseTapeCsv(csv)).toEqual(tape.lines);
+  });
+
+  it('quotes CSV fields with commas and quotes', () => {
+    const lines = [{ kind: 'entry' as const, value: 'f(1, "2")', key: 'evaluate' }];
+    expect(parseTapeCsv(tapeToCsv(lines))).toEqual(lines);
+  });
+
+  it('refuses files that are not a tape', () => {
+    expect(() => parseTapeCsv('a,b,c\r\n')).toThrow('the header is missing');
+    expect(() => parseTapeCsv('kind,value,key\r\nentry,1,launch\r\n')).toThrow('Invalid tape line 2');
+  });
+});
+
+describe('tapeSteps', () => {
+  it('replays a saved tape to the same lines', () => {
+    const { tape } = press('12 + 3 + ◇ 5 = 2 × ( 3 + 4 ) = GT');
+    const replayed = tapeSteps(parseTapeCsv(tapeToCsv(tape.lines))).reduce(step, start);
+    expect(replayed.tape).toEqual(tape);
+  });
+});
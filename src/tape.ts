@@ -0,0 +1,296 @@
+// tape.ts
+// Paper tape of the adding-machine mode: every operand with the key pressed after it, subtotals, totals and grand
+// totals, as a desk calculator prints them. Lines are recorded from engine transitions, exported as text, CSV or a
+// printable HTML page, and a tape saved as CSV is replayed by feeding its keys through the engine again.
+import { ArithmeticError, errorMessages } from './arithmetic';
+import {
+  operatorPending,
+  pendingExpression,
+  openParentheses,
+  type CalculatorEvent,
+  type CalculatorState,
+  type EngineOptions,
+} from './engine';
+import { actionToEvent } from './keyboard';
+import { evaluate } from './parser';
+
+export interface TapeSettings {
+  tape: boolean;
+}
+
+export type TapeLineKind = 'entry' | 'subtotal' | 'total' | 'grandTotal' | 'error';
+
+export interface TapeLine {
+  kind: TapeLineKind;
+  // Locale-neutral operand or result, the expression of an 'evaluate' entry or the message of an error;
+  // empty for keys without an operand such as '('
+  value: string;
+  // Action of the key an entry was pressed with, e.g. 'operator:+', 'equals' or 'evaluate'; empty otherwise
+  key: string;
+}
+
+export interface Tape {
+  lines: TapeLine[];
+  // Sum of the totals since the last grand total
+  grandTotal: string;
+}
+
+// A key of a replayed tape: an engine event or one of the tape's own keys
+export type TapeStep = CalculatorEvent | { type: 'subtotal' } | { type: 'grandTotal' };
+
+export const defaultTapeSettings: TapeSettings = {
+  tape: false,
+};
+
+// Picks the valid tape settings out of a loaded config, falling back to the defaults
+export function parseTapeSettings(data: Record<string, unknown>): TapeSettings {
+  const settings = { ...defaultTapeSettings };
+  if (typeof data.tape === 'boolean') settings.tape = data.tape;
+  return settings;
+}
+
+export const emptyTape: Tape = { lines: [], grandTotal: '0' };
+
+// The oldest lines are dropped beyond this
+export const maxTapeLines = 1000;
+
+const tapeLineKinds: TapeLineKind[] = ['entry', 'subtotal', 'total', 'grandTotal', 'error'];
+
+const entry = (value: string, key: string): TapeLine => ({ kind: 'entry', value, key });
+
+const append = (tape: Tape, lines: TapeLine[]): Tape => ({
+  ...tape,
+  lines: [...tape.lines, ...lines].slice(-maxTapeLines),
+});
+
+// The operand a key was pressed after; in expression mode empty right after ')', where the group is the operand
+const operandValue = (state: CalculatorState, options: EngineOptions): string =>
+  options.evaluation === 'expression' &&
+  state.waitingForOperand &&
+  state.operandText == null &&
+  state.expression.endsWith(')')
+    ? ''
+    : state.display;
+
+// Keys the engine ignored, e.g. '=' without a calculation, leave no line
+const unchanged = (before: CalculatorState, after: CalculatorState): boolean =>
+  after.completed == null &&
+  after.display === before.display &&
+  after.expression === before.expression &&
+  after.operator === before.operator &&
+  after.waitingForOperand === before.waitingForOperand;
+
+function entriesFor(before: CalculatorState, event: CalculatorEvent, options: EngineOptions): TapeLine[] {
+  switch (event.type) {
+    case 'operator':
+      return [entry(operandValue(before, options), `operator:${event.operator}`)];
+    case 'equals':
+      return [entry(operandValue(before, options), 'equals')];
+    case 'open': {
+      // '(' right after an operand multiplies it, which is printed as a × key
+      const expectsOperand = before.waitingForOperand || (before.expression === '' && before.display === '0');
+      return expectsOperand ? [entry('', 'open')] : [entry(before.display, 'operator:*'), entry('', 'open')];
+    }
+    case 'close':
+      return [entry(operandValue(before, options), 'close')];
+    case 'clear':
+      // Only a calculation given up is marked, so a replay does not continue it
+      return before.expression !== '' || before.firstValue != null ? [entry('', 'clear')] : [];
+    case 'evaluate':
+      return [entry(event.expression.trim(), 'evaluate')];
+    default:
+      return [];
+  }
+}
+
+// Adds the lines for an engine transition; a second operator key in a row only changes the printed operator.
+// Totals are added to the grand total.
+export function recordTape(
+  tape: Tape,
+  before: CalculatorState,
+  event: CalculatorEvent,
+  after: CalculatorState,
+  options: EngineOptions
+): Tape {
+  if (unchanged(before, after)) return tape;
+  // Subtotals printed since the operator key stay below it
+  const last = tape.lines.findLastIndex((line) => line.kind === 'entry');
+  if (event.type === 'operator' && operatorPending(before) && tape.lines[last]?.key.startsWith('operator:')) {
+    const lines = tape.lines.map((line, i) => (i === last ? { ...line, key: `operator:${event.operator}` } : line));
+    return { ...tape, lines };
+  }
+  const lines = entriesFor(before, event, options);
+  const completed = after.completed;
+  if (!completed) return append(tape, lines);
+  if (completed.error) return append(tape, [...lines, { kind: 'error', value: completed.result, key: '' }]);
+  let grandTotal = tape.grandTotal;
+  try {
+    grandTotal = options.arithmetic.calculate(tape.grandTotal, completed.result, '+');
+  } catch {
+    // A total beyond the range leaves the grand total as it is
+  }
+  return { ...append(tape, [...lines, { kind: 'total', value: completed.result, key: '' }]), grandTotal };
+}
+
+// Value of the pending calculation without ending it: 12 + 3 + gives 15. In expression mode open groups are closed.
+function runningTotal(state: CalculatorState, options: EngineOptions): string {
+  const { arithmetic } = options;
+  if (options.evaluation === 'immediate') {
+    if (state.firstValue == null || !state.operator) return state.display;
+    return operatorPending(state)
+      ? state.firstValue
+      : arithmetic.calculate(state.firstValue, state.display, state.operator);
+  }
+  if (state.expression === '') return state.display;
+  const text = operatorPending(state)
+    ? state.expression.slice(0, state.expression.lastIndexOf(' '))
+    : pendingExpression(state);
+  return evaluate(text + ')'.repeat(Math.max(0, openParentheses(text))), arithmetic, options.definitions);
+}
+
+// The subtotal key prints the running total; the calculation goes on
+export function subtotal(tape: Tape, state: CalculatorState, options: EngineOptions): Tape {
+  if (state.error) return tape;
+  try {
+    const value = options.arithmetic.format(runningTotal(state, options));
+    return append(tape, [{ kind: 'subtotal', value, key: '' }]);
+  } catch (err) {
+    if (err instanceof ArithmeticError) return append(tape, [{ kind: 'error', value: err.message, key: '' }]);
+    if (err instanceof SyntaxError) return append(tape, [{ kind: 'error', value: errorMessages.invalid, key: '' }]);
+    throw err;
+  }
+}
+
+// The grand total key prints the sum of the totals since the last grand total and starts a new sum
+export const grandTotal = (tape: Tape): Tape => ({
+  ...append(tape, [{ kind: 'grandTotal', value: tape.grandTotal, key: '' }]),
+  grandTotal: '0',
+});
+
+const keySymbols: Record<string, string> = { equals: '=', evaluate: '=', open: '(', close: ')', clear: 'C' };
+
+// Adding machines print × and ÷, as * marks a total
+const operatorSymbols: Record<string, string> = { '-': '−', '*': '×', '/': '÷' };
+
+const markers: Record<Exclude<TapeLineKind, 'entry'>, string> = {
+  subtotal: '◇',
+  total: '*',
+  grandTotal: 'G',
+  error: 'E',
+};
+
+// The symbol printed to the right of a line, e.g. '+' or '*' for a total
+export function tapeSymbol(line: TapeLine): string {
+  if (line.kind !== 'entry') return markers[line.kind];
+  if (line.key.startsWith('operator:')) {
+    const operator = line.key.slice('operator:'.length);
+    return operatorSymbols[operator] ?? operator;
+  }
+  return keySymbols[line.key] ?? '';
+}
+
+// A plain text tape with right-aligned values and a blank line after each total
+export function tapeToText(lines: TapeLine[], format: (line: TapeLine) => string): string {
+  const values = lines.map(format);
+  const width = Math.max(0, ...values.map((value) => value.length));
+  return lines
+    .map((line, i) => {
+      const text = `${values[i].padStart(width)} ${tapeSymbol(line)}`.trimEnd();
+      return line.kind === 'total' || line.kind === 'grandTotal' ? `${text}\n` : text;
+    })
+    .join('\n')
+    .concat('\n');
+}
+
+const csvField = (text: string): string => (/[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text);
+
+// The tape as CSV with locale-neutral values, which can be replayed with `parseTapeCsv`
+export const tapeToCsv = (lines: TapeLine[]): string =>
+  ['kind,value,key', ...lines.map((line) => [line.kind, line.value, line.key].map(csvField).join(','))].join('\r\n') +
+  '\r\n';
+
+// Splits a CSV row into fields; quoted fields may contain commas and doubled quotes
+function csvFields(row: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (quoted && char === '"' && row[i + 1] === '"') {
+      field += char;
+      i++;
+    } else if (char === '"') quoted = !quoted;
+    else if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else field += char;
+  }
+  return [...fields, field];
+}
+
+const isValidKey = (line: TapeLine): boolean =>
+  line.kind === 'entry' ? line.key === 'evaluate' || actionToEvent(line.key) != null : line.key === '';
+
+// Reads a tape saved with `tapeToCsv`; throws a SyntaxError naming the first row that is not a tape line
+export function parseTapeCsv(text: string): TapeLine[] {
+  const rows = text.split(/\r?\n/).filter((row) => row.trim() !== '');
+  if (rows[0]?.trim() !== 'kind,value,key') throw new SyntaxError('Not a tape file: the header is missing');
+  if (rows.length - 1 > maxTapeLines) throw new SyntaxError(`Tape files are limited to ${maxTapeLines} lines`);
+  return rows.slice(1).map((row, i) => {
+    const [kind, value, key, ...rest] = csvFields(row);
+    const line = { kind: kind as TapeLineKind, value: value ?? '', key: key ?? '' };
+    if (rest.length > 0 || !tapeLineKinds.includes(line.kind) || !isValidKey(line)) {
+      throw new SyntaxError(`Invalid tape line ${i + 2}`);
+    }
+    return line;
+  });
+}
+
+// The keys that print a tape again: operands are recalled before their key, totals and errors are calculated anew
+export function tapeSteps(lines: TapeLine[]): TapeStep[] {
+  return lines.flatMap((line): TapeStep[] => {
+    if (line.kind === 'subtotal' || line.kind === 'grandTotal') return [{ type: line.kind }];
+    if (line.kind !== 'entry') return [];
+    if (line.key === 'evaluate') return [{ type: 'evaluate', expression: line.value }];
+    const event = actionToEvent(line.key);
+    if (!event) return [];
+    return line.value === '' ? [event] : [{ type: 'recall', value: line.value }, event];
+  });
+}
+
+const escapeHtml = (text: string): string => text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// A print-friendly page with the tape as a narrow roll, like the paper of an adding machine
+export function tapeToHtml(lines: TapeLine[], format: (line: TapeLine) => string): string {
+  const rows = lines
+    .map(
+      (line) =>
+        `<tr class="${line.kind}"><td>${escapeHtml(format(line))}</td><td>${escapeHtml(tapeSymbol(line))}</td></tr>`
+    )
+    .join('\n');
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Paper tape</title>
+<style>
+  body { font-family: ui-monospace, monospace; margin: 2rem auto; width: 18rem; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 0.1rem 0; text-align: right; white-space: nowrap; }
+  td:last-child { width: 2rem; }
+  .total td, .grandTotal td { font-weight: bold; border-bottom: 1px dashed; padding-bottom: 0.6rem; }
+  .subtotal td { font-style: italic; }
+  .error td { color: #b91c1c; }
+  @media print { button { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<p>${escapeHtml(new Date().toLocaleString())}</p>
+<table>
+${rows}
+</table>
+<p><button onclick="window.print()">Print</button></p>
+</body>
+</html>
+`;
+}
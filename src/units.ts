@@ -0,0 +1,41 @@
+// units.ts
+// Unit conversion with the unit definitions served by the mock server under `/api/units`.
+import type { Arithmetic } from './arithmetic';
+
+export interface Unit {
+  id: string;
+  name: string;
+  symbol: string;
+  // A value converts to the category's base unit as (value + offset) × factor ÷ divisor
+  factor: number;
+  divisor?: number;
+  offset?: number;
+}
+
+export interface UnitCategory {
+  id: string;
+  name: string;
+  units: Unit[];
+}
+
+export const fetchUnits = async (): Promise<UnitCategory[]> => {
+  try {
+    const res = await fetch('/api/units');
+    return res.ok ? await res.json() : [];
+  } catch (err) {
+    console.warn('Failed to load units:', err);
+    return [];
+  }
+};
+
+// Converts through the base unit; the arithmetic backend decides how exact the result is
+export function convert(value: string, from: Unit, to: Unit, arithmetic: Arithmetic): string {
+  const { calculate } = arithmetic;
+  const base = calculate(
+    calculate(calculate(value, String(from.offset ?? 0), '+'), String(from.factor), '*'),
+    String(from.divisor ?? 1),
+    '/'
+  );
+  const scaled = calculate(calculate(base, String(to.divisor ?? 1), '*'), String(to.factor), '/');
+  return calculate(scaled, String(to.offset ?? 0), '-');
+}